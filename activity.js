@@ -0,0 +1,156 @@
+/* ============================
+   VitalSync — Activity Context
+   Step Cadence · Accelerometer · Activity States · Exertion
+   ============================ */
+
+// Bands that count steps or stream their accelerometer send it with the
+// vitals as `motion` (see sources.js):
+//   cadence  steps per minute
+//   accel    mean movement over the sample in g: the accelerometer's vector
+//            magnitude with gravity taken out
+// Averaged over the last CONFIG.activity.window seconds, walkingCadence
+// steps/min or walkingAccel g of movement is walking, exerciseCadence or
+// exerciseAccel exercise (the accelerometer catches cycling or rowing,
+// which count no steps). A still patient in a sleep session (see sleep.js)
+// is asleep, any other still patient resting. A source without motion data
+// leaves the patient resting, as before motion was tracked.
+//
+// HR, RR and BP lag behind a change of activity and take minutes to settle
+// after exercise, so each patient also has an `exertion` (0 at rest, 1
+// walking, 2 exercising) that follows the motion with time constant `onset`
+// going up and `recovery` coming down. The state doesn't drop below the
+// level exertion is still at: someone who has just stopped running is still
+// exercising (recovering) until their vitals can have come back down.
+//
+// The state conditions
+//   baselines    each state has a learned profile of its own, blended by
+//                exertion (see baselines.js); the vital-card and ward status
+//                bands follow
+//   risk models  per-state input weights (see risk.js)
+//   detector     a correlation structure per state (see detector.js)
+//   alerts       rules and the forecast's early alerts may be limited to
+//                some states with `during` (see alerts.js)
+// The tracker works on the activity state it is given, so the offline risk
+// harness (risk-eval.js) can run it over a recording.
+
+const ACTIVITY_STATES = {
+    rest: { label: 'Resting', icon: '🪑', level: 0 },
+    walking: { label: 'Walking', icon: '🚶', level: 1 },
+    exercise: { label: 'Exercising', icon: '🏃', level: 2 },
+    sleep: { label: 'Asleep', icon: '😴', level: 0 }
+};
+
+function createActivityState() {
+    return {
+        state: 'rest',
+        since: 0,           // sample time the state began
+        motion: [],         // { t, cadence, accel } over the last window
+        sensed: false,      // the window holds motion data
+        cadence: 0,         // window means
+        accel: 0,
+        exertion: 0,        // 0 rest … 2 exercise, lagging the motion
+        recovering: false,  // held in the state by exertion alone
+        unsettled: 0,       // last sample time settledActivity() was null
+        last: 0             // sample time of the last update
+    };
+}
+
+// ======================== TRACKING ========================
+// Updates `activity` with a sample's motion (undefined when it had none);
+// `asleep` is whether a sleep session is open. True when the state changed.
+function trackActivity(activity, timestamp, motion, asleep) {
+    const cfg = CONFIG.activity;
+    if (motion) activity.motion.push({ t: timestamp, ...motion });
+    while (activity.motion.length > 0 && activity.motion[0].t <= timestamp - cfg.window * 1000) activity.motion.shift();
+    activity.sensed = activity.motion.length > 0;
+    const moving = classifyMotion(activity);
+
+    // A first sample, or one after a gap the vitals could settle in, starts
+    // at the motion's level
+    const target = ACTIVITY_STATES[moving].level;
+    const dt = activity.last ? (timestamp - activity.last) / 1000 : Infinity;
+    const tau = target > activity.exertion ? cfg.onset : cfg.recovery;
+    activity.exertion = target + (activity.exertion - target) * Math.exp(-dt / tau);
+    activity.last = timestamp;
+
+    const held = activity.exertion >= 1.5 ? 'exercise' : activity.exertion >= 0.5 ? 'walking' : 'rest';
+    let next = ACTIVITY_STATES[held].level > target ? held : moving;
+    activity.recovering = next !== moving;
+    if (next === 'rest' && asleep) next = 'sleep';
+    const changed = next !== activity.state;
+    activity.state = next;
+    if (changed) activity.since = timestamp;
+    if (settledActivity(activity) === null) activity.unsettled = timestamp;
+    return changed;
+}
+
+function classifyMotion(activity) {
+    const cfg = CONFIG.activity;
+    const mean = key => {
+        const xs = activity.motion.map(m => m[key]).filter(x => x !== undefined);
+        return xs.length > 0 ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+    };
+    activity.cadence = mean('cadence');
+    activity.accel = mean('accel');
+    if (activity.cadence >= cfg.exerciseCadence || activity.accel >= cfg.exerciseAccel) return 'exercise';
+    if (activity.cadence >= cfg.walkingCadence || activity.accel >= cfg.walkingAccel) return 'walking';
+    return 'rest';
+}
+
+// The state whose profile this sample teaches, or null while the vitals are
+// still catching up with a change of state
+function settledActivity(activity) {
+    const level = ACTIVITY_STATES[activity.state].level;
+    return Math.abs(activity.exertion - level) <= CONFIG.activity.settled ? activity.state : null;
+}
+
+function updateActivity(sample) {
+    const a = state.activity;
+    const previous = a.state;
+    if (!trackActivity(a, sample.timestamp, sample.motion, Boolean(state.sleep.session))) return;
+    console.log(`${ACTIVITY_STATES[a.state].icon} ${state.profile.name}: ${ACTIVITY_STATES[previous].label.toLowerCase()} → ${ACTIVITY_STATES[a.state].label.toLowerCase()}`);
+}
+
+// Whether a rule limited to the states in `during` applies now
+function activityAllows(during) {
+    return !during || during.includes(state.activity.state);
+}
+
+// ======================== CONDITIONING ========================
+// The baseline for the patient's state, from `rest`, the resting one: the
+// sleep profile while asleep, otherwise the resting, walking and exercise
+// profiles blended by exertion. `learned(state)` gives a state's learned
+// profile as { center, spread }, or null where there is none yet and the
+// resting one moved by CONFIG.activity.response stands in.
+function activityBaseline(activity, signal, rest, learned) {
+    const profile = s => learned(s) || expectedBaseline(rest, signal, s);
+    if (activity.state === 'sleep') return profile('sleep');
+    if (activity.exertion < 0.05) return rest;
+    const e = Math.min(activity.exertion, 2);
+    const [from, to] = e <= 1 ? [rest, profile('walking')] : [profile('walking'), profile('exercise')];
+    const t = e <= 1 ? e : e - 1;
+    return {
+        center: lerp(from.center, to.center, t),
+        spread: lerp(from.spread, to.spread, t),
+        source: activity.state === 'rest' ? 'recovery' : activity.state
+    };
+}
+
+function expectedBaseline(rest, signal, state) {
+    const { shift, scale } = CONFIG.activity.response[state];
+    return { center: rest.center + (shift[signal] || 0), spread: rest.spread * scale, source: state };
+}
+
+// ======================== DISPLAY ========================
+// Next to the device indicator in the patient header
+function renderActivity() {
+    const el = document.getElementById('activity-badge');
+    if (!el) return;
+    const a = state.activity;
+    const s = ACTIVITY_STATES[a.state];
+    el.textContent = `${s.icon} ${s.label}${a.recovering ? ' · recovering' : ''}`;
+    el.className = `activity-badge activity-badge-${a.state}${a.sensed ? '' : ' activity-badge-unsensed'}`;
+    el.title = a.sensed
+        ? `${Math.round(a.cadence)} steps/min, ${a.accel.toFixed(2)} g of movement over the last ${CONFIG.activity.window}s`
+        : 'No motion data from this device: taken to be resting';
+}
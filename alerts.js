@@ -0,0 +1,285 @@
+/* ============================
+   VitalSync — Alert Rules
+   Threshold · Rate · Duration · Correlation Conditions · Alert Lifecycle
+   ============================ */
+
+// A rule is plain JSON, listed in CONFIG.alerts.rules:
+//   {
+//     "id": "desat-hr-rising",
+//     "name": "Desaturation with rising HR",
+//     "severity": "high",                     // low | medium | high
+//     "match": "all",                         // or "any"
+//     "during": ["rest", "sleep"],            // optional: activity states it applies in
+//     "conditions": [
+//       { "signal": "spo2", "below": 92, "for": 30 },      // threshold, held 30s
+//       { "signal": "hr", "rising": 4 },                   // units per minute
+//       { "signal": "temp", "above": 100.4 },
+//       { "signal": "rr", "falling": 3, "over": 60 },      // slope over 60s of history
+//       { "signal": "hr", "deviation": 3 },                // robust σ from the learned baseline
+//       { "pair": ["spo2", "rr"], "below": -0.6 },         // rolling correlation
+//       { "score": "news2", "above": 4 }                   // early-warning score total
+//     ]
+//   }
+// Every condition may carry `for`: seconds it must hold without a break.
+// Times are sample time, so replayed files alert exactly as they did live.
+// Outside its `during` states (see activity.js) a rule's conditions count as
+// not holding: a heart rate that is tachycardia at rest is a brisk walk.
+//
+// Lifecycle of an alert (any anomaly opened with status 'active'):
+//   active -> acknowledged | snoozed | resolved | auto-resolved
+// A snooze that runs out puts the alert back to active. An active alert that
+// nobody acknowledges steps up one severity every escalateAfter seconds.
+// Open alerts are tracked in state.alerts.open rather than looked up on the
+// timeline, which keeps only the latest 15 anomalies: an alert scrolled off it
+// by newer events is still open, still escalates and still counts on the bell.
+
+const ALERT_OPEN_STATUSES = ['active', 'acknowledged', 'snoozed'];
+const SEVERITY_ORDER = ['low', 'medium', 'high'];
+
+function createAlertState() {
+    return {
+        since: {},        // 'ruleId:index' -> time the condition started holding
+        clearSince: {},   // rule id -> time the rule stopped holding
+        latched: {},      // rule id -> true after a manual resolve, until the rule clears
+        open: []          // open alerts, oldest first
+    };
+}
+
+function isOpenAlert(anomaly) {
+    return ALERT_OPEN_STATUSES.includes(anomaly.status);
+}
+
+// Keeps state.alerts.open in step with an anomaly that was added or changed
+function trackOpenAlert(anomaly) {
+    const open = state.alerts.open;
+    const i = open.indexOf(anomaly);
+    if (isOpenAlert(anomaly) && i < 0) open.push(anomaly);
+    else if (!isOpenAlert(anomaly) && i >= 0) open.splice(i, 1);
+}
+
+// The open alert raised by a rule (or a forecast limit, see forecast.js)
+function openAlertFor(ruleId) {
+    return state.alerts.open.find(x => x.rule === ruleId);
+}
+
+// ======================== CONDITIONS ========================
+function conditionKind(cond) {
+    if (cond.pair) return 'correlation';
+    if (cond.score) return 'score';
+    if (cond.rising !== undefined || cond.falling !== undefined) return 'rate';
+    if (cond.deviation !== undefined) return 'deviation';
+    return 'threshold';
+}
+
+function conditionReading(cond) {
+    switch (conditionKind(cond)) {
+        case 'correlation': return state.correlations[cond.pair.join('_')] || 0;
+        case 'score': return state.earlyWarning[cond.score].total;
+        case 'rate': return signalRate(cond.signal, cond.over || CONFIG.alerts.rateWindow);
+        case 'deviation': return baselineDeviation(cond.signal);
+        default: return state.vitals[cond.signal].value;
+    }
+}
+
+function conditionHolds(cond, reading) {
+    switch (conditionKind(cond)) {
+        case 'rate': return cond.rising !== undefined ? reading >= cond.rising : reading <= -cond.falling;
+        case 'deviation': return Math.abs(reading) >= cond.deviation;
+        default:
+            return (cond.below === undefined || reading < cond.below) &&
+                (cond.above === undefined || reading > cond.above);
+    }
+}
+
+// Least-squares slope, in units per minute, over the last `seconds` of history
+function signalRate(signal, seconds) {
+    const v = state.vitals[signal];
+    const n = v.times.length;
+    if (n < 3) return 0;
+    const end = v.times[n - 1];
+    let first = n - 1;
+    while (first > 0 && end - v.times[first - 1] <= seconds * 1000) first--;
+
+    const xs = v.times.slice(first).map(t => (t - end) / 60000);
+    const ys = v.history.slice(first);
+    if (xs.length < 3) return 0;
+    const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const my = ys.reduce((a, b) => a + b, 0) / ys.length;
+    let num = 0, den = 0;
+    xs.forEach((x, i) => {
+        num += (x - mx) * (ys[i] - my);
+        den += (x - mx) * (x - mx);
+    });
+    return den === 0 ? 0 : num / den;
+}
+
+function describeCondition(cond, reading) {
+    const held = cond.for ? ` for ${cond.for}s` : '';
+    switch (conditionKind(cond)) {
+        case 'correlation': {
+            const bound = cond.below !== undefined ? `below ${formatR(cond.below)}` : `above ${formatR(cond.above)}`;
+            return `${pairLabel(...cond.pair)} r ${formatR(reading)} (${bound}${held})`;
+        }
+        case 'rate': {
+            const verb = cond.rising !== undefined ? 'rising' : 'falling';
+            return `${CONFIG.signalLabels[cond.signal]} ${verb} ${Math.abs(reading).toFixed(1)}/min${held}`;
+        }
+        case 'deviation':
+            return `${CONFIG.signalLabels[cond.signal]} ${reading.toFixed(1)}σ from baseline${held}`;
+        case 'score': {
+            const bound = cond.below !== undefined ? `below ${cond.below}` : `above ${cond.above}`;
+            return `${cond.score.toUpperCase()} ${reading} (${bound}${held})`;
+        }
+        default: {
+            const v = state.vitals[cond.signal];
+            const bound = cond.below !== undefined ? `below ${cond.below}` : `above ${cond.above}`;
+            const digits = cond.signal === 'temp' || cond.signal === 'spo2' ? 1 : 0;
+            return `${CONFIG.signalLabels[cond.signal]} ${reading.toFixed(digits)} ${v.unit} (${bound}${held})`;
+        }
+    }
+}
+
+// ======================== EVALUATION ========================
+function updateAlerts() {
+    const now = state.lastSampleTime;
+    CONFIG.alerts.rules.forEach(rule => evaluateAlertRule(rule, now));
+
+    state.alerts.open.slice().forEach(anomaly => {
+        if (anomaly.status === 'snoozed' && now >= anomaly.snoozedUntil) {
+            updateAnomaly(anomaly, { status: 'active', activeSince: now, snoozedUntil: null });
+        } else if (anomaly.status === 'active') {
+            escalateIfIgnored(anomaly, now);
+        }
+    });
+}
+
+function evaluateAlertRule(rule, now) {
+    const a = state.alerts;
+    const applies = activityAllows(rule.during);
+    const results = rule.conditions.map((cond, i) => {
+        const key = `${rule.id}:${i}`;
+        const reading = conditionReading(cond);
+        if (!applies || !conditionHolds(cond, reading)) {
+            delete a.since[key];
+            return { cond, reading, held: false };
+        }
+        if (a.since[key] === undefined) a.since[key] = now;
+        return { cond, reading, held: now - a.since[key] >= (cond.for || 0) * 1000 };
+    });
+    const holds = rule.match === 'any' ? results.some(r => r.held) : results.every(r => r.held);
+    const open = openAlertFor(rule.id);
+
+    if (holds) {
+        delete a.clearSince[rule.id];
+        if (!open && !a.latched[rule.id]) raiseRuleAlert(rule, results.filter(r => r.held), now);
+        return;
+    }
+
+    a.latched[rule.id] = false;
+    if (!open) return;
+    // A short dip back under the limit shouldn't close and reopen the alert
+    if (a.clearSince[rule.id] === undefined) a.clearSince[rule.id] = now;
+    if (now - a.clearSince[rule.id] < CONFIG.alerts.clearAfter * 1000) return;
+
+    delete a.clearSince[rule.id];
+    const seconds = Math.round((now - open.timestamp) / 1000);
+    updateAnomaly(open, {
+        status: 'auto-resolved',
+        endTimestamp: now,
+        description: `${open.description} Conditions cleared after ${seconds}s.`
+    });
+}
+
+function raiseRuleAlert(rule, held, now) {
+    const signals = [...new Set(rule.conditions.flatMap(c => c.pair || (c.signal ? [c.signal] : [])))];
+    const scores = rule.conditions.filter(c => c.score).map(c => c.score.toUpperCase());
+    addAnomaly('active', rule.name,
+        `${held.map(r => describeCondition(r.cond, r.reading)).join('; ')}.`,
+        [...signals.map(s => CONFIG.signalLabels[s]), ...scores, 'Alert Rule'],
+        rule.severity,
+        { rule: rule.id, activeSince: now, escalations: 0 });
+}
+
+function escalateIfIgnored(anomaly, now) {
+    const level = SEVERITY_ORDER.indexOf(anomaly.severity);
+    if (level < 0 || level === SEVERITY_ORDER.length - 1) return;
+    const since = anomaly.activeSince || anomaly.timestamp;
+    if (now - since < CONFIG.alerts.escalateAfter * 1000) return;
+
+    const severity = SEVERITY_ORDER[level + 1];
+    updateAnomaly(anomaly, {
+        severity,
+        activeSince: now,
+        escalations: (anomaly.escalations || 0) + 1,
+        tags: anomaly.tags.includes('Escalated') ? anomaly.tags : [...anomaly.tags, 'Escalated']
+    });
+    console.warn(`⏫ ${state.profile.name}: "${anomaly.title}" unacknowledged, escalated to ${severity}`);
+}
+
+// ======================== LIFECYCLE ========================
+function acknowledgeAlert(anomaly) {
+    updateAnomaly(anomaly, { status: 'acknowledged', acknowledgedAt: state.lastSampleTime });
+}
+
+function snoozeAlert(anomaly, minutes) {
+    updateAnomaly(anomaly, { status: 'snoozed', snoozedUntil: state.lastSampleTime + minutes * 60000 });
+}
+
+// The rule stays quiet until its conditions have cleared once, so resolving
+// an ongoing alert doesn't immediately raise a fresh copy
+function resolveAlert(anomaly) {
+    if (anomaly.rule) state.alerts.latched[anomaly.rule] = true;
+    updateAnomaly(anomaly, { status: 'resolved', endTimestamp: state.lastSampleTime });
+}
+
+// A timeline button's action, run by the engine. The alert may have moved on
+// since the page drew the button.
+function applyAlertAction(id, action) {
+    const anomaly = state.alerts.open.find(a => String(a.id) === id);
+    if (!anomaly) return;
+    if (action === 'acknowledge') acknowledgeAlert(anomaly);
+    else if (action === 'snooze') snoozeAlert(anomaly, CONFIG.alerts.snoozeMinutes);
+    else if (action === 'resolve') resolveAlert(anomaly);
+}
+
+// ======================== CONTROLS ========================
+function setupAlerts() {
+    document.getElementById('anomaly-timeline').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-alert-action]');
+        if (!btn) return;
+        sendEngineCommand(state, 'alertAction', btn.closest('.timeline-item').dataset.id, btn.dataset.alertAction);
+    });
+
+    // The bell opens the first patient on the ward with an unacknowledged alert
+    document.getElementById('notification-btn').addEventListener('click', () => {
+        const patient = patients.find(p => p.anomalyStats.active > 0) || view.patient;
+        showPatient(patient);
+        setActiveNavLink('nav-alerts');
+        document.getElementById('alerts').scrollIntoView({ behavior: 'smooth' });
+    });
+
+    renderAlertBadge();
+}
+
+function alertActions(anomaly) {
+    if (!isOpenAlert(anomaly)) return '';
+    const buttons = [
+        anomaly.status === 'active' && ['acknowledge', 'Acknowledge'],
+        anomaly.status !== 'snoozed' && ['snooze', `Snooze ${CONFIG.alerts.snoozeMinutes}m`],
+        ['resolve', 'Resolve']
+    ].filter(Boolean);
+    return `<div class="timeline-actions">${buttons.map(([action, label]) =>
+        `<button class="session-btn alert-action-btn" data-alert-action="${action}">${label}</button>`
+    ).join('')}</div>`;
+}
+
+function renderAlertBadge() {
+    const badge = document.getElementById('notification-badge');
+    if (!badge) return;
+    const unacknowledged = patients.reduce((n, p) => n + p.anomalyStats.active, 0);
+    badge.textContent = unacknowledged > 99 ? '99+' : unacknowledged;
+    badge.hidden = unacknowledged === 0;
+    document.getElementById('notification-btn').title = unacknowledged === 0
+        ? 'No unacknowledged alerts'
+        : `${unacknowledged} unacknowledged alert${unacknowledged === 1 ? '' : 's'} on the ward`;
+}
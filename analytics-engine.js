@@ -0,0 +1,359 @@
+/* ============================
+   VitalSync — Analytics Engine
+   Web Worker Host · Message Protocol · Render Snapshots
+   ============================ */
+
+// The data sources, the sample pipeline (signal quality, correlations,
+// detector, baselines, early-warning scores, forecasts, alert rules, risk
+// models), the recorder and storage all run in a dedicated worker
+// (analytics-worker.js), off the thread that draws the dashboard. A heavy
+// redraw no longer delays samples, and the worker's timers keep running
+// while the tab is in the background, where a page's are throttled.
+//
+// The two sides only exchange messages:
+//   page → engine
+//     { type: 'focus', patient }                    dashboard patient id, null on the ward
+//     { type: 'command', patient, name, args }      runs ENGINE_COMMANDS[name] as the patient
+//     { type: 'request', id, patient, name, args }  runs ENGINE_REQUESTS[name], answered by a reply
+//   engine → page
+//     { type: 'ready' }                             the worker has loaded
+//     { type: 'snapshot', patient, snapshot }       after a patient changes, see patientSnapshot()
+//     { type: 'reply', id, result | error }
+// Snapshots are coalesced, at most one per patient per turn of the event
+// loop, and kept small: the patient on the dashboard gets what its panels
+// draw, every other patient only what its ward card shows. Bulky history
+// (trend charts, rolling correlations, risk scores over time, exports) is
+// sent only when a request asks for it.
+//
+// On the page, `patients` are the dashboard's copies, updated from snapshots;
+// the engine's own are in enginePatients. Where a worker can't be started
+// (e.g. pages opened from file://) the engine runs on the page instead and
+// the same messages are passed by direct call.
+
+// True inside the worker, where importScripts() stands in for <script> tags
+const inAnalyticsWorker = typeof importScripts === 'function';
+
+// ======================== ENGINE ========================
+const enginePatients = [];
+
+const analyticsEngine = {
+    focus: null,          // id of the patient on the dashboard
+    dirty: new Set(),     // patients changed since the last snapshot
+    flushTimer: null
+};
+
+// What the page may ask the engine to do, run as the patient named in the
+// message. Snapshots carry the results.
+const ENGINE_COMMANDS = {
+    alertAction: applyAlertAction,    // (anomaly id, action), see alerts.js
+    setObservations,                  // manual NEWS2 / MEWS inputs, see early-warning.js
+    addJournalEntry,                  // see journal.js
+    removeJournalEntry,
+    switchScenario,                   // see scenarios.js
+    toggleRecording,                  // see recorder.js
+    replaySamples,
+    stopReplay,
+    setReplaySpeed,
+    stepReplay,
+    startBluetooth,                   // device name; see gatt.js
+    stopBluetooth,
+    bluetoothNotification,            // (characteristic, bytes, time) from the paired device
+    bluetoothStatus                   // (status, detail) of its link
+};
+
+// What the page may ask the engine for; the return value is the reply
+const ENGINE_REQUESTS = {
+    // Trend chart series for a window, with the forecast when it runs up to now
+    trendCharts: (start, end, live) => {
+        const series = {};
+        ['hr', 'spo2', 'bp_sys', 'bp_dia', 'hrv', 'rr'].forEach(signal => {
+            series[signal] = getTrendSeries(signal, start, end);
+            series[signal].forecast = live ? forecastSeries(signal) : null;
+        });
+        return series;
+    },
+    // Per-tick coefficients of one pair, for the correlation drill-down
+    pairHistory: (a, b) => {
+        const history = state.correlationAnalysis.history;
+        const key = pairHistoryKey(a, b);
+        return { times: history.times, pearson: history.pearson[key] || [], spearman: history.spearman[key] || [] };
+    },
+    riskHistory: key => state.risks[key] ? state.risks[key].history : [],
+    sessionExport: buildSessionExport     // see recorder.js
+};
+
+// Creates the ward's patients, restores their stored history and starts
+// their data sources. `modelsLoaded` settles once any ?models= risk models
+// are registered.
+function startEngine(modelsLoaded) {
+    // Patient i runs on seed + i, so one seed reproduces the whole ward
+    const globalOptions = getDataSourceOptions();
+    const seed = globalOptions.seed !== null ? globalOptions.seed : Date.now() >>> 0;
+    console.log(`🎲 Simulator seed: ${seed} (reload with ?seed=${seed} to reproduce)`);
+
+    CONFIG.ward.patients.forEach((profile, i) => {
+        const patient = createPatientState(profile);
+        withPatient(patient, () => seedRandom((seed + i) >>> 0));
+        enginePatients.push(patient);
+    });
+
+    // Restore each patient's stored history, then start their data sources
+    return Promise.all([openVitalsDb(), modelsLoaded]).then(() => Promise.all(enginePatients.map(patient => withPatient(patient, () => {
+        const options = getDataSourceOptions(patient.profile);
+        if (options.type !== 'replay') return restoreSession();
+        patient.replaySpeed = options.speed || 1;
+    })))).then(() => {
+        startRetentionPolicy();
+        setupDeviceWatchdog();
+
+        enginePatients.forEach(patient => withPatient(patient, () => {
+            updateCorrelations();
+            updateRisks();
+            updateEarlyWarning();
+
+            // Add initial informational event
+            addAnomaly('info', 'System Initialized — Correlation Monitoring Active',
+                'Multi-signal correlation engine is online. Monitoring 6 physiological signals with real-time cross-correlation analysis. Early-stage risk prediction active.',
+                ['System', 'All Signals', 'Baseline Set'], 'low');
+
+            patient.source = createDataSource(getDataSourceOptions(patient.profile));
+            startSource(patient.source);
+            publishPatient(patient);
+        }));
+
+        console.log(`✅ Analytics engine running ${inAnalyticsWorker ? 'in a worker' : 'on the page'} — monitoring ${enginePatients.length} patients`);
+    });
+}
+
+function handleEngineMessage(message) {
+    const patient = enginePatients.find(p => p.id === message.patient);
+    if (message.type === 'focus') {
+        analyticsEngine.focus = message.patient;
+        if (patient) publishPatient(patient);
+    } else if (message.type === 'command') {
+        if (!patient) return;
+        withPatient(patient, () => ENGINE_COMMANDS[message.name](...message.args));
+        publishPatient(patient);
+    } else if (message.type === 'request') {
+        // Every request gets a reply, so the page's promise always settles
+        try {
+            if (!patient) throw new Error(`unknown patient "${message.patient}"`);
+            const result = withPatient(patient, () => ENGINE_REQUESTS[message.name](...message.args));
+            postToPage({ type: 'reply', id: message.id, result });
+        } catch (err) {
+            console.error(`❌ Engine request ${message.name} failed:`, err);
+            postToPage({ type: 'reply', id: message.id, error: err.message });
+        }
+    }
+}
+
+// Queues a snapshot of the patient for the page
+function publishPatient(patient) {
+    analyticsEngine.dirty.add(patient);
+    if (analyticsEngine.flushTimer === null) analyticsEngine.flushTimer = setTimeout(flushSnapshots, 0);
+}
+
+function flushSnapshots() {
+    analyticsEngine.flushTimer = null;
+    const dirty = [...analyticsEngine.dirty];
+    analyticsEngine.dirty.clear();
+    dirty.forEach(patient => postToPage({
+        type: 'snapshot',
+        patient: patient.id,
+        snapshot: patientSnapshot(patient, patient.id === analyticsEngine.focus)
+    }));
+}
+
+// What the page draws a patient from. Every snapshot carries the ward card
+// (latest readings, baselines and the activity they're read in, risk scores,
+// alerts, device and source); the dashboard patient's (`full`) adds the
+// windows and analysis behind its panels.
+function patientSnapshot(patient, full) {
+    const vitals = {};
+    CONFIG.signals.forEach(s => {
+        const v = patient.vitals[s];
+        vitals[s] = full ? { value: v.value, history: v.history, times: v.times } : { value: v.value };
+    });
+    const risks = {};
+    Object.entries(patient.risks).forEach(([key, risk]) => {
+        risks[key] = full ? { target: risk.target, factors: risk.factors, explanation: risk.explanation } : { target: risk.target };
+    });
+    const b = patient.baselines;
+    const snapshot = {
+        lastSampleTime: patient.lastSampleTime,
+        vitals,
+        risks,
+        baselines: { samples: b.samples, calibrated: b.calibrated, profiles: b.profiles },
+        activity: activitySnapshot(patient.activity),
+        anomalies: patient.anomalies,
+        // Open alerts that have scrolled off the timeline, still to be dealt with
+        pinnedAlerts: patient.alerts.open.filter(a => !patient.anomalies.includes(a)),
+        anomalyStats: patient.anomalyStats,
+        device: patient.device,
+        source: patient.source && {
+            name: patient.source.name,
+            progress: patient.source.progress ? patient.source.progress() : null
+        }
+    };
+    if (!full) return snapshot;
+    return {
+        ...snapshot,
+        correlations: patient.correlations,
+        correlationAnalysis: { pairs: patient.correlationAnalysis.pairs },
+        quality: patient.quality,
+        waveform: waveformSnapshot(patient.waveform),
+        sleep: sleepSnapshot(patient.sleep),
+        forecast: { signals: patient.forecast.signals },
+        earlyWarning: patient.earlyWarning,
+        journal: patient.journal,
+        recording: { active: patient.recording.active, ticks: patient.recording.samples.length },
+        scenario: patient.scenario && { key: patient.scenario.key },
+        replayFile: patient.replayFile,
+        replaySpeed: patient.replaySpeed
+    };
+}
+
+// The strip and what was derived from it; the detector stays with the engine
+function waveformSnapshot(w) {
+    return {
+        kind: w.kind,
+        rate: w.rate,
+        start: w.start,
+        values: w.values,
+        beats: w.beats.filter(b => b.t >= w.start),
+        metrics: w.metrics
+    };
+}
+
+// Everything but the motion window behind the means
+function activitySnapshot(activity) {
+    const { motion, ...rest } = activity;
+    return rest;
+}
+
+// The sleep report's night: the one under way, else the last
+function sleepSnapshot(sleep) {
+    return {
+        asleep: Boolean(sleep.session),
+        night: sleep.session ? sleep.session.summary : sleep.nights[sleep.nights.length - 1] || null
+    };
+}
+
+// On the page the message is cloned as postMessage() would, so the
+// dashboard never holds the engine's own objects
+function postToPage(message) {
+    if (inAnalyticsWorker) postMessage(message);
+    else receiveFromEngine(structuredClone(message));
+}
+
+// ======================== PAGE ========================
+const analyticsHost = {
+    worker: null,         // null while the engine runs on the page
+    ready: false,         // messages can be delivered
+    focus: null,          // last patient id sent with 'focus'
+    requests: new Map(),  // request id -> { resolve, reject }
+    nextRequest: 1
+};
+
+// Starts the engine in a worker, or on the page when that isn't possible
+function connectAnalytics(modelsLoaded) {
+    if (typeof Worker === 'undefined') {
+        runAnalyticsOnPage(modelsLoaded, 'Web Workers not supported');
+        return;
+    }
+    let worker;
+    try {
+        // The worker reads the same ?source=, ?seed=, ?models= ... as the page
+        worker = new Worker(`analytics-worker.js${location.search}`);
+    } catch (err) {
+        runAnalyticsOnPage(modelsLoaded, err.message);
+        return;
+    }
+    worker.addEventListener('message', e => receiveFromEngine(e.data));
+    worker.addEventListener('error', e => {
+        // Once running, an error is the engine's bug, not a reason to start a second one
+        if (analyticsHost.ready) return;
+        e.preventDefault();
+        worker.terminate();
+        runAnalyticsOnPage(modelsLoaded, e.message || 'the worker script failed to load');
+    });
+    analyticsHost.worker = worker;
+}
+
+function runAnalyticsOnPage(modelsLoaded, reason) {
+    console.warn(`⚠️ Analytics worker unavailable (${reason}) — running analytics on the page`);
+    analyticsHost.worker = null;
+    analyticsHost.ready = true;
+    startEngine(modelsLoaded);
+    postToEngine({ type: 'focus', patient: analyticsHost.focus });
+}
+
+function postToEngine(message) {
+    if (analyticsHost.worker) analyticsHost.worker.postMessage(message);
+    else if (analyticsHost.ready) handleEngineMessage(message);
+}
+
+// Tells the engine which patient the dashboard shows (null for the ward),
+// so that patient's snapshots carry everything its panels draw
+function focusAnalytics(patient) {
+    analyticsHost.focus = patient ? patient.id : null;
+    postToEngine({ type: 'focus', patient: analyticsHost.focus });
+}
+
+function sendEngineCommand(patient, name, ...args) {
+    postToEngine({ type: 'command', patient: patient.id, name, args });
+}
+
+// Resolves with what ENGINE_REQUESTS[name] returns for the patient
+function requestFromEngine(patient, name, ...args) {
+    const id = analyticsHost.nextRequest++;
+    return new Promise((resolve, reject) => {
+        analyticsHost.requests.set(id, { resolve, reject });
+        postToEngine({ type: 'request', id, patient: patient.id, name, args });
+    });
+}
+
+function receiveFromEngine(message) {
+    if (message.type === 'ready') {
+        analyticsHost.ready = true;
+        console.log('🧵 Analytics engine running in a worker');
+    } else if (message.type === 'snapshot') {
+        const patient = patients.find(p => p.id === message.patient);
+        if (!patient) return;
+        // Journal entries share the anomaly timeline
+        const anomaliesChanged = JSON.stringify(message.snapshot.anomalies) !== JSON.stringify(patient.anomalies)
+            || JSON.stringify(message.snapshot.pinnedAlerts) !== JSON.stringify(patient.pinnedAlerts)
+            || message.snapshot.anomalyStats.active !== patient.anomalyStats.active
+            || (message.snapshot.journal && JSON.stringify(message.snapshot.journal) !== JSON.stringify(patient.journal));
+        applySnapshot(patient, message.snapshot);
+        renderPatient(patient, anomaliesChanged);
+    } else if (message.type === 'reply') {
+        const pending = analyticsHost.requests.get(message.id);
+        if (!pending) return;
+        analyticsHost.requests.delete(message.id);
+        if (message.error) pending.reject(new Error(message.error));
+        else pending.resolve(message.result);
+    }
+}
+
+// The dashboard's copy of a patient, shaped like the snapshots that update it
+function createPatientMirror(profile) {
+    return {
+        ...createPatientState(profile),
+        recording: { active: false, ticks: 0 },
+        pinnedAlerts: [],                  // open alerts no longer on the timeline
+        source: null                       // { name, progress } from the engine
+    };
+}
+
+function applySnapshot(patient, snapshot) {
+    const { vitals, risks, ...rest } = snapshot;
+    Object.entries(vitals).forEach(([signal, v]) => Object.assign(patient.vitals[signal], v));
+    // The gauges animate `value` toward the engine's `target`, so slots are
+    // merged rather than replaced
+    Object.entries(risks).forEach(([key, risk]) => {
+        if (!riskModels[key]) return;
+        Object.assign(patient.risks[key] || (patient.risks[key] = createRiskSlot()), risk);
+    });
+    Object.assign(patient, rest);
+}
@@ -0,0 +1,21 @@
+/* ============================
+   VitalSync — Analytics Worker
+   Engine Entry Point · Off-Main-Thread Processing
+   ============================ */
+
+// Loads the engine's modules and starts it; the page talks to it through the
+// messages described in analytics-engine.js. The modules bring their
+// rendering functions along, but nothing here calls them. Created by
+// connectAnalytics() with the page's query string, so ?source=, ?seed=,
+// ?models= and the rest apply here as they would on the page.
+importScripts(
+    'history-store.js', 'persistence.js', 'sources.js', 'waveform.js', 'gatt.js',
+    'signal-quality.js', 'device.js', 'detector.js', 'correlation.js', 'activity.js', 'journal.js', 'baselines.js',
+    'sleep.js', 'scenarios.js', 'recorder.js', 'fhir.js', 'alerts.js', 'forecast.js', 'risk.js',
+    'early-warning.js', 'analytics-engine.js', 'app.js'
+);
+
+addEventListener('message', e => handleEngineMessage(e.data));
+
+startEngine(loadRiskModels());
+postToPage({ type: 'ready' });
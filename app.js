@@ -7,9 +7,213 @@
 const CONFIG = {
     updateInterval: 2000,       // ms between data updates
     chartPoints: 40,            // data points in mini-charts
-    trendPoints: 60,            // data points in trend charts
+    trendMaxPoints: 240,        // max points drawn per trend line (raw tier is bucketed down)
+    trendMinSpan: 60e3,         // ms, narrowest zoom on the trend charts
+    trendRetention: { raw: 24 * 3600e3, hourly: 30 * 24 * 3600e3, daily: 365 * 24 * 3600e3 }, // ms, in memory and on disk
     anomalyCheckInterval: 8000, // ms between anomaly checks
     correlationWindow: 20,      // samples for correlation calculation
+    correlation: {              // lagged, rank and significance analysis, see correlation.js
+        maxLag: 15,             // samples the cross-correlation searches each way (~30s);
+                                // capped so a full window still fits in the history
+        significance: 0.05,     // p-value a correlation must beat to count as significant
+        historyPoints: 900      // rolling correlations kept per pair (~30 min)
+    },
+    detector: {                 // correlation-shift detector, see detector.js
+        minSamples: 20,         // history needed before state.correlations are read
+        window: 40,             // samples the detector's own correlations are taken over; a
+                                // 20-sample window of drifting vitals is too noisy to score
+        priorTicks: 2000,       // ticks' worth of independent signals (r = 0) every structure
+                                // starts from, so a pattern present from the first minute
+                                // isn't learned as the patient's normal
+        adaptRate: 0.0002,      // slowest the learned structure ever moves
+        minSpread: 0.45,        // floor on a pair's learned Fisher-z spread; overlapping
+                                // windows of drifting vitals vary far more than 1/sqrt(n-3)
+        shrinkage: 0.9,         // share of the learned pair covariances given up toward zero
+        smoothing: 0.02,        // EWMA rate of the rolling Mahalanobis score
+        // Set against the baseline scenario, which has no events, and the
+        // autonomic-stress one, which must raise them: consecutive scores share
+        // most of their window, so a tick-level 0.99 fires many times an hour
+        // on noise. checks/detector-quiet.js holds them to both
+        openConfidence: 0.999,  // confidence needed for openTicks in a row
+        openTicks: 3,
+        closeConfidence: 0.9,   // confidence must stay under this for closeTicks
+        closeTicks: 5,
+        pairDeviation: 2        // |σ| for a pair to be named in the event
+    },
+    baseline: {                 // personal baseline learner, see baselines.js
+        calibrationSamples: 90,   // readings before learned ranges replace the reference (~3 min)
+        adaptRate: 0.01,          // quartile step as a fraction of the IQR
+        timeOfDay: true,          // keep separate night/morning/afternoon/evening profiles
+        periodMinSamples: 900,    // readings before a time-of-day profile is trusted (~30 min)
+        persistEvery: 30,
+        watchDeviation: 2.5,      // robust σ from the learned center for Watch / Alert
+        alertDeviation: 4,
+        // Population ranges used until calibration completes
+        reference: { hr: [60, 85], spo2: [95, 100], bp_sys: [110, 130], bp_dia: [70, 85], temp: [97.8, 99.1], rr: [12, 20], hrv: [30, 65] },
+        // Smallest spread a learned range may have, so a very steady signal
+        // doesn't turn every small wobble into a Watch
+        minSpread: { hr: 2, spo2: 0.5, bp_sys: 3, bp_dia: 2, temp: 0.2, rr: 1, hrv: 3 }
+    },
+    quality: {                  // signal-quality stage, see signal-quality.js
+        // Readings outside these ranges are sensor errors, not vitals
+        plausible: { hr: [25, 250], spo2: [50, 100], bp_sys: [50, 260], bp_dia: [25, 160], temp: [86, 110], rr: [0, 60], hrv: [2, 250] },
+        // Largest believable change between consecutive readings (~2s apart)
+        maxStep: { hr: 25, spo2: 5, bp_sys: 30, bp_dia: 20, temp: 1, rr: 10, hrv: 30 },
+        // Identical readings in a row before the sensor is considered stuck
+        flatlineSamples: { hr: 15, spo2: 90, bp_sys: 15, bp_dia: 15, temp: 150, rr: 15, hrv: 15 },
+        minWindowScore: 0.5     // below this a signal's correlations are held at their last value
+    },
+    alerts: {                   // rule-based alerts, see alerts.js for the rule format
+        escalateAfter: 120,     // s an alert may stay unacknowledged before its severity steps up
+        clearAfter: 60,         // s a rule must stay false before its alert auto-resolves
+        snoozeMinutes: 5,
+        rateWindow: 30,         // s of history behind rising/falling conditions
+        rules: [
+            { id: 'desat-hr-rising', name: 'Sustained Desaturation with Rising HR', severity: 'high',
+              conditions: [{ signal: 'spo2', below: 92, for: 30 }, { signal: 'hr', rising: 4 }] },
+            { id: 'desat-rr-coupling', name: 'Desaturation Driving Respiration', severity: 'medium',
+              conditions: [{ signal: 'spo2', below: 94 }, { pair: ['spo2', 'rr'], below: -0.6, for: 20 }] },
+            { id: 'tachycardia', name: 'Sustained Tachycardia', severity: 'medium', during: ['rest', 'sleep'],
+              conditions: [{ signal: 'hr', above: 120, for: 60 }] },
+            { id: 'bradycardia', name: 'Bradycardia', severity: 'high',
+              conditions: [{ signal: 'hr', below: 40, for: 20 }] },
+            { id: 'fever', name: 'Fever', severity: 'low',
+              conditions: [{ signal: 'temp', above: 100.4, for: 60 }] },
+            { id: 'news2-urgent', name: 'NEWS2 Urgent Response Threshold', severity: 'medium', during: ['rest', 'sleep'],
+              conditions: [{ score: 'news2', above: 4, for: 60 }] }
+        ]
+    },
+    earlyWarning: {             // NEWS2 / MEWS panel, see early-warning.js
+        historyInterval: 30e3,  // ms per sparkline point (worst score in the interval)
+        historyPoints: 120,     // ~1h of sparkline
+        chartMax: 10            // sparkline ceiling unless a score goes higher
+    },
+    forecast: {                 // per-signal projections, see forecast.js
+        window: 30 * 60e3,      // ms of trend history each model is fitted on
+        step: 60e3,             // ms per model step; samples are averaged into steps
+        minSteps: 8,            // unbroken steps needed before forecasting
+        settleSteps: 20,        // settled steps after a change of activity before early alerts
+        refitEvery: 15e3,       // ms of sample time between refits
+        horizon: 10 * 60e3,     // ms projected ahead
+        damping: 0.95,          // per-step trend damping
+        bandZ: 1.96,            // band half-width in forecast standard errors (~95%)
+        chartShare: 0.25,       // most of a live trend chart the forecast may take
+        confirmFor: 60,         // s a crossing must stay forecast before the early alert
+        severity: 'medium',
+        // Activity states early alerts are raised in: a forecast fitted on a
+        // workout only projects the workout (see activity.js)
+        during: ['rest', 'sleep'],
+        // Limits the early alert watches: HR, SpO2 and Temp as in the threshold
+        // rules above, RR and Sys BP at NEWS2's 3-point bands
+        thresholds: {
+            hr: { above: 120, below: 40 },
+            spo2: { below: 92 },
+            temp: { above: 100.4 },
+            rr: { above: 24, below: 9 },
+            bp_sys: { above: 219, below: 91 }
+        }
+    },
+    device: {                   // connection state and telemetry, see device.js
+        staleAfter: 6,          // s without a sample before the data is marked stale
+        disconnectAfter: 30,    // s without a sample before the device counts as disconnected
+        gapAfter: 6,            // s between samples that breaks the charts
+        maxGaps: 100,           // gaps kept per patient
+        lowBattery: 20,         // % that raises a low-battery event
+        reconnectEvery: 5       // s between attempts to reconnect a Bluetooth device, see gatt.js
+    },
+    dataSource: { type: 'simulator', url: '', speed: 1 }, // startup source, see sources.js
+    simulation: {               // see scenarios.js
+        scenario: 'autonomic-stress', seed: null, timeScale: 1,
+        battery: 87, batteryDrain: 4, firmware: '4.2.1',  // simulated telemetry, drain in %/h
+        waveform: 'ecg'         // 'ecg', 'ppg' or null; HR and HRV then come from its beats, see waveform.js
+    },
+    ward: {                     // patients on the ward overview, see ward.js
+        name: 'Step-Down Unit B',
+        // `source` overrides dataSource/simulation per patient; `resting`
+        // shifts the simulated patient's resting vitals
+        patients: [
+            { id: 'b01', name: 'John Doe', bed: 'B-01', age: 58, device: 'VitalBand Pro', source: { scenario: 'autonomic-stress' } },
+            { id: 'b02', name: 'Maria Santos', bed: 'B-02', age: 74, device: 'VitalBand Pro', source: { scenario: 'hypoxic-episode' },
+              resting: { hr: 80, spo2: 95, bp_sys: 138, bp_dia: 84, hrv: 24 } },
+            { id: 'b03', name: 'Aiden Brooks', bed: 'B-03', age: 27, device: 'VitalBand Sport', source: { scenario: 'exercise' },
+              resting: { hr: 50, bp_sys: 112, rr: 12, hrv: 74 } },
+            { id: 'b04', name: 'Grace Liu', bed: 'B-04', age: 63, device: 'VitalBand Pro', source: { scenario: 'obstructive-apnea' } },
+            { id: 'b05', name: 'Samuel Okafor', bed: 'B-05', age: 45, device: 'VitalBand Pro', source: { scenario: 'fever-onset' } },
+            { id: 'b06', name: 'Elena Petrova', bed: 'B-06', age: 81, device: 'VitalBand Lite', source: { scenario: 'vasovagal-syncope', battery: 22, waveform: 'ppg' },
+              resting: { hr: 66, bp_sys: 132, hrv: 20 } },
+            { id: 'b07', name: 'Noah Fischer', bed: 'B-07', age: 36, device: 'VitalBand Pro', source: { scenario: 'baseline' } },
+            { id: 'b08', name: 'Hannah Kim', bed: 'B-08', age: 52, device: 'VitalBand Lite', source: { scenario: 'baseline', waveform: 'ppg' },
+              resting: { hr: 76, temp: 98.2 } }
+        ]
+    },
+    riskHistoryPoints: 1800,    // per-tick risk scores kept for the breakdown chart (~1h), see risk.js
+    recordingMaxTicks: 43200,   // ticks kept by the session recorder (~24h at 2s)
+    fhir: {                     // FHIR R4 export, see fhir.js
+        system: 'urn:vitalsync',   // prefix of the identifier systems given to exported resources
+        chartEvery: 60          // s between exported observation sets; 0 exports every tick
+    },
+    waveform: {                 // ECG/PPG beat detection, see waveform.js
+        rate: { ecg: 250, ppg: 100 },   // Hz the simulator streams at
+        hrWindow: 6,            // s of beats averaged into the HR
+        hrvWindow: 30,          // s of beats HRV (RMSSD, SDNN, pNN50) is computed over
+        minIntervals: 10,       // successive NN intervals needed before HRV is given
+        minNormal: 0.8,         // share of beats that must pass as normal for HR or HRV to be given
+        strip: 5                // s shown on the HR card
+    },
+    sleep: {                    // sleep sessions and overnight oximetry, see sleep.js
+        epoch: 30,              // s per scored epoch
+        weights: { hr: -1, rr: -0.5, hrv: 0.5 },   // per robust σ from the awake reference
+        referenceRate: 0.05,    // share of the way the awake reference moves toward each plainly awake epoch
+        smoothEpochs: 3,        // epochs whose raw scores are averaged for staging
+        sleepAt: 1.5,           // staging score for light sleep
+        deepAt: 3.5,            // and for deep sleep
+        maxMotion: 0.2,         // share of an epoch's readings showing motion before it counts as wake
+        night: [22, 7],         // local hours [from, to) when nightPrior is added to every score
+        nightPrior: 0.5,
+        onsetEpochs: 20,        // sleep epochs in a row that start a session (10 min)
+        wakeEpochs: 20,         // wake epochs in a row that end it (10 min)
+        minNight: 20,           // min of sleep before a session is reported or read by risk models
+        nightsKept: 7,
+        desaturation: 3,        // % SpO2 drop from the preceding baseline for a desaturation event
+        desatBaseline: 120,     // s of SpO2 that baseline is the mean of
+        minEvent: 10,           // s a desaturation or RR pause must last
+        pauseRatio: 0.5,        // RR at or below this share of the awake resting RR is a pause
+        hypoxemia: 90           // SpO2 % the time below (T90) is measured against
+    },
+    activity: {                 // motion context, see activity.js
+        window: 30,             // s of motion each classification averages
+        walkingCadence: 60,     // steps/min from which the patient is walking
+        exerciseCadence: 130,   // and exercising
+        walkingAccel: 0.08,     // g of movement that counts the same without steps
+        exerciseAccel: 0.35,
+        stillAccel: 0.03,       // g from which a sample counts as movement in sleep scoring
+        onset: 30,              // s time constant of exertion rising to a more active state
+        recovery: 120,          // and of it coming back down
+        settled: 0.2,           // exertion within this of a state's level before its profile learns
+        // Expected change from the resting baseline: where a state's profile
+        // starts until it has learned the patient's own
+        response: {
+            walking: { shift: { hr: 20, rr: 4, bp_sys: 10, bp_dia: 2, hrv: -10 }, scale: 2 },
+            exercise: { shift: { hr: 50, rr: 12, bp_sys: 30, bp_dia: 4, temp: 0.8, hrv: -25 }, scale: 3 },
+            sleep: { shift: { hr: -8, rr: -2, bp_sys: -10, bp_dia: -6, temp: -0.4, hrv: 10 }, scale: 1.5 }
+        }
+    },
+    journal: {                  // logged events, see journal.js
+        responseWindow: 60,     // min after an entry its vitals response is measured over
+        baselineWindow: 15,     // min before it the response is measured against
+        minReadings: 10,        // readings each window needs for a signal to be measured
+        timelineHours: 24,      // h of entries shown on the anomaly timeline
+        maxNote: 280            // characters of free text kept
+    },
+    persistence: {              // IndexedDB storage, see persistence.js
+        enabled: true,
+        flushInterval: 2000,    // ms samples are batched for before one write for the ward
+        pruneInterval: 3600e3,  // ms between retention sweeps
+        retention: {            // ms kept on disk; samples and rollups follow trendRetention
+            anomalies: 30 * 24 * 3600e3,
+            journal: 365 * 24 * 3600e3
+        }
+    },
     signals: ['hr', 'spo2', 'bp_sys', 'bp_dia', 'temp', 'rr', 'hrv'],
     signalLabels: { hr: 'HR', spo2: 'SpO2', bp_sys: 'Sys BP', bp_dia: 'Dia BP', temp: 'Temp', rr: 'RR', hrv: 'HRV' },
     signalColors: {
@@ -19,233 +223,425 @@ const CONFIG = {
 };
 
 // ======================== STATE ========================
-const state = {
-    vitals: {
-        hr:     { value: 72, baseline: 72, min: 55, max: 105, variance: 3, unit: 'BPM', history: [] },
-        spo2:   { value: 98, baseline: 98, min: 92, max: 100, variance: 0.5, unit: '%', history: [] },
-        bp_sys: { value: 120, baseline: 120, min: 95, max: 150, variance: 4, unit: 'mmHg', history: [] },
-        bp_dia: { value: 80, baseline: 80, min: 60, max: 100, variance: 3, unit: 'mmHg', history: [] },
-        temp:   { value: 98.6, baseline: 98.6, min: 96.5, max: 101, variance: 0.2, unit: '°F', history: [] },
-        rr:     { value: 16, baseline: 16, min: 10, max: 25, variance: 1.5, unit: 'br/min', history: [] },
-        hrv:    { value: 42, baseline: 42, min: 15, max: 80, variance: 4, unit: 'ms', history: [] }
-    },
-    correlations: {},
-    risks: {
-        cardio:      { value: 12, target: 12, factors: [] },
-        respiratory: { value: 8, target: 8, factors: [] },
-        metabolic:   { value: 15, target: 15, factors: [] },
-        apnea:       { value: 6, target: 6, factors: [] }
-    },
-    anomalies: [],
-    anomalyStats: { total: 0, critical: 0, resolved: 0 },
-    trendData: { hr: [], spo2: [], bp_sys: [], bp_dia: [], rr: [], hrv: [] },
-    tick: 0,
-    anomalyMode: false,       // when true, simulate a multi-signal anomaly
-    anomalyModeStart: 0,
-    nextAnomalyTick: 30       // first anomaly event after ~60 seconds
+// Each ward patient has its own state object (vitals, correlations, risks,
+// anomalies, data source, ...). `state` points at the patient being worked on:
+// the one on screen, or inside withPatient() the one whose sample is being
+// processed, so the engine code reads and writes a single patient.
+// `patients` are the page's copies, drawn from the engine's snapshots (see
+// analytics-engine.js).
+const patients = [];
+let state = null;
+
+// View-level settings shared by every patient
+const view = {
+    mode: 'ward',             // 'ward' overview or a single 'patient' dashboard
+    patient: null,            // patient shown on the dashboard
+    trendRange: '24h',
+    trendWindow: null,        // zoomed/panned trend window, see trend-explorer.js
+    correlationMethod: 'pearson',      // or 'spearman', for the matrix and drill-down
+    correlationSignificantOnly: false  // grey out matrix cells that aren't significant
+};
+
+// `baseline` is the population resting value: the simulator's set point and
+// the reference before a personal baseline is learned (see baselines.js)
+const VITAL_DEFAULTS = {
+    hr:     { baseline: 72, min: 55, max: 105, variance: 3, unit: 'BPM' },
+    spo2:   { baseline: 98, min: 92, max: 100, variance: 0.5, unit: '%' },
+    bp_sys: { baseline: 120, min: 95, max: 150, variance: 4, unit: 'mmHg' },
+    bp_dia: { baseline: 80, min: 60, max: 100, variance: 3, unit: 'mmHg' },
+    temp:   { baseline: 98.6, min: 96.5, max: 101, variance: 0.2, unit: '°F' },
+    rr:     { baseline: 16, min: 10, max: 25, variance: 1.5, unit: 'br/min' },
+    hrv:    { baseline: 42, min: 15, max: 80, variance: 4, unit: 'ms' }
 };
 
+function createPatientState(profile) {
+    const vitals = {};
+    Object.entries(VITAL_DEFAULTS).forEach(([signal, defaults]) => {
+        // A resting override moves the whole simulated range with it. Moving a
+        // low resting value's floor down as far would take readings like HRV
+        // negative, so the floor scales with the resting value instead.
+        const resting = profile.resting && profile.resting[signal];
+        const shift = resting !== undefined ? resting - defaults.baseline : 0;
+        const floor = resting !== undefined ? defaults.min * resting / defaults.baseline : defaults.min;
+        vitals[signal] = {
+            ...defaults,
+            value: defaults.baseline + shift,
+            baseline: defaults.baseline + shift,
+            min: Math.max(defaults.min + shift, floor),
+            max: defaults.max + shift,
+            history: [],
+            times: []
+        };
+    });
+
+    return {
+        id: profile.id,
+        profile,
+        vitals,
+        correlations: {},
+        correlationAnalysis: createCorrelationAnalysis(),  // lags, Spearman, p-values (see correlation.js)
+        risks: createRiskState(),          // one slot per registered risk model (see risk.js)
+        anomalies: [],
+        anomalyStats: { total: 0, critical: 0, resolved: 0, active: 0 },  // active: unacknowledged alerts, on the timeline or not
+        detector: createDetectorState(),
+        quality: createQualityState(),     // per-sample signal quality (see signal-quality.js)
+        device: createDeviceState(),       // connection state, gaps, battery (see device.js)
+        waveform: createWaveformState(),   // ECG/PPG strip, beats and HRV (see waveform.js)
+        sleep: createSleepState(),         // sleep sessions and overnight oximetry (see sleep.js)
+        activity: createActivityState(),   // rest, walking, exercise or sleep (see activity.js)
+        journal: createJournalState(),     // logged meds, meals, symptoms and their responses (see journal.js)
+        alerts: createAlertState(),        // rule condition timers (see alerts.js)
+        forecast: createForecastState(),   // per-signal projections (see forecast.js)
+        earlyWarning: createEarlyWarningState(),  // NEWS2 / MEWS and manual observations (see early-warning.js)
+        baselines: createBaselineState(),  // learned per-patient ranges (see baselines.js)
+        trendStore: createTrendStore(),    // tiered long-term history (see history-store.js)
+        source: null,             // active data source (see sources.js)
+        lastSampleTime: 0,
+        recording: { active: false, samples: [], anomalies: [] },  // off until the Record button is pressed
+        replayFile: null,
+        replaySpeed: 1,
+        tick: 0,
+        scenario: null,           // running simulator scenario (see scenarios.js)
+        seed: 0,
+        random: Math.random       // replaced by a seeded PRNG at startup
+    };
+}
+
+function withPatient(patient, fn) {
+    const previous = state;
+    state = patient;
+    try {
+        return fn();
+    } finally {
+        state = previous;
+    }
+}
+
+function isOnScreen(patient) {
+    return view.mode === 'patient' && view.patient === patient;
+}
+
 // ======================== UTILITIES ========================
 function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
 function lerp(a, b, t) { return a + (b - a) * t; }
+// For text from outside the app (notes, ?models= and ?scenario= definitions)
+// put into markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+// Mulberry32 — small, fast seeded PRNG so simulator runs are reproducible
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+function seedRandom(seed) {
+    state.seed = seed >>> 0;
+    state.random = createSeededRandom(state.seed);
+}
+function random() { return state.random(); }
 function gaussRandom() {
     let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
+    while (u === 0) u = random();
+    while (v === 0) v = random();
     return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 }
 function formatTime(d) {
     return d.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
 }
-function pearsonCorrelation(x, y) {
+// `weights` (optional, one per sample of the aligned tail) down-weights
+// samples flagged by the signal-quality stage
+function pearsonCorrelation(x, y, weights) {
     const n = Math.min(x.length, y.length);
     if (n < 5) return 0;
     const xs = x.slice(-n), ys = y.slice(-n);
-    const mx = xs.reduce((a, b) => a + b, 0) / n;
-    const my = ys.reduce((a, b) => a + b, 0) / n;
+    const ws = weights ? weights.slice(-n) : xs.map(() => 1);
+    const total = ws.reduce((a, b) => a + b, 0);
+    if (total < 5) return 0;
+    const mx = xs.reduce((a, b, i) => a + b * ws[i], 0) / total;
+    const my = ys.reduce((a, b, i) => a + b * ws[i], 0) / total;
     let num = 0, dx = 0, dy = 0;
     for (let i = 0; i < n; i++) {
         const xd = xs[i] - mx, yd = ys[i] - my;
-        num += xd * yd;
-        dx += xd * xd;
-        dy += yd * yd;
+        num += ws[i] * xd * yd;
+        dx += ws[i] * xd * xd;
+        dy += ws[i] * yd * yd;
     }
     const denom = Math.sqrt(dx * dy);
     return denom === 0 ? 0 : num / denom;
 }
+function fisherZ(r) {
+    const c = clamp(r, -0.999, 0.999);
+    return 0.5 * Math.log((1 + c) / (1 - c));
+}
+// Abramowitz–Stegun 7.1.26 approximation of the error function
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+// Wilson–Hilferty normal approximation of the chi-square CDF
+function chiSquareCdf(x, k) {
+    if (x <= 0) return 0;
+    const h = 2 / (9 * k);
+    return normalCdf((Math.pow(x / k, 1 / 3) - (1 - h)) / Math.sqrt(h));
+}
 
 // ======================== VITALS SIMULATOR ========================
 function generateVital(signal) {
     const v = state.vitals[signal];
     const tick = state.tick;
+    const scenario = state.scenario;
 
     // Circadian-like slow oscillation
     const circadian = Math.sin(tick * 0.02) * v.variance * 0.5;
     // Noise
     const noise = gaussRandom() * v.variance;
 
-    // Mean-reversion toward baseline
-    const reversion = (v.baseline - v.value) * 0.08;
+    // Scenario offsets ride on top of the random walk, so strip last tick's
+    // offset before mean-reverting toward baseline. The walk continues from
+    // the value generated before any sensor artifacts were applied.
+    const offset = scenario ? scenario.offsets[signal] || 0 : 0;
+    const prevOffset = scenario ? scenario.previous[signal] || 0 : 0;
+    const previous = scenario && scenario.clean[signal] !== undefined ? scenario.clean[signal] : v.value;
+    const walk = previous - prevOffset;
+    const reversion = (v.baseline - walk) * 0.08;
 
-    let newVal = v.value + reversion + circadian * 0.1 + noise;
+    let newVal = walk + reversion + circadian * 0.1 + noise + offset;
 
-    // During anomaly mode, create subtle correlated drifts
-    if (state.anomalyMode) {
-        const elapsed = tick - state.anomalyModeStart;
-        const severity = Math.min(elapsed / 15, 1); // ramp over 15 ticks (~30s)
-
-        switch (signal) {
-            case 'hr':    newVal += severity * 8 + gaussRandom() * 2; break;
-            case 'spo2':  newVal -= severity * 2.5 + Math.abs(gaussRandom()) * 0.5; break;
-            case 'rr':    newVal += severity * 4 + gaussRandom(); break;
-            case 'hrv':   newVal -= severity * 10 + Math.abs(gaussRandom()) * 2; break;
-            case 'bp_sys': newVal += severity * 6 + gaussRandom() * 2; break;
-            case 'temp':  newVal += severity * 0.6 + gaussRandom() * 0.1; break;
-        }
-
-        // End anomaly after ~20 ticks (40s) — auto-resolve
-        if (elapsed > 20) {
-            state.anomalyMode = false;
-            addAnomaly('auto-resolved', 'Multi-Signal Pattern Normalized',
-                'Correlation patterns have returned to baseline. The transient divergence resolved without intervention.',
-                ['HR', 'SpO2', 'HRV'], 'low');
-            state.nextAnomalyTick = tick + 25 + Math.floor(Math.random() * 20);
-        }
-    }
-
-    newVal = clamp(newVal, v.min, v.max);
+    const limits = scenario && scenario.def.limits && scenario.def.limits[signal];
+    newVal = limits ? clamp(newVal, limits[0], limits[1]) : clamp(newVal, v.min, v.max);
     if (signal === 'spo2') newVal = Math.round(newVal * 10) / 10;
     if (signal === 'temp') newVal = Math.round(newVal * 10) / 10;
     else if (signal !== 'spo2') newVal = Math.round(newVal * 10) / 10;
 
-    v.value = newVal;
-    v.history.push(newVal);
-    if (v.history.length > CONFIG.chartPoints) v.history.shift();
+    return newVal;
 }
 
-function updateAllVitals() {
+function simulateSample() {
     state.tick++;
+    if (state.scenario) updateScenario();
+
+    const values = {};
+    CONFIG.signals.forEach(s => { values[s] = generateVital(s); });
+    if (state.scenario) applyArtifacts(values);
+    // The patient carries on during a dropped link; the readings never arrive
+    if (state.scenario && state.scenario.connectionLost) return null;
+    const sample = { timestamp: Date.now(), values };
+    if (state.scenario) sample.motion = simulateMotion();
+    return sample;
+}
 
-    // Check if should trigger anomaly mode
-    if (!state.anomalyMode && state.tick >= state.nextAnomalyTick) {
-        state.anomalyMode = true;
-        state.anomalyModeStart = state.tick;
-        addAnomaly('active', 'Multi-Signal Correlation Divergence Detected',
-            'HR-SpO2 inverse correlation strengthening while HRV is declining. This pattern may indicate early-stage autonomic stress response. Monitoring closely.',
-            ['HR↔SpO2', 'HRV Decline', 'Correlation Shift'], 'medium');
-    }
-
-    CONFIG.signals.forEach(s => generateVital(s));
+// ======================== SAMPLE PIPELINE ========================
+// Every data source feeds this with { timestamp, values }; signals missing
+// from a sample keep their previous value.
+function ingestSample(sample) {
+    trackDeviceSample(sample);
+    // A waveform's beats give the HR and HRV, a strap's RR intervals the HRV (see waveform.js)
+    if (sample.waveform) sample = { ...sample, values: { ...sample.values, ...ingestWaveform(sample) } };
+    else if (sample.intervals) sample = { ...sample, values: { ...sample.values, ...ingestIntervals(sample) } };
+    // Missing and implausible readings are dropped here; the previous value
+    // is carried forward and the sample weighted out (see signal-quality.js)
+    const accepted = assessSample(state.quality, sample);
+    CONFIG.signals.forEach(signal => {
+        const v = state.vitals[signal];
+        if (accepted[signal] !== undefined) v.value = accepted[signal];
+        v.history.push(v.value);
+        v.times.push(sample.timestamp);
+        if (v.history.length > CONFIG.chartPoints) {
+            v.history.shift();
+            v.times.shift();
+        }
+    });
+    state.lastSampleTime = sample.timestamp;
+    updateActivity(sample);
 
     // Store trend data
-    ['hr', 'spo2', 'bp_sys', 'bp_dia', 'rr', 'hrv'].forEach(s => {
-        state.trendData[s].push(state.vitals[s].value);
-        if (state.trendData[s].length > CONFIG.trendPoints) state.trendData[s].shift();
-    });
+    const values = {};
+    CONFIG.signals.forEach(s => { values[s] = state.vitals[s].value; });
+    addToTrendStore(sample.timestamp, values);
+    persistSample(sample.timestamp, values);
 
     updateCorrelations();
+    updateDetector();
+    updateBaselines(sample.timestamp, cleanValues(values));
+    updateSleep(sample.timestamp, cleanValues(values), sample.motion);
+    updateEarlyWarning();
+    updateForecasts();
+    updateAlerts();
     updateRisks();
-    renderVitals();
-    renderCorrelationMatrix();
-    renderRisks();
-    renderTrendCharts();
-    updateHeader();
+    measureJournalResponses();
+    recordTick(sample);
+    publishPatient(state);
+}
+
+// Runs every sample from `source` through the pipeline as the patient that
+// started it, whichever patient is on screen
+function startSource(source) {
+    const patient = state;
+    source.start(
+        sample => withPatient(patient, () => ingestSample(sample)),
+        (status, detail) => withPatient(patient, () => setDeviceStatus(status, detail))
+    );
+}
+
+// Clears everything derived from the previous stream so a new source
+// (e.g. a replayed file) starts from a blank slate
+function resetSession() {
+    CONFIG.signals.forEach(signal => {
+        const v = state.vitals[signal];
+        v.value = v.baseline;
+        v.history = [];
+        v.times = [];
+    });
+    state.trendStore = createTrendStore();
+    state.correlations = {};
+    state.correlationAnalysis = createCorrelationAnalysis();
+    state.detector = createDetectorState();
+    state.quality = createQualityState();
+    state.waveform = createWaveformState();
+    state.sleep = createSleepState();
+    state.activity = createActivityState();
+    state.device = { ...createDeviceState(), battery: state.device.battery, firmware: state.device.firmware };
+    state.alerts = createAlertState();
+    state.forecast = createForecastState();
+    state.earlyWarning.history = { news2: [], mews: [] };
+    Object.values(state.risks).forEach(risk => { risk.history = []; });
+    state.baselines = createBaselineState();
+    state.anomalies = [];
+    state.anomalyStats = { total: 0, critical: 0, resolved: 0, active: 0 };
+    state.journal = createJournalState();
+    state.recording.samples = [];
+    state.recording.anomalies = [];
+    state.lastSampleTime = 0;
+}
+
+function switchDataSource(source) {
+    const patient = state;
+    if (patient.source) patient.source.stop();
+    resetSession();
+    patient.source = source;
+
+    // Going back to live data picks up the stored history again
+    const restored = source.name === 'replay' ? Promise.resolve() : restoreSession();
+    restored.then(() => withPatient(patient, () => {
+        if (patient.source !== source) return;
+        startSource(source);
+        publishPatient(patient);
+        console.log(`🔀 ${patient.profile.name}: data source switched to ${source.name}`);
+    }));
 }
 
 // ======================== CORRELATION ENGINE ========================
+// Zero-lag Pearson over the last correlationWindow samples of each pair;
+// correlation.js builds the lagged and rank analysis on top
 function updateCorrelations() {
-    const matrixSignals = ['hr', 'spo2', 'bp_sys', 'temp', 'rr', 'hrv'];
-    for (let i = 0; i < matrixSignals.length; i++) {
-        for (let j = 0; j < matrixSignals.length; j++) {
-            const key = `${matrixSignals[i]}_${matrixSignals[j]}`;
+    const signals = ['hr', 'spo2', 'bp_sys', 'temp', 'rr', 'hrv'];
+    for (let i = 0; i < signals.length; i++) {
+        for (let j = 0; j < signals.length; j++) {
+            const key = `${signals[i]}_${signals[j]}`;
             if (i === j) {
                 state.correlations[key] = 1;
             } else {
-                const x = state.vitals[matrixSignals[i]].history;
-                const y = state.vitals[matrixSignals[j]].history;
-                state.correlations[key] = pearsonCorrelation(x, y);
+                const a = signals[i], b = signals[j];
+                // A window made mostly of artifacts keeps the last coefficient
+                // rather than reporting one computed from sensor noise
+                if (Math.min(signalQuality(a), signalQuality(b)) < CONFIG.quality.minWindowScore) continue;
+                const win = pairWindow(state.quality, state.vitals[a].history, state.vitals[b].history, a, b);
+                state.correlations[key] = pearsonCorrelation(win.x, win.y, win.w);
             }
         }
     }
-}
-
-// ======================== RISK PREDICTION ENGINE ========================
-function updateRisks() {
-    const v = state.vitals;
-
-    // Cardiovascular: HR, BP, HRV
-    const hrDev = Math.abs(v.hr.value - v.hr.baseline) / v.hr.baseline;
-    const bpDev = Math.abs(v.bp_sys.value - v.bp_sys.baseline) / v.bp_sys.baseline;
-    const hrvDev = Math.abs(v.hrv.value - v.hrv.baseline) / v.hrv.baseline;
-    const hrBpCorr = Math.abs(state.correlations['hr_bp_sys'] || 0);
-    let cardioRisk = (hrDev * 30 + bpDev * 25 + hrvDev * 25 + hrBpCorr * 20) * 100;
-    cardioRisk = clamp(cardioRisk, 3, 95);
-    state.risks.cardio.target = Math.round(cardioRisk);
-    state.risks.cardio.factors = [
-        `HR-BP Sync: ${hrBpCorr > 0.5 ? 'Elevated' : 'Normal'}`,
-        `HRV Stability: ${hrvDev < 0.15 ? 'Good' : hrvDev < 0.3 ? 'Fair' : 'Poor'}`
-    ];
-
-    // Respiratory: SpO2, RR, HR
-    const spo2Dev = Math.abs(v.spo2.value - v.spo2.baseline) / v.spo2.baseline;
-    const rrDev = Math.abs(v.rr.value - v.rr.baseline) / v.rr.baseline;
-    const spo2RrCorr = Math.abs(state.correlations['spo2_rr'] || 0);
-    let respRisk = (spo2Dev * 35 + rrDev * 30 + hrDev * 15 + spo2RrCorr * 20) * 100;
-    respRisk = clamp(respRisk, 2, 95);
-    state.risks.respiratory.target = Math.round(respRisk);
-    state.risks.respiratory.factors = [
-        `SpO2-RR Sync: ${spo2RrCorr > 0.5 ? 'Diverging' : 'Normal'}`,
-        `Breathing Pattern: ${rrDev < 0.15 ? 'Regular' : 'Irregular'}`
-    ];
-
-    // Metabolic: Temp, HR, BP
-    const tempDev = Math.abs(v.temp.value - v.temp.baseline) / v.temp.baseline;
-    const tempHrCorr = Math.abs(state.correlations['temp_hr'] || 0);
-    let metaRisk = (tempDev * 30 + hrDev * 25 + bpDev * 20 + tempHrCorr * 25) * 100;
-    metaRisk = clamp(metaRisk, 3, 95);
-    state.risks.metabolic.target = Math.round(metaRisk);
-    state.risks.metabolic.factors = [
-        `Temp-HR Pattern: ${tempHrCorr > 0.5 ? 'Coupling' : 'Normal'}`,
-        `Circadian Rhythm: ${tempDev < 0.005 ? 'Aligned' : 'Shifted'}`
-    ];
-
-    // Sleep Apnea: SpO2, RR, HRV
-    const spo2HrvCorr = Math.abs(state.correlations['spo2_hrv'] || 0);
-    let apneaRisk = (spo2Dev * 35 + rrDev * 25 + hrvDev * 20 + spo2HrvCorr * 20) * 100;
-    apneaRisk = clamp(apneaRisk, 1, 95);
-    state.risks.apnea.target = Math.round(apneaRisk);
-    state.risks.apnea.factors = [
-        `Night SpO2 Dips: ${spo2Dev > 0.02 ? 'Detected' : 'None'}`,
-        `RR Irregularity: ${rrDev < 0.1 ? 'Low' : 'Moderate'}`
-    ];
+    analyseCorrelations();
 }
 
 // ======================== ANOMALY EVENTS ========================
-function addAnomaly(status, title, description, tags, severity) {
-    const now = new Date();
-    state.anomalies.unshift({
-        id: Date.now(),
-        time: formatTime(now),
+// `details` carries detector-specific fields (pairs, confidence, ...)
+function addAnomaly(status, title, description, tags, severity, details) {
+    const timestamp = state.lastSampleTime || Date.now();
+    const anomaly = {
+        ...details,
+        // Unique per patient even when two events land in the same millisecond
+        id: Math.max(Date.now(), state.anomalies.length ? state.anomalies[0].id + 1 : 0),
+        timestamp,
+        time: formatTime(new Date(timestamp)),
         title,
         description,
         tags,
         severity,
         status
-    });
+    };
+    state.anomalies.unshift(anomaly);
+    trackOpenAlert(anomaly);
+    recordAnomaly(anomaly);
+    persistAnomaly(anomaly);
 
     if (state.anomalies.length > 15) state.anomalies.pop();
 
+    updateAnomalyStats();
+    return anomaly;
+}
+
+// Applies changes (e.g. a status transition) to an existing anomaly
+function updateAnomaly(anomaly, changes) {
+    Object.assign(anomaly, changes);
+    trackOpenAlert(anomaly);
+    recordAnomaly(anomaly);
+    persistAnomaly(anomaly);
+    updateAnomalyStats();
+}
+
+function updateAnomalyStats() {
     state.anomalyStats.total = state.anomalies.length;
     state.anomalyStats.critical = state.anomalies.filter(a => a.severity === 'high' || a.status === 'active').length;
     state.anomalyStats.resolved = state.anomalies.filter(a => a.status === 'auto-resolved').length;
-
-    renderAnomalyTimeline();
+    state.anomalyStats.active = state.alerts.open.filter(a => a.status === 'active').length;
 }
 
 // ======================== RENDERING ========================
+// Redraws wherever `patient` shows after a snapshot from the engine. The
+// timeline is only rebuilt when its alerts changed, so its buttons stay put
+// under the pointer between samples.
+function renderPatient(patient, anomaliesChanged) {
+    if (anomaliesChanged) renderAlertBadge();
+    if (isOnScreen(patient)) {
+        withPatient(patient, () => {
+            renderDashboard();
+            if (anomaliesChanged) renderAnomalyTimeline();
+        });
+    } else if (view.mode === 'ward') {
+        updateWardCard(patient);
+    }
+}
+
+// Full single-patient dashboard for the patient on screen
+function renderDashboard() {
+    renderVitals();
+    renderSignalQuality();
+    renderCorrelationMatrix();
+    renderCorrelationDetail();
+    renderRisks();
+    renderRiskDetail();
+    renderEarlyWarning();
+    renderSleepReport();
+    renderTrendCharts();
+    renderDeviceStatus();
+    renderActivity();
+    renderJournal();
+    renderSessionControls();
+}
+
 function renderVitals() {
     const v = state.vitals;
 
+    renderBaselineRanges();
+
     // HR
     updateVitalCard('hr', Math.round(v.hr.value), v.hr);
     // SpO2
@@ -253,7 +649,7 @@ function renderVitals() {
     // BP
     const bpEl = document.getElementById('bp-value');
     if (bpEl) bpEl.textContent = `${Math.round(v.bp_sys.value)}/${Math.round(v.bp_dia.value)}`;
-    updateVitalStatus('bp', v.bp_sys);
+    updateVitalStatus('bp', ['bp_sys', 'bp_dia']);
     // Temp
     updateVitalCard('temp', v.temp.value.toFixed(1), v.temp);
     // RR
@@ -262,35 +658,38 @@ function renderVitals() {
     updateVitalCard('hrv', Math.round(v.hrv.value), v.hrv);
 
     // Render mini charts
-    renderMiniChart('hr-chart', v.hr.history, CONFIG.signalColors.hr, v.hr.min, v.hr.max);
-    renderMiniChart('spo2-chart', v.spo2.history, CONFIG.signalColors.spo2, v.spo2.min, v.spo2.max);
-    renderMiniChart('bp-chart', v.bp_sys.history, CONFIG.signalColors.bp_sys, v.bp_sys.min, v.bp_sys.max);
-    renderMiniChart('temp-chart', v.temp.history, CONFIG.signalColors.temp, v.temp.min, v.temp.max);
-    renderMiniChart('rr-chart', v.rr.history, CONFIG.signalColors.rr, v.rr.min, v.rr.max);
-    renderMiniChart('hrv-chart', v.hrv.history, CONFIG.signalColors.hrv, v.hrv.min, v.hrv.max);
+    renderMiniChart('hr-chart', v.hr.history, CONFIG.signalColors.hr, v.hr.min, v.hr.max, v.hr.times);
+    renderMiniChart('spo2-chart', v.spo2.history, CONFIG.signalColors.spo2, v.spo2.min, v.spo2.max, v.spo2.times);
+    renderMiniChart('bp-chart', v.bp_sys.history, CONFIG.signalColors.bp_sys, v.bp_sys.min, v.bp_sys.max, v.bp_sys.times);
+    renderMiniChart('temp-chart', v.temp.history, CONFIG.signalColors.temp, v.temp.min, v.temp.max, v.temp.times);
+    renderMiniChart('rr-chart', v.rr.history, CONFIG.signalColors.rr, v.rr.min, v.rr.max, v.rr.times);
+    renderMiniChart('hrv-chart', v.hrv.history, CONFIG.signalColors.hrv, v.hrv.min, v.hrv.max, v.hrv.times);
+
+    renderWaveform();
 }
 
 function updateVitalCard(signal, displayValue, vitalObj) {
     const el = document.getElementById(`${signal}-value`);
     if (el) el.textContent = displayValue;
-    updateVitalStatus(signal, vitalObj);
+    updateVitalStatus(signal, [signal]);
     updateVitalTrend(signal, vitalObj);
 }
 
-function updateVitalStatus(signal, vitalObj) {
-    const statusEl = document.getElementById(`${signal}-status`);
+function updateVitalStatus(card, signals) {
+    const statusEl = document.getElementById(`${card}-status`);
     if (!statusEl) return;
-    const deviation = Math.abs(vitalObj.value - vitalObj.baseline) / Math.abs(vitalObj.max - vitalObj.min);
-    if (deviation > 0.35) {
-        statusEl.textContent = 'Alert';
-        statusEl.className = 'vital-status vital-status-alert';
-    } else if (deviation > 0.18) {
-        statusEl.textContent = 'Watch';
-        statusEl.className = 'vital-status vital-status-warning';
-    } else {
-        statusEl.textContent = 'Normal';
-        statusEl.className = 'vital-status vital-status-normal';
-    }
+    const level = vitalStatusLevel(signals);
+    statusEl.textContent = { normal: 'Normal', warning: 'Watch', alert: 'Alert' }[level];
+    statusEl.className = `vital-status vital-status-${level}`;
+}
+
+// A card's status follows its most deviant signal, in robust σ from the
+// patient's learned baseline (see baselines.js)
+function vitalStatusLevel(signals) {
+    const deviation = Math.max(...signals.map(s => Math.abs(baselineDeviation(s))));
+    if (deviation > CONFIG.baseline.alertDeviation) return 'alert';
+    if (deviation > CONFIG.baseline.watchDeviation) return 'warning';
+    return 'normal';
 }
 
 function updateVitalTrend(signal, vitalObj) {
@@ -313,10 +712,13 @@ function updateVitalTrend(signal, vitalObj) {
         trendEl.textContent = `→ ${pctChange}%`;
         trendEl.className = 'vital-trend trend-stable';
     }
+    trendEl.title = forecastSummary(signal);
 }
 
 // ======================== MINI CHARTS ========================
-function renderMiniChart(containerId, data, color, minVal, maxVal) {
+// With `times`, points are placed by time and the line breaks at data gaps
+// (see device.js); without, they are spread evenly
+function renderMiniChart(containerId, data, color, minVal, maxVal, times) {
     const container = document.getElementById(containerId);
     if (!container || data.length < 2) return;
 
@@ -326,65 +728,59 @@ function renderMiniChart(containerId, data, color, minVal, maxVal) {
         container.appendChild(canvas);
     }
 
-    const rect = container.getBoundingClientRect();
-    const dpr = window.devicePixelRatio || 1;
-    canvas.width = rect.width * dpr;
-    canvas.height = rect.height * dpr;
-    canvas.style.width = rect.width + 'px';
-    canvas.style.height = rect.height + 'px';
-
-    const ctx = canvas.getContext('2d');
-    ctx.scale(dpr, dpr);
-    ctx.clearRect(0, 0, rect.width, rect.height);
-
-    const w = rect.width;
-    const h = rect.height;
-    const padding = 4;
-    const range = maxVal - minVal || 1;
-
-    // Draw gradient fill
-    const gradient = ctx.createLinearGradient(0, 0, 0, h);
-    gradient.addColorStop(0, color + '30');
-    gradient.addColorStop(1, color + '05');
+    // Redrawn when a sample arrives, the window slides or the scale moves
+    const newest = data.length - 1;
+    const deps = [color, minVal, maxVal, data.length, data[0], data[newest], times ? times[newest] : null];
+    drawChart(canvas, container, box => [box.width, box.height], deps, (ctx, w, h) => {
+        // The history may have grown since this draw was queued
+        const last = data.length - 1;
+        const padding = 4;
+        const range = maxVal - minVal || 1;
+        const span = times ? times[last] - times[0] || 1 : last;
+        const xAt = i => padding + ((times ? times[i] - times[0] : i) / span) * (w - padding * 2);
+        const yAt = i => padding + (1 - (data[i] - minVal) / range) * (h - padding * 2);
+        const runs = plotRuns(times, data, CONFIG.device.gapAfter * 1000, w);
+        const trace = run => {
+            ctx.moveTo(xAt(run[0]), yAt(run[0]));
+            for (let k = 1; k < run.length; k++) ctx.lineTo(xAt(run[k]), yAt(run[k]));
+        };
+
+        // Draw gradient fill
+        const gradient = ctx.createLinearGradient(0, 0, 0, h);
+        gradient.addColorStop(0, color + '30');
+        gradient.addColorStop(1, color + '05');
 
-    ctx.beginPath();
-    for (let i = 0; i < data.length; i++) {
-        const x = padding + (i / (data.length - 1)) * (w - padding * 2);
-        const y = padding + (1 - (data[i] - minVal) / range) * (h - padding * 2);
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-    }
-    ctx.lineTo(padding + w - padding * 2, h);
-    ctx.lineTo(padding, h);
-    ctx.closePath();
-    ctx.fillStyle = gradient;
-    ctx.fill();
+        ctx.beginPath();
+        runs.forEach(run => {
+            trace(run);
+            ctx.lineTo(xAt(run[run.length - 1]), h);
+            ctx.lineTo(xAt(run[0]), h);
+            ctx.closePath();
+        });
+        ctx.fillStyle = gradient;
+        ctx.fill();
 
-    // Draw line
-    ctx.beginPath();
-    for (let i = 0; i < data.length; i++) {
-        const x = padding + (i / (data.length - 1)) * (w - padding * 2);
-        const y = padding + (1 - (data[i] - minVal) / range) * (h - padding * 2);
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-    }
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 1.5;
-    ctx.lineJoin = 'round';
-    ctx.stroke();
+        // Draw line
+        ctx.beginPath();
+        runs.forEach(trace);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
 
-    // Draw endpoint dot
-    const lastX = padding + (w - padding * 2);
-    const lastY = padding + (1 - (data[data.length - 1] - minVal) / range) * (h - padding * 2);
-    ctx.beginPath();
-    ctx.arc(lastX, lastY, 3, 0, Math.PI * 2);
-    ctx.fillStyle = color;
-    ctx.fill();
-    ctx.beginPath();
-    ctx.arc(lastX, lastY, 5, 0, Math.PI * 2);
-    ctx.strokeStyle = color + '60';
-    ctx.lineWidth = 1;
-    ctx.stroke();
+        // Draw endpoint dot
+        const lastX = xAt(last);
+        const lastY = yAt(last);
+        ctx.beginPath();
+        ctx.arc(lastX, lastY, 3, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(lastX, lastY, 5, 0, Math.PI * 2);
+        ctx.strokeStyle = color + '60';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    });
 }
 
 // ======================== CORRELATION MATRIX ========================
@@ -422,6 +818,11 @@ function buildCorrelationMatrix() {
             cell.className = 'matrix-cell' + (i === j ? ' diagonal' : '');
             cell.id = `corr-${rowSig}-${colSig}`;
             cell.textContent = i === j ? '1.00' : '0.00';
+            if (i !== j) {
+                cell.dataset.pair = `${rowSig}_${colSig}`;
+                cell.setAttribute('role', 'button');
+                cell.tabIndex = 0;
+            }
             row.appendChild(cell);
         });
 
@@ -435,11 +836,16 @@ function renderCorrelationMatrix() {
             if (i === j) return;
             const cell = document.getElementById(`corr-${rowSig}-${colSig}`);
             if (!cell) return;
-            const key = `${rowSig}_${colSig}`;
-            const val = state.correlations[key] || 0;
+            const { r: val, p } = matrixReading(rowSig, colSig);
+            const greyed = view.correlationSignificantOnly && !isSignificant(p);
             cell.textContent = val.toFixed(2);
-            cell.style.background = getCorrelationColor(val);
-            cell.style.color = Math.abs(val) > 0.5 ? '#fff' : 'rgba(255,255,255,0.6)';
+            cell.style.background = greyed ? '' : getCorrelationColor(val);
+            cell.style.color = greyed ? '' : Math.abs(val) > 0.5 ? '#fff' : 'rgba(255,255,255,0.6)';
+            cell.classList.toggle('matrix-cell-insignificant', greyed);
+            const lagged = pairAnalysis(rowSig, colSig);
+            cell.title = `${pairLabel(rowSig, colSig)}: ${formatR(val)}` +
+                (p === null ? '' : ` (${formatP(p)})`) +
+                (lagged ? ` • peak ${formatR(lagged.lagR)} ${describeLag(rowSig, colSig, lagged.lag)}` : '');
         });
     });
 }
@@ -467,7 +873,7 @@ function renderRisks() {
         const factorsEl = document.getElementById(`risk-${key}-factors`);
         if (factorsEl) {
             factorsEl.innerHTML = risk.factors.map(f =>
-                `<span class="risk-factor">${f}</span>`
+                `<span class="risk-factor">${escapeHtml(f)}</span>`
             ).join('');
         }
 
@@ -480,69 +886,61 @@ function renderRisks() {
     });
 }
 
-function renderGauge(canvasId, value) {
+function renderGauge(canvasId, value, size = 140) {
     const canvas = document.getElementById(canvasId);
     if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    const dpr = window.devicePixelRatio || 1;
-    const size = 140;
-
-    canvas.width = size * dpr;
-    canvas.height = size * dpr;
-    canvas.style.width = size + 'px';
-    canvas.style.height = size + 'px';
-    ctx.scale(dpr, dpr);
-    ctx.clearRect(0, 0, size, size);
-
-    const cx = size / 2;
-    const cy = size / 2;
-    const radius = 58;
-    const lineWidth = 8;
-    const startAngle = 0.75 * Math.PI;
-    const endAngle = 2.25 * Math.PI;
-    const sweep = endAngle - startAngle;
-
-    // Background arc
-    ctx.beginPath();
-    ctx.arc(cx, cy, radius, startAngle, endAngle);
-    ctx.strokeStyle = 'rgba(255,255,255,0.06)';
-    ctx.lineWidth = lineWidth;
-    ctx.lineCap = 'round';
-    ctx.stroke();
+    // The animated gauges settle toward their target; a tenth of a point is invisible
+    drawChart(canvas, null, () => [size, size], [size, Math.round(value * 10)], ctx => {
+        const cx = size / 2;
+        const cy = size / 2;
+        const radius = size * 0.41;
+        const lineWidth = Math.max(4, size / 17.5);
+        const startAngle = 0.75 * Math.PI;
+        const endAngle = 2.25 * Math.PI;
+        const sweep = endAngle - startAngle;
+
+        // Background arc
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, startAngle, endAngle);
+        ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.stroke();
 
-    // Value arc
-    const valAngle = startAngle + (value / 100) * sweep;
-    const gradient = ctx.createLinearGradient(0, 0, size, size);
-    if (value < 25) {
-        gradient.addColorStop(0, '#00ff88');
-        gradient.addColorStop(1, '#00d4ff');
-    } else if (value < 50) {
-        gradient.addColorStop(0, '#00d4ff');
-        gradient.addColorStop(1, '#ffb800');
-    } else if (value < 75) {
-        gradient.addColorStop(0, '#ffb800');
-        gradient.addColorStop(1, '#ff6b35');
-    } else {
-        gradient.addColorStop(0, '#ff6b35');
-        gradient.addColorStop(1, '#ff006e');
-    }
+        // Value arc
+        const valAngle = startAngle + (value / 100) * sweep;
+        const gradient = ctx.createLinearGradient(0, 0, size, size);
+        if (value < 25) {
+            gradient.addColorStop(0, '#00ff88');
+            gradient.addColorStop(1, '#00d4ff');
+        } else if (value < 50) {
+            gradient.addColorStop(0, '#00d4ff');
+            gradient.addColorStop(1, '#ffb800');
+        } else if (value < 75) {
+            gradient.addColorStop(0, '#ffb800');
+            gradient.addColorStop(1, '#ff6b35');
+        } else {
+            gradient.addColorStop(0, '#ff6b35');
+            gradient.addColorStop(1, '#ff006e');
+        }
 
-    ctx.beginPath();
-    ctx.arc(cx, cy, radius, startAngle, valAngle);
-    ctx.strokeStyle = gradient;
-    ctx.lineWidth = lineWidth;
-    ctx.lineCap = 'round';
-    ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, startAngle, valAngle);
+        ctx.strokeStyle = gradient;
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.stroke();
 
-    // Glow
-    ctx.beginPath();
-    ctx.arc(cx, cy, radius, startAngle, valAngle);
-    ctx.strokeStyle = gradient;
-    ctx.lineWidth = lineWidth + 4;
-    ctx.lineCap = 'round';
-    ctx.globalAlpha = 0.15;
-    ctx.stroke();
-    ctx.globalAlpha = 1;
+        // Glow
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, startAngle, valAngle);
+        ctx.strokeStyle = gradient;
+        ctx.lineWidth = lineWidth + 4;
+        ctx.lineCap = 'round';
+        ctx.globalAlpha = 0.15;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    });
 }
 
 // ======================== ANOMALY TIMELINE ========================
@@ -555,241 +953,342 @@ function renderAnomalyTimeline() {
     document.getElementById('anomaly-critical').textContent = state.anomalyStats.critical;
     document.getElementById('anomaly-resolved').textContent = state.anomalyStats.resolved;
 
-    if (state.anomalies.length === 0) {
+    // Journal entries are interleaved with the anomalies by time (see journal.js)
+    const entries = timelineJournalEntries();
+    // Open alerts that have scrolled off the bottom are pinned above the rest,
+    // so they can still be acknowledged
+    const pinned = state.pinnedAlerts;
+    if (state.anomalies.length === 0 && entries.length === 0 && pinned.length === 0) {
+        timeline.querySelectorAll('.timeline-item').forEach(el => el.remove());
+        timeline.dataset.signature = '';
         if (emptyEl) emptyEl.style.display = 'flex';
         return;
     }
 
     if (emptyEl) emptyEl.style.display = 'none';
 
-    // Only re-render if new items
-    const existingIds = timeline.querySelectorAll('.timeline-item');
-    if (existingIds.length === state.anomalies.length) return;
+    // Only re-render if items were added or changed status
+    const signature = [
+        ...pinned.map(a => `p${a.id}:${a.status}:${a.severity}`),
+        ...state.anomalies.map(a => `${a.id}:${a.status}:${a.severity}`),
+        ...entries.map(e => `j${e.id}:${e.response !== null}`)
+    ].join(',');
+    if (timeline.dataset.signature === signature) return;
+    timeline.dataset.signature = signature;
+
+    const items = [
+        ...state.anomalies.map(a => ({ t: a.timestamp, html: anomalyTimelineItem(a) })),
+        ...entries.map(e => ({ t: e.timestamp, html: journalTimelineItem(e) }))
+    ];
+    const html = [
+        ...pinned.map(a => anomalyTimelineItem(a, true)),
+        ...items.sort((a, b) => b.t - a.t).map(item => item.html)
+    ].join('');
 
-    // Only add the newest
-    const html = state.anomalies.map(a => `
-        <div class="timeline-item" data-id="${a.id}">
-            <div class="timeline-dot severity-${a.severity}"></div>
+    // Keep empty element first, add timeline items after
+    timeline.querySelectorAll('.timeline-item').forEach(el => el.remove());
+    timeline.insertAdjacentHTML('beforeend', html);
+}
+
+function anomalyTimelineItem(a, pinned) {
+    return `
+        <div class="timeline-item${pinned ? ' timeline-pinned' : ''}" data-id="${a.id}">
+            <div class="timeline-dot severity-${escapeHtml(a.severity)}"></div>
             <div class="timeline-content">
                 <div class="timeline-header">
-                    <span class="timeline-title">${a.title}</span>
+                    <span class="timeline-title">${escapeHtml(a.title)}</span>
                     <span class="timeline-time">${a.time}</span>
                 </div>
-                <p class="timeline-desc">${a.description}</p>
+                <p class="timeline-desc">${escapeHtml(a.description)}</p>
                 <div class="timeline-tags">
-                    ${a.tags.map(t => `<span class="timeline-tag">${t}</span>`).join('')}
-                    <span class="timeline-tag tag-${a.status === 'auto-resolved' ? 'resolved' : a.status === 'active' ? 'active' : 'critical'}">${a.status}</span>
+                    ${a.tags.map(t => `<span class="timeline-tag">${escapeHtml(t)}</span>`).join('')}
+                    <span class="timeline-tag tag-${statusTagClass(a.status)}">${a.status === 'snoozed' ? `snoozed until ${formatTime(new Date(a.snoozedUntil))}` : a.status}</span>
+                    ${pinned ? `<span class="timeline-tag tag-pinned">still open</span>` : ''}
+                    ${journalContextTags(a)}
                 </div>
+                ${alertActions(a)}
             </div>
         </div>
-    `).join('');
+    `;
+}
 
-    // Keep empty element first, add timeline items after
-    timeline.innerHTML = html;
+function statusTagClass(status) {
+    return { 'auto-resolved': 'resolved', resolved: 'resolved', active: 'active', acknowledged: 'acknowledged', snoozed: 'snoozed' }[status] || 'critical';
 }
 
 // ======================== TREND CHARTS ========================
+// Long-term history stays with the engine; the window's series are fetched
+// and drawn when they arrive
 function renderTrendCharts() {
-    renderTrendChart('trend-hr', state.trendData.hr, '#ff006e', 'Heart Rate (BPM)');
-    renderTrendChart('trend-spo2', state.trendData.spo2, '#00d4ff', 'SpO2 (%)');
-    renderBPTrendChart();
-    renderDualTrendChart();
+    const patient = state;
+    const { start, end, live } = trendWindow();
+    requestFromEngine(patient, 'trendCharts', start, end, live).then(series => {
+        if (!isOnScreen(patient)) return;
+        trendExplorer.series = series;
+        withPatient(patient, drawTrendCharts);
+    });
 }
 
-function renderTrendChart(canvasId, data, color, label) {
-    const canvas = document.getElementById(canvasId);
-    if (!canvas || data.length < 2) return;
-
-    const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.parentElement.getBoundingClientRect();
-    const w = rect.width - 48;
-    const h = 180;
-
-    canvas.width = w * dpr;
-    canvas.height = h * dpr;
-    canvas.style.width = w + 'px';
-    canvas.style.height = h + 'px';
-
-    const ctx = canvas.getContext('2d');
-    ctx.scale(dpr, dpr);
-    ctx.clearRect(0, 0, w, h);
-
-    const padding = { top: 10, right: 10, bottom: 25, left: 40 };
-    const chartW = w - padding.left - padding.right;
-    const chartH = h - padding.top - padding.bottom;
-
-    const minVal = Math.min(...data) - 2;
-    const maxVal = Math.max(...data) + 2;
-    const range = maxVal - minVal || 1;
-
-    // Grid lines
-    ctx.strokeStyle = 'rgba(255,255,255,0.05)';
-    ctx.lineWidth = 1;
-    for (let i = 0; i <= 4; i++) {
-        const y = padding.top + (i / 4) * chartH;
-        ctx.beginPath();
-        ctx.moveTo(padding.left, y);
-        ctx.lineTo(w - padding.right, y);
-        ctx.stroke();
+// Redraws from the series fetched by the last renderTrendCharts()
+function drawTrendCharts() {
+    const s = trendExplorer.series;
+    if (!s) return;
+    renderTrendChart('trend-hr', s.hr, '#ff006e', 'HR', 'BPM');
+    renderTrendChart('trend-spo2', s.spo2, '#00d4ff', 'SpO2', '%');
+    renderBPTrendChart(s.bp_sys, s.bp_dia);
+    renderDualTrendChart(s.hrv, s.rr);
+}
 
-        ctx.font = '10px Inter';
-        ctx.fillStyle = 'rgba(255,255,255,0.3)';
-        ctx.textAlign = 'right';
-        ctx.fillText((maxVal - (i / 4) * range).toFixed(0), padding.left - 6, y + 3);
-    }
+function scaleSeries(series, factor) {
+    return {
+        ...series,
+        mean: series.mean.map(v => v * factor),
+        min: series.min.map(v => v * factor),
+        max: series.max.map(v => v * factor),
+        forecast: series.forecast && {
+            ...series.forecast,
+            mean: series.forecast.mean.map(v => v * factor),
+            lo: series.forecast.lo.map(v => v * factor),
+            hi: series.forecast.hi.map(v => v * factor)
+        }
+    };
+}
 
-    // Gradient fill
-    const gradient = ctx.createLinearGradient(0, padding.top, 0, h);
-    gradient.addColorStop(0, color + '25');
-    gradient.addColorStop(1, color + '02');
+function seriesExtent(...seriesList) {
+    let lo = Infinity, hi = -Infinity;
+    seriesList.forEach(series => {
+        series.min.forEach(v => { if (v < lo) lo = v; });
+        series.max.forEach(v => { if (v > hi) hi = v; });
+        // The projection counts but not its band, which is clipped instead
+        if (series.forecast) series.forecast.mean.forEach(v => {
+            if (v < lo) lo = v;
+            if (v > hi) hi = v;
+        });
+    });
+    return [lo, hi];
+}
 
-    ctx.beginPath();
-    for (let i = 0; i < data.length; i++) {
-        const x = padding.left + (i / (data.length - 1)) * chartW;
-        const y = padding.top + (1 - (data[i] - minVal) / range) * chartH;
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-    }
-    ctx.lineTo(padding.left + chartW, h - padding.bottom);
-    ctx.lineTo(padding.left, h - padding.bottom);
-    ctx.closePath();
-    ctx.fillStyle = gradient;
-    ctx.fill();
+// Trend charts fill their card's width at a fixed height
+const trendChartSize = box => [box.width, 180];
 
-    // Line
-    ctx.beginPath();
-    for (let i = 0; i < data.length; i++) {
-        const x = padding.left + (i / (data.length - 1)) * chartW;
-        const y = padding.top + (1 - (data[i] - minVal) / range) * chartH;
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-    }
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 2;
-    ctx.lineJoin = 'round';
-    ctx.stroke();
+function renderTrendChart(canvasId, series, color, label, unit) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas || series.times.length < 2) return;
+
+    drawChart(canvas, canvas.parentElement, trendChartSize, [series, trendExplorer.hover, trendExplorer.focus], (ctx, w, h) => {
+        const padding = { top: 10, right: 10, bottom: 25, left: 40 };
+        const chartW = w - padding.left - padding.right;
+        const chartH = h - padding.top - padding.bottom;
+
+        const [lo, hi] = seriesExtent(series);
+        const minVal = lo - 2;
+        const maxVal = hi + 2;
+        const range = maxVal - minVal || 1;
+        const frame = { padding, chartW, chartH, minVal, range, start: series.start, end: series.end };
+        const shown = downsampleSeries(series, Math.round(chartW));
+
+        // Grid lines
+        ctx.strokeStyle = 'rgba(255,255,255,0.05)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            const y = padding.top + (i / 4) * chartH;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(w - padding.right, y);
+            ctx.stroke();
+
+            ctx.font = '10px Inter';
+            ctx.fillStyle = 'rgba(255,255,255,0.3)';
+            ctx.textAlign = 'right';
+            ctx.fillText((maxVal - (i / 4) * range).toFixed(0), padding.left - 6, y + 3);
+        }
+        drawTimeAxis(ctx, frame, h);
+        drawTrendBands(ctx, frame);
+        drawJournalMarkers(ctx, frame);
 
-    // Glow
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 4;
-    ctx.globalAlpha = 0.15;
-    ctx.stroke();
-    ctx.globalAlpha = 1;
+        // Gradient fill
+        const gradient = ctx.createLinearGradient(0, padding.top, 0, h);
+        gradient.addColorStop(0, color + '25');
+        gradient.addColorStop(1, color + '02');
+
+        ctx.beginPath();
+        trendSegments(shown).forEach(([from, to]) => {
+            traceSeries(ctx, shown.times, shown.mean, frame, from, to);
+            ctx.lineTo(timeToX(shown.times[to - 1], frame), h - padding.bottom);
+            ctx.lineTo(timeToX(shown.times[from], frame), h - padding.bottom);
+            ctx.closePath();
+        });
+        ctx.fillStyle = gradient;
+        ctx.fill();
+
+        drawTrendLine(ctx, shown, color, frame);
+        drawForecast(ctx, series, color, frame);
+        registerTrendChart(canvasId, ctx, frame, h, [{ series, color, label, unit }]);
+    });
 }
 
-function renderBPTrendChart() {
+function renderBPTrendChart(sys, dia) {
     const canvas = document.getElementById('trend-bp');
-    if (!canvas || state.trendData.bp_sys.length < 2) return;
-
-    const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.parentElement.getBoundingClientRect();
-    const w = rect.width - 48;
-    const h = 180;
-
-    canvas.width = w * dpr;
-    canvas.height = h * dpr;
-    canvas.style.width = w + 'px';
-    canvas.style.height = h + 'px';
-
-    const ctx = canvas.getContext('2d');
-    ctx.scale(dpr, dpr);
-    ctx.clearRect(0, 0, w, h);
-
-    const padding = { top: 10, right: 10, bottom: 25, left: 40 };
-    const chartW = w - padding.left - padding.right;
-    const chartH = h - padding.top - padding.bottom;
-
-    const allBP = [...state.trendData.bp_sys, ...state.trendData.bp_dia];
-    const minVal = Math.min(...allBP) - 5;
-    const maxVal = Math.max(...allBP) + 5;
-    const range = maxVal - minVal || 1;
-
-    // Grid
-    ctx.strokeStyle = 'rgba(255,255,255,0.05)';
-    ctx.lineWidth = 1;
-    for (let i = 0; i <= 4; i++) {
-        const y = padding.top + (i / 4) * chartH;
-        ctx.beginPath();
-        ctx.moveTo(padding.left, y);
-        ctx.lineTo(w - padding.right, y);
-        ctx.stroke();
+    if (!canvas || sys.times.length < 2) return;
+
+    drawChart(canvas, canvas.parentElement, trendChartSize, [sys, dia, trendExplorer.hover, trendExplorer.focus], (ctx, w, h) => {
+        const padding = { top: 10, right: 10, bottom: 25, left: 40 };
+        const chartW = w - padding.left - padding.right;
+        const chartH = h - padding.top - padding.bottom;
+
+        const [lo, hi] = seriesExtent(sys, dia);
+        const minVal = lo - 5;
+        const maxVal = hi + 5;
+        const range = maxVal - minVal || 1;
+        const frame = { padding, chartW, chartH, minVal, range, start: sys.start, end: sys.end };
+
+        // Grid
+        ctx.strokeStyle = 'rgba(255,255,255,0.05)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            const y = padding.top + (i / 4) * chartH;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(w - padding.right, y);
+            ctx.stroke();
+            ctx.font = '10px Inter';
+            ctx.fillStyle = 'rgba(255,255,255,0.3)';
+            ctx.textAlign = 'right';
+            ctx.fillText((maxVal - (i / 4) * range).toFixed(0), padding.left - 6, y + 3);
+        }
+        drawTimeAxis(ctx, frame, h);
+        drawTrendBands(ctx, frame);
+        drawJournalMarkers(ctx, frame);
+
+        // Systolic
+        drawTrendLine(ctx, downsampleSeries(sys, Math.round(chartW)), '#a855f7', frame);
+        // Diastolic
+        drawTrendLine(ctx, downsampleSeries(dia, Math.round(chartW)), '#8b5cf6', frame);
+        drawForecast(ctx, sys, '#a855f7', frame);
+        drawForecast(ctx, dia, '#8b5cf6', frame);
+
+        // Legend
         ctx.font = '10px Inter';
-        ctx.fillStyle = 'rgba(255,255,255,0.3)';
         ctx.textAlign = 'right';
-        ctx.fillText((maxVal - (i / 4) * range).toFixed(0), padding.left - 6, y + 3);
-    }
+        ctx.fillStyle = '#a855f7';
+        ctx.fillText('● Systolic', w - padding.right - 70, padding.top + 10);
+        ctx.fillStyle = '#8b5cf6';
+        ctx.fillText('● Diastolic', w - padding.right, padding.top + 10);
+
+        registerTrendChart('trend-bp', ctx, frame, h, [
+            { series: sys, color: '#a855f7', label: 'Sys', unit: 'mmHg' },
+            { series: dia, color: '#8b5cf6', label: 'Dia', unit: 'mmHg' }
+        ]);
+    });
+}
 
-    // Systolic
-    drawTrendLine(ctx, state.trendData.bp_sys, '#a855f7', padding, chartW, chartH, minVal, range);
-    // Diastolic
-    drawTrendLine(ctx, state.trendData.bp_dia, '#8b5cf6', padding, chartW, chartH, minVal, range);
+function renderDualTrendChart(hrv, rr) {
+    const canvas = document.getElementById('trend-hrv-rr');
+    if (!canvas || hrv.times.length < 2) return;
+
+    drawChart(canvas, canvas.parentElement, trendChartSize, [hrv, rr, trendExplorer.hover, trendExplorer.focus], (ctx, w, h) => {
+        const padding = { top: 10, right: 10, bottom: 25, left: 40 };
+        const chartW = w - padding.left - padding.right;
+        const chartH = h - padding.top - padding.bottom;
+        const rrScaled = scaleSeries(rr, 3);
+
+        // HRV (scaled)
+        const [lo, hi] = seriesExtent(hrv, rrScaled);
+        const minVal = lo - 3;
+        const maxVal = hi + 3;
+        const range = maxVal - minVal || 1;
+        const frame = { padding, chartW, chartH, minVal, range, start: hrv.start, end: hrv.end };
+
+        // Grid
+        ctx.strokeStyle = 'rgba(255,255,255,0.05)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            const y = padding.top + (i / 4) * chartH;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(w - padding.right, y);
+            ctx.stroke();
+        }
+        drawTimeAxis(ctx, frame, h);
+        drawTrendBands(ctx, frame);
+        drawJournalMarkers(ctx, frame);
 
-    // Legend
-    ctx.font = '10px Inter';
-    ctx.fillStyle = '#a855f7';
-    ctx.fillText('● Systolic', padding.left, h - 5);
-    ctx.fillStyle = '#8b5cf6';
-    ctx.fillText('● Diastolic', padding.left + 70, h - 5);
+        drawTrendLine(ctx, downsampleSeries(hrv, Math.round(chartW)), '#3b82f6', frame);
+        drawTrendLine(ctx, downsampleSeries(rrScaled, Math.round(chartW)), '#00ff88', frame);
+        drawForecast(ctx, hrv, '#3b82f6', frame);
+        drawForecast(ctx, rrScaled, '#00ff88', frame);
+
+        ctx.font = '10px Inter';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#3b82f6';
+        ctx.fillText('● HRV (ms)', w - padding.right - 100, padding.top + 10);
+        ctx.fillStyle = '#00ff88';
+        ctx.fillText('● Resp Rate (×3)', w - padding.right, padding.top + 10);
+
+        registerTrendChart('trend-hrv-rr', ctx, frame, h, [
+            { series: hrv, color: '#3b82f6', label: 'HRV', unit: 'ms' },
+            { series: rrScaled, color: '#00ff88', label: 'RR', unit: 'br/min', scale: 3 }
+        ]);
+    });
 }
 
-function renderDualTrendChart() {
-    const canvas = document.getElementById('trend-hrv-rr');
-    if (!canvas || state.trendData.hrv.length < 2) return;
-
-    const dpr = window.devicePixelRatio || 1;
-    const rect = canvas.parentElement.getBoundingClientRect();
-    const w = rect.width - 48;
-    const h = 180;
-
-    canvas.width = w * dpr;
-    canvas.height = h * dpr;
-    canvas.style.width = w + 'px';
-    canvas.style.height = h + 'px';
-
-    const ctx = canvas.getContext('2d');
-    ctx.scale(dpr, dpr);
-    ctx.clearRect(0, 0, w, h);
-
-    const padding = { top: 10, right: 10, bottom: 25, left: 40 };
-    const chartW = w - padding.left - padding.right;
-    const chartH = h - padding.top - padding.bottom;
-
-    // HRV (scaled)
-    const allVals = [...state.trendData.hrv, ...state.trendData.rr.map(v => v * 3)];
-    const minVal = Math.min(...allVals) - 3;
-    const maxVal = Math.max(...allVals) + 3;
-    const range = maxVal - minVal || 1;
-
-    // Grid
-    ctx.strokeStyle = 'rgba(255,255,255,0.05)';
-    ctx.lineWidth = 1;
-    for (let i = 0; i <= 4; i++) {
-        const y = padding.top + (i / 4) * chartH;
-        ctx.beginPath();
-        ctx.moveTo(padding.left, y);
-        ctx.lineTo(w - padding.right, y);
-        ctx.stroke();
+function timeToX(t, frame) {
+    const span = frame.end - frame.start || 1;
+    return frame.padding.left + ((t - frame.start) / span) * frame.chartW;
+}
+
+function valueToY(v, frame) {
+    return frame.padding.top + (1 - (v - frame.minVal) / frame.range) * frame.chartH;
+}
+
+function traceSeries(ctx, times, data, frame, from = 0, to = data.length) {
+    for (let i = from; i < to; i++) {
+        const x = timeToX(times[i], frame);
+        const y = valueToY(data[i], frame);
+        if (i === from) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
     }
+}
 
-    drawTrendLine(ctx, state.trendData.hrv, '#3b82f6', padding, chartW, chartH, minVal, range);
-    drawTrendLine(ctx, state.trendData.rr.map(v => v * 3), '#00ff88', padding, chartW, chartH, minVal, range);
+// Index ranges [from, to) of the runs of `times` with no gap longer than
+// `gapAfter` ms between neighbours
+function seriesSegments(times, gapAfter) {
+    const segments = [];
+    let from = 0;
+    for (let i = 1; i <= times.length; i++) {
+        if (i === times.length || times[i] - times[i - 1] > gapAfter) {
+            segments.push([from, i]);
+            from = i;
+        }
+    }
+    return segments;
+}
 
-    ctx.font = '10px Inter';
-    ctx.fillStyle = '#3b82f6';
-    ctx.fillText('● HRV (ms)', padding.left, h - 5);
-    ctx.fillStyle = '#00ff88';
-    ctx.fillText('● Resp Rate (×3)', padding.left + 80, h - 5);
+// Runs of a series to trace; a downsampled one carries its own
+function trendSegments(series) {
+    return series.segments || seriesSegments(series.times, series.gapAfter);
 }
 
-function drawTrendLine(ctx, data, color, padding, chartW, chartH, minVal, range) {
-    if (data.length < 2) return;
-    ctx.beginPath();
-    for (let i = 0; i < data.length; i++) {
-        const x = padding.left + (i / (data.length - 1)) * chartW;
-        const y = padding.top + (1 - (data[i] - minVal) / range) * chartH;
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
+function drawTrendLine(ctx, series, color, frame) {
+    if (series.times.length < 2) return;
+    const segments = trendSegments(series);
+
+    // Min/max band for rolled-up tiers
+    if (series.banded) {
+        ctx.beginPath();
+        segments.forEach(([from, to]) => {
+            traceSeries(ctx, series.times, series.max, frame, from, to);
+            for (let i = to - 1; i >= from; i--) {
+                ctx.lineTo(timeToX(series.times[i], frame), valueToY(series.min[i], frame));
+            }
+            ctx.closePath();
+        });
+        ctx.fillStyle = color + '20';
+        ctx.fill();
     }
+
+    ctx.beginPath();
+    segments.forEach(([from, to]) => traceSeries(ctx, series.times, series.mean, frame, from, to));
     ctx.strokeStyle = color;
     ctx.lineWidth = 2;
     ctx.lineJoin = 'round';
@@ -802,27 +1301,45 @@ function drawTrendLine(ctx, data, color, padding, chartW, chartH, minVal, range)
     ctx.globalAlpha = 1;
 }
 
-// ======================== HEADER UPDATES ========================
-function updateHeader() {
-    const syncEl = document.getElementById('sync-status');
-    const lastSyncEl = document.getElementById('last-sync');
-    if (syncEl) syncEl.textContent = `Connected • Syncing live`;
-    if (lastSyncEl) lastSyncEl.textContent = `Last sync: ${formatTime(new Date())}`;
+function drawTimeAxis(ctx, frame, h) {
+    const ticks = 5;
+    ctx.font = '10px Inter';
+    ctx.fillStyle = 'rgba(255,255,255,0.3)';
+    ctx.textAlign = 'center';
+    for (let i = 0; i < ticks; i++) {
+        const t = frame.start + (i / (ticks - 1)) * (frame.end - frame.start);
+        const x = timeToX(t, frame);
+        ctx.fillText(formatAxisTime(t, frame.end - frame.start), x, h - 8);
+    }
+}
+
+function formatAxisTime(t, span) {
+    const d = new Date(t);
+    const hhmm = d.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+    if (span <= 10 * 60 * 1000) return formatTime(d);
+    if (span <= DAY_MS) return hhmm;
+    if (span <= 7 * DAY_MS) return `${d.toLocaleDateString('en-US', { weekday: 'short' })} ${hhmm}`;
+    return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
 // ======================== NAV INTERACTIVITY ========================
 function setupNavigation() {
     document.querySelectorAll('.nav-link').forEach(link => {
         link.addEventListener('click', (e) => {
-            document.querySelectorAll('.nav-link').forEach(l => l.classList.remove('active'));
-            link.classList.add('active');
+            // Every link but Ward belongs to the single-patient dashboard
+            if (link.id === 'nav-ward') showWard();
+            else if (view.mode === 'ward') showPatient(view.patient);
+            setActiveNavLink(link.id);
         });
     });
 
-    document.querySelectorAll('.time-btn').forEach(btn => {
+    const rangeButtons = document.querySelectorAll('.time-btn[data-range]');
+    rangeButtons.forEach(btn => {
         btn.addEventListener('click', () => {
-            document.querySelectorAll('.time-btn').forEach(b => b.classList.remove('active'));
+            rangeButtons.forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
+            view.trendRange = btn.dataset.range;
+            resetTrendWindow();
         });
     });
 }
@@ -831,47 +1348,36 @@ function setupNavigation() {
 function init() {
     console.log('🏥 VitalSync Health Monitoring System — Initializing...');
 
-    // Pre-fill some history
-    CONFIG.signals.forEach(signal => {
-        const v = state.vitals[signal];
-        for (let i = 0; i < 15; i++) {
-            const noise = gaussRandom() * v.variance * 0.5;
-            const val = clamp(v.baseline + noise, v.min, v.max);
-            v.history.push(signal === 'temp' || signal === 'spo2' ? Math.round(val * 10) / 10 : Math.round(val * 10) / 10);
-        }
-    });
+    const modelsLoaded = loadRiskModels();
+    modelsLoaded.then(buildRiskCards);
 
-    // Pre-fill trend data
-    ['hr', 'spo2', 'bp_sys', 'bp_dia', 'rr', 'hrv'].forEach(s => {
-        const v = state.vitals[s];
-        for (let i = 0; i < 20; i++) {
-            const noise = gaussRandom() * v.variance * 0.5;
-            state.trendData[s].push(clamp(v.baseline + noise, v.min, v.max));
-        }
-    });
+    CONFIG.ward.patients.forEach(profile => patients.push(createPatientMirror(profile)));
+    const requested = patients.find(p => p.id === new URLSearchParams(window.location.search).get('patient'));
+    view.patient = requested || patients[0];
+    state = view.patient;
 
     buildCorrelationMatrix();
     setupNavigation();
-
-    // Initial render
-    updateCorrelations();
-    updateRisks();
-    renderVitals();
-    renderCorrelationMatrix();
-    renderRisks();
-    renderTrendCharts();
-    renderAnomalyTimeline();
-
-    // Add initial informational event
-    addAnomaly('info', 'System Initialized — Correlation Monitoring Active',
-        'Multi-signal correlation engine is online. Monitoring 6 physiological signals with real-time cross-correlation analysis. Early-stage risk prediction active.',
-        ['System', 'All Signals', 'Baseline Set'], 'low');
-
-    // Start continuous updates
-    setInterval(updateAllVitals, CONFIG.updateInterval);
-
-    console.log('✅ VitalSync initialized — monitoring active');
+    setupScenarioControls();
+    setupSessionControls();
+    setupAlerts();
+    setupEarlyWarning();
+    setupJournal();
+    setupRiskDetail();
+    setupRiskEvaluation();
+    setupWard();
+    setupTrendExplorer();
+    setupCorrelationAnalysis();
+    setupDeviceStatusClock();
+
+    // Storage, data sources and analytics run in the engine; the dashboard
+    // fills in as its snapshots arrive
+    connectAnalytics(modelsLoaded);
+    if (requested) showPatient(requested);
+    else showWard();
+
+    console.log(`✅ VitalSync initialized — monitoring ${patients.length} patients`);
 }
 
-// Start when DOM is ready
-document.addEventListener('DOMContentLoaded', init);
+// Start when DOM is ready; the worker loads this file for the engine only
+if (!inAnalyticsWorker) document.addEventListener('DOMContentLoaded', init);
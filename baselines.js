@@ -0,0 +1,190 @@
+/* ============================
+   VitalSync — Personal Baselines
+   Calibration Window · Robust Quantile Tracking · Time-of-Day Profiles
+   ============================ */
+
+// Until calibration completes every signal is judged against the population
+// reference range in CONFIG.baseline.reference. The first calibrationSamples
+// readings then give each signal an exact median and interquartile range.
+// After that the quartiles follow the patient slowly by stochastic quantile
+// tracking, so a short excursion barely moves them. Nothing is learned while
+// the correlation detector has an event open. With time-of-day profiles
+// enabled, each quarter of the day keeps its own quartiles and is used once
+// it has seen periodMinSamples readings.
+// Only readings taken once the vitals have settled into the patient's
+// activity state (see activity.js) are learned, and into that state's
+// profile: calibration and the overall and time-of-day profiles are the
+// resting ones, while walking, exercise and sleep each keep quartiles of
+// their own, started from the resting ones moved by the expected response.
+
+const DAY_PERIODS = ['night', 'morning', 'afternoon', 'evening'];  // 6h each
+
+function createBaselineState() {
+    return {
+        samples: 0,        // readings learned, calibration included
+        calibrated: false,
+        calibration: {},   // signal -> resting readings collected during calibration
+        profiles: {}       // signal -> { all, night, morning, ..., walking, exercise, sleep } of { q1, median, q3, count }
+    };
+}
+
+function dayPeriod(timestamp) {
+    return DAY_PERIODS[Math.floor(new Date(timestamp).getHours() / 6)];
+}
+
+// ======================== LEARNING ========================
+function updateBaselines(timestamp, values) {
+    const b = state.baselines;
+    const cfg = CONFIG.baseline;
+    if (state.detector.openEvent) return;
+    const activity = settledActivity(state.activity);
+    if (!activity || (!b.calibrated && activity !== 'rest')) return;
+    b.samples++;
+
+    if (!b.calibrated) {
+        Object.entries(values).forEach(([signal, value]) => {
+            (b.calibration[signal] = b.calibration[signal] || []).push(value);
+        });
+        if (b.samples >= cfg.calibrationSamples) completeCalibration();
+        return;
+    }
+
+    const period = dayPeriod(timestamp);
+    Object.entries(values).forEach(([signal, value]) => {
+        const profiles = b.profiles[signal];
+        if (!profiles) return;
+        const floor = cfg.minSpread[signal] || 0;
+        if (activity !== 'rest') {
+            if (!profiles[activity]) profiles[activity] = expectedQuartiles(profiles.all, signal, activity);
+            trackQuartiles(profiles[activity], value, floor);
+            return;
+        }
+        trackQuartiles(profiles.all, value, floor);
+        if (!cfg.timeOfDay) return;
+        // A period starts from the overall profile the first time it is seen
+        if (!profiles[period]) profiles[period] = { ...profiles.all, count: 0 };
+        trackQuartiles(profiles[period], value, floor);
+    });
+
+    if (b.samples % cfg.persistEvery === 0) persistBaselines();
+}
+
+function completeCalibration() {
+    const b = state.baselines;
+    Object.entries(b.calibration).forEach(([signal, readings]) => {
+        const sorted = readings.slice().sort((x, y) => x - y);
+        b.profiles[signal] = {
+            all: {
+                q1: quantile(sorted, 0.25),
+                median: quantile(sorted, 0.5),
+                q3: quantile(sorted, 0.75),
+                count: sorted.length
+            }
+        };
+    });
+    b.calibration = {};
+    b.calibrated = true;
+    persistBaselines();
+
+    const ranges = ['hr', 'spo2', 'bp_sys', 'rr', 'hrv']
+        .map(signal => `${CONFIG.signalLabels[signal]} ${formatBaselineRange(signal)}`);
+    addAnomaly('info', 'Personal Baseline Calibrated',
+        `Learned this patient's resting ranges from ${b.samples} readings: ${ranges.join(', ')}. Status and risk scores now measure deviation from these ranges.`,
+        ['System', 'Baseline Set', 'Calibration'], 'low');
+    console.log('✅ Personal baseline calibrated');
+}
+
+// Each quartile moves by a small step toward the reading, scaled by the
+// current IQR, so the estimate settles where the right share of readings
+// falls below it
+function trackQuartiles(q, value, floor) {
+    const step = CONFIG.baseline.adaptRate * Math.max(q.q3 - q.q1, floor);
+    q.q1 += step * (value > q.q1 ? 0.25 : -0.75);
+    q.median += step * (value > q.median ? 0.5 : -0.5);
+    q.q3 += step * (value > q.q3 ? 0.75 : -0.25);
+    if (q.q1 > q.median) q.q1 = q.median;
+    if (q.q3 < q.median) q.q3 = q.median;
+    q.count++;
+}
+
+// A state's profile before it has seen a reading: the resting quartiles
+// moved and widened by CONFIG.activity.response
+function expectedQuartiles(q, signal, activity) {
+    const { shift, scale } = CONFIG.activity.response[activity];
+    const median = q.median + (shift[signal] || 0);
+    return { q1: median - (q.median - q.q1) * scale, median, q3: median + (q.q3 - q.median) * scale, count: 0 };
+}
+
+function quantile(sorted, p) {
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// ======================== QUERY ========================
+// Returns { center, spread, lo, hi, source } for a signal. `spread` is a
+// robust standard deviation (IQR / 1.349); lo-hi is center ± 2 spreads.
+// Away from rest the resting baseline gives way to the activity state's
+// (see activityBaseline). `wholeDay` keeps to the patient's resting, waking
+// values whatever the time or activity: sleep.js scores sleep against them.
+function getBaseline(signal, wholeDay = false) {
+    const b = state.baselines;
+    const cfg = CONFIG.baseline;
+    const profiles = b.profiles[signal];
+
+    let rest;
+    if (!b.calibrated || !profiles) {
+        const [lo, hi] = cfg.reference[signal];
+        rest = { center: state.vitals[signal].baseline, spread: (hi - lo) / 4, source: 'reference' };
+    } else {
+        let source = 'all';
+        if (cfg.timeOfDay && !wholeDay) {
+            const period = dayPeriod(state.lastSampleTime || Date.now());
+            if (profiles[period] && profiles[period].count >= cfg.periodMinSamples) source = period;
+        }
+        rest = profileBaseline(profiles[source], signal, source);
+    }
+
+    const base = wholeDay ? rest : activityBaseline(state.activity, signal, rest,
+        s => profiles && profiles[s] ? profileBaseline(profiles[s], signal, s) : null);
+    return { ...base, lo: base.center - 2 * base.spread, hi: base.center + 2 * base.spread };
+}
+
+function profileBaseline(q, signal, source) {
+    return { center: q.median, spread: Math.max((q.q3 - q.q1) / 1.349, CONFIG.baseline.minSpread[signal] || 0), source };
+}
+
+function baselineDeviation(signal) {
+    const base = getBaseline(signal);
+    return (state.vitals[signal].value - base.center) / base.spread;
+}
+
+// ======================== DISPLAY ========================
+function formatBaselineRange(signal) {
+    const { lo, hi } = getBaseline(signal);
+    const digits = signal === 'temp' ? 1 : 0;
+    return `${lo.toFixed(digits)}-${hi.toFixed(digits)}`;
+}
+
+function renderBaselineRanges() {
+    const b = state.baselines;
+    const progress = Math.round(b.samples / CONFIG.baseline.calibrationSamples * 100);
+
+    ['hr', 'spo2', 'temp', 'rr', 'hrv', 'bp'].forEach(card => {
+        const el = document.getElementById(`${card}-baseline`);
+        if (!el) return;
+        if (!b.calibrated) {
+            el.textContent = `Calibrating ${progress}%`;
+            el.title = 'Learning this patient\'s resting ranges — population reference ranges apply until then';
+            return;
+        }
+        const signal = card === 'bp' ? 'bp_sys' : card;
+        const source = getBaseline(signal).source;
+        const range = card === 'bp'
+            ? `${formatBaselineRange('bp_sys')}/${formatBaselineRange('bp_dia')}`
+            : formatBaselineRange(signal);
+        el.textContent = `${source === 'all' ? 'Baseline' : `Baseline (${source})`}: ${range}`;
+        el.title = 'Learned from this patient\'s own readings';
+    });
+}
@@ -0,0 +1,211 @@
+/* ============================
+   VitalSync — Chart Rendering
+   Frame Scheduling · Resize Tracking · Downsampling
+   ============================ */
+
+// Every canvas on the dashboard is drawn through drawChart():
+//   - draws are queued and run together on the next animation frame, the
+//     latest request per canvas winning, so a burst of snapshots or pointer
+//     moves costs one paint, and nothing is painted while the tab is hidden
+//   - a chart whose inputs (`deps`) and size are unchanged since it was last
+//     queued is skipped
+//   - sizes come from a ResizeObserver on the element the chart is sized by,
+//     not from layout reads on every draw, and the canvas's backing store is
+//     only reallocated when its size or the device pixel ratio changes
+// Long series are downsampled to about one point per pixel of plot width
+// before tracing (largest-triangle-three-buckets on each unbroken run, so
+// data gaps stay gaps), so days of raw history draw as fast as a minute's.
+
+const chartLayer = {
+    charts: new Map(),     // canvas -> { sizedBy, box, size, deps, draw, patient }
+    pending: new Set(),    // canvases to draw on the next frame
+    frame: null,           // requestAnimationFrame handle
+    observer: null         // ResizeObserver shared by all charts
+};
+
+// ======================== SCHEDULING ========================
+// Queues `draw(ctx, w, h)` for the canvas, in CSS pixels on a cleared
+// canvas. `size(box)` gives [w, h] from the content box of `sizedBy` (null
+// for a fixed size). Draws run as the patient on screen when they were
+// queued.
+function drawChart(canvas, sizedBy, size, deps, draw) {
+    let chart = chartLayer.charts.get(canvas);
+    if (!chart) {
+        chart = { sizedBy, box: measureBox(sizedBy), deps: null };
+        chartLayer.charts.set(canvas, chart);
+        observeChartSize(sizedBy);
+    } else if (sizedBy && !chartLayer.observer) {
+        chart.box = measureBox(sizedBy);
+    }
+    chart.size = size;
+    chart.draw = draw;
+    chart.patient = state;
+    if (sameDeps(chart.deps, deps) && !chart.resized) return;
+    chart.deps = deps;
+    chart.resized = false;
+    queueChart(canvas);
+}
+
+function sameDeps(a, b) {
+    return a !== null && a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+function queueChart(canvas) {
+    chartLayer.pending.add(canvas);
+    if (chartLayer.frame === null) chartLayer.frame = requestAnimationFrame(flushCharts);
+}
+
+function flushCharts() {
+    chartLayer.frame = null;
+    const dpr = window.devicePixelRatio || 1;
+    const pending = [...chartLayer.pending];
+    chartLayer.pending.clear();
+    pending.forEach(canvas => {
+        const chart = chartLayer.charts.get(canvas);
+        const [w, h] = chart.size(chart.box);
+        // Hidden (e.g. the dashboard behind the ward); the resize on showing redraws it
+        if (!(w > 0 && h > 0)) return;
+
+        const width = Math.round(w * dpr);
+        const height = Math.round(h * dpr);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+            canvas.style.width = w + 'px';
+            canvas.style.height = h + 'px';
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, w, h);
+        // The context outlives the draw, so nothing one draw sets leaks into the next
+        ctx.save();
+        try {
+            withPatient(chart.patient, () => chart.draw(ctx, w, h));
+        } finally {
+            ctx.restore();
+        }
+    });
+}
+
+// ======================== SIZING ========================
+// The content box, as ResizeObserver reports it
+function measureBox(el) {
+    if (!el) return null;
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    const px = (...names) => names.reduce((sum, name) => sum + (parseFloat(style[name]) || 0), 0);
+    return {
+        width: rect.width - px('paddingLeft', 'paddingRight', 'borderLeftWidth', 'borderRightWidth'),
+        height: rect.height - px('paddingTop', 'paddingBottom', 'borderTopWidth', 'borderBottomWidth')
+    };
+}
+
+// Without ResizeObserver the box is measured on every drawChart() instead
+function observeChartSize(el) {
+    if (!el || typeof ResizeObserver === 'undefined') return;
+    if (!chartLayer.observer) chartLayer.observer = new ResizeObserver(onChartsResized);
+    chartLayer.observer.observe(el);
+}
+
+function onChartsResized(entries) {
+    entries.forEach(entry => {
+        const box = { width: entry.contentRect.width, height: entry.contentRect.height };
+        chartLayer.charts.forEach((chart, canvas) => {
+            if (chart.sizedBy !== entry.target) return;
+            if (chart.box && chart.box.width === box.width && chart.box.height === box.height) return;
+            chart.box = box;
+            chart.resized = true;
+            queueChart(canvas);
+        });
+    });
+}
+
+// ======================== DOWNSAMPLING ========================
+// Indices of at most `threshold` points of ys[from, to), chosen by
+// largest-triangle-three-buckets: the first and last points, then from each
+// bucket in between the point making the largest triangle with the previous
+// pick and the next bucket's average. `xs` null spaces points evenly.
+function lttbIndices(xs, ys, from, to, threshold) {
+    const n = to - from;
+    const x = i => xs ? xs[i] : i;
+    if (n <= threshold) return Array.from({ length: n }, (_, k) => from + k);
+    if (threshold < 3) return [from, to - 1];
+
+    const picks = [from];
+    const every = (n - 2) / (threshold - 2);
+    const bucketStart = k => Math.min(from + 1 + Math.floor(k * every), to - 1);
+    let a = from;
+    for (let k = 0; k < threshold - 2; k++) {
+        const start = bucketStart(k), end = bucketStart(k + 1);
+        // The final bucket looks ahead to the last point
+        const nextEnd = k + 2 < threshold - 1 ? bucketStart(k + 2) : to;
+        let ax = 0, ay = 0;
+        for (let i = end; i < nextEnd; i++) {
+            ax += x(i);
+            ay += ys[i];
+        }
+        ax /= nextEnd - end;
+        ay /= nextEnd - end;
+
+        let best = start, bestArea = -1;
+        for (let i = start; i < end; i++) {
+            const area = Math.abs((x(a) - ax) * (ys[i] - ys[a]) - (x(a) - x(i)) * (ay - ys[a]));
+            if (area > bestArea) {
+                bestArea = area;
+                best = i;
+            }
+        }
+        picks.push(best);
+        a = best;
+    }
+    picks.push(to - 1);
+    return picks;
+}
+
+// Index lists to trace, one per unbroken run of `times` (gaps longer than
+// `gapAfter`), about `maxPoints` in all shared by length
+function plotRuns(times, values, gapAfter, maxPoints) {
+    const n = values.length;
+    const segments = times ? seriesSegments(times, gapAfter) : [[0, n]];
+    return segments.map(([from, to]) =>
+        lttbIndices(times, values, from, to, Math.max(2, Math.round(maxPoints * (to - from) / n))));
+}
+
+// A trend series cut down to about `maxPoints` points for drawing. The line
+// keeps LTTB's picks of the mean; a banded series' min/max cover everything
+// up to the next pick. Its runs are carried as `segments`, since picks can
+// sit further apart than the series' gapAfter without a gap between them.
+function downsampleSeries(series, maxPoints) {
+    if (series.times.length <= maxPoints) return series;
+    const out = { ...series, times: [], mean: [], min: [], max: [], segments: [] };
+    plotRuns(series.times, series.mean, series.gapAfter, maxPoints).forEach(picks => {
+        const from = out.times.length;
+        picks.forEach((i, k) => {
+            let lo = series.min[i], hi = series.max[i];
+            if (series.banded) {
+                const next = k + 1 < picks.length ? picks[k + 1] : i + 1;
+                for (let j = i + 1; j < next; j++) {
+                    if (series.min[j] < lo) lo = series.min[j];
+                    if (series.max[j] > hi) hi = series.max[j];
+                }
+            }
+            out.times.push(series.times[i]);
+            out.mean.push(series.mean[i]);
+            out.min.push(lo);
+            out.max.push(hi);
+        });
+        out.segments.push([from, out.times.length]);
+    });
+    return out;
+}
+
+// [min, max] of an array of any length (spreading a long array into
+// Math.min overflows the call stack)
+function arrayExtent(values) {
+    let lo = Infinity, hi = -Infinity;
+    for (const v of values) {
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+    }
+    return [lo, hi];
+}
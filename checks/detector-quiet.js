@@ -0,0 +1,111 @@
+/* ============================
+   VitalSync — Detector Quiet Check
+   Ward Run · Virtual Clock · Quiet Baseline · Detected Stress
+   ============================ */
+
+// Runs the engine over simulated hours of the default ward on a virtual
+// clock, so two hours take a minute or two rather than two hours, and fails
+// if a patient on the baseline scenario (which has no events) raises a
+// correlation event, or one on a scenario in `detected` raises none. Those
+// two are what openConfidence/openTicks in CONFIG.detector were set against.
+// Hypoxic-episode isn't among them: its one episode, in the first five
+// minutes, shifts the correlations no further than the baseline patients'
+// drift does on its own. Run with
+//   node checks/detector-quiet.js [hours] [seed]
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const hours = Number(process.argv[2]) || 2;
+const seed = process.argv[3] || '7';
+const detected = ['autonomic-stress'];
+
+// ======================== VIRTUAL CLOCK ========================
+let now = Date.UTC(2026, 0, 1, 8, 0, 0);
+const RealDate = Date;
+globalThis.Date = class extends RealDate {
+    constructor(...args) {
+        if (args.length) super(...args);
+        else super(now);
+    }
+    static now() { return now; }
+};
+
+const timers = new Map();
+let timerId = 0;
+globalThis.setTimeout = (fn, delay, ...args) => {
+    timers.set(++timerId, { at: now + Math.max(0, delay || 0), fn, args });
+    return timerId;
+};
+globalThis.setInterval = (fn, delay, ...args) => {
+    const every = Math.max(1, delay || 0);
+    timers.set(++timerId, { at: now + every, every, fn, args });
+    return timerId;
+};
+globalThis.clearTimeout = globalThis.clearInterval = id => timers.delete(id);
+
+// ======================== ENGINE ========================
+// Loaded as the worker would load it, with nothing on the page listening
+globalThis.self = globalThis;
+globalThis.location = { search: `?seed=${seed}` };
+globalThis.addEventListener = () => {};
+globalThis.postMessage = () => {};
+globalThis.importScripts = (...files) => files.forEach(file =>
+    vm.runInThisContext(fs.readFileSync(path.join(root, file), 'utf8'), { filename: file }));
+
+const log = console.log;
+console.log = console.warn = console.info = () => {};
+
+const opened = new Map();
+importScripts('analytics-worker.js');
+const open = openCorrelationEvent;
+openCorrelationEvent = function () {
+    opened.set(state.id, (opened.get(state.id) || 0) + 1);
+    return open();
+};
+
+// Scenarios load asynchronously, so timers run in small batches with the
+// event loop let through in between
+(async () => {
+    const end = now + hours * 3600e3;
+    let ran = 0;
+    while (now < end) {
+        let next = null;
+        timers.forEach((timer, id) => {
+            if (!next || timer.at < next.timer.at) next = { id, timer };
+        });
+        if (!next) {
+            // Nothing scheduled yet, or nothing left to run
+            await new Promise(resolve => setImmediate(resolve));
+            if (!timers.size) break;
+            continue;
+        }
+        now = Math.max(now, next.timer.at);
+        if (next.timer.every) next.timer.at = now + next.timer.every;
+        else timers.delete(next.id);
+        next.timer.fn(...next.timer.args);
+        if (++ran % 50 === 0) await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const keyOf = p => p.scenario ? p.scenario.key : 'none';
+    const quiet = enginePatients.filter(p => keyOf(p) === 'baseline');
+    const stressed = enginePatients.filter(p => detected.includes(keyOf(p)));
+    if (!quiet.length || stressed.length < detected.length) {
+        log(`❌ The ward needs patients on baseline and on ${detected.join(', ')}`);
+        process.exit(1);
+    }
+    enginePatients.forEach(p => {
+        const count = opened.get(p.id) || 0;
+        const mark = quiet.includes(p) ? (count ? '❌' : '✅') : stressed.includes(p) ? (count ? '✅' : '❌') : '  ';
+        log(`${mark} ${p.id} ${keyOf(p)}: ${count} correlation events`);
+    });
+    const noisy = quiet.filter(p => opened.get(p.id));
+    const missed = stressed.filter(p => !opened.get(p.id));
+    if (noisy.length) log(`${noisy.map(p => p.id).join(', ')} raised correlation events in ${hours}h of baseline`);
+    if (missed.length) log(`${missed.map(p => `${p.id} (${keyOf(p)})`).join(', ')} raised no correlation event in ${hours}h`);
+    if (noisy.length || missed.length) process.exit(1);
+    log(`Over ${hours} simulated hours (seed ${seed}) baseline patients stayed quiet and ${detected.join(', ')} raised events`);
+    process.exit(0);
+})();
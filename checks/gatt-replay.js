@@ -0,0 +1,72 @@
+/* ============================
+   VitalSync — GATT Capture Check
+   Replays a Bluetooth Capture · Asserts the Decoded Readings
+   ============================ */
+
+// Feeds each row of fixtures/gatt-capture.json through decodeGattReading(),
+// as a replayed capture would be, and compares what comes out with the
+// values worked out by hand from the Bluetooth SIG layouts. Run with
+//   node checks/gatt-replay.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console: { ...console, warn: () => {} } });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'gatt.js'), 'utf8'), context, { filename: 'gatt.js' });
+const { decodeGattReading, gattBytes } = context;
+
+const capture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'gatt-capture.json'), 'utf8'));
+
+// One per capture row, in order; null where the reading should be dropped
+const expected = [
+    // HR 72 with the skin contact bits, one RR interval of 772/1024 s
+    { values: { hr: 72 }, intervals: [753.9] },
+    // Contact supported but not detected
+    { values: {} },
+    // 16-bit HR, two RR intervals, given by the full 128-bit UUID
+    { values: { hr: 120 }, intervals: [1000, 500] },
+    // SpO2 97 %, pulse rate 72
+    { values: { spo2: 97 }, pulseRate: 72 },
+    // Measurement status: invalid measurement
+    { values: {} },
+    // 16.0/10.7 kPa with a pulse rate of 68
+    { values: { bp_sys: 120, bp_dia: 80.3 }, pulseRate: 68 },
+    // 118/76 mmHg, as an array of bytes, no pulse rate
+    { values: { bp_sys: 118, bp_dia: 76 }, pulseRate: null },
+    // 36.6 °C
+    { values: { temp: 97.88 } },
+    // FLOAT NaN
+    { values: {} },
+    // 2.5 m/s at 160 steps/min
+    { values: {}, motion: { cadence: 160 } },
+    // Battery 85 %
+    { values: {}, device: { battery: 85 } },
+    // 16-bit HR flagged but only one byte of it sent
+    null,
+    // Device Name, which isn't a health characteristic
+    null
+];
+
+assert.strictEqual(capture.length, expected.length, 'capture and expectations differ in length');
+
+let failures = 0;
+capture.forEach((row, i) => {
+    // JSON round trip: the context's objects come from another realm
+    const reading = JSON.parse(JSON.stringify(decodeGattReading(row.characteristic, gattBytes(row.value), row.timestamp)));
+    const want = expected[i] && { timestamp: row.timestamp, ...expected[i] };
+    try {
+        assert.deepStrictEqual(reading, want);
+        console.log(`✅ ${row.characteristic} ${JSON.stringify(row.value)}`);
+    } catch (err) {
+        failures++;
+        console.error(`❌ ${row.characteristic} ${JSON.stringify(row.value)}\n   expected ${JSON.stringify(want)}\n   got      ${JSON.stringify(reading)}`);
+    }
+});
+
+if (failures) {
+    console.error(`${failures} of ${capture.length} readings decoded wrongly`);
+    process.exit(1);
+}
+console.log(`All ${capture.length} readings decoded as expected`);
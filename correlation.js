@@ -0,0 +1,448 @@
+/* ============================
+   VitalSync — Correlation Analysis
+   Lagged Cross-Correlation · Spearman · Significance · Pair Drill-Down
+   ============================ */
+
+// The engine's correlations (state.correlations) are zero-lag Pearson over
+// the last CONFIG.correlationWindow samples; the detector, risk models and
+// alert rules are all built on those. For each matrix pair this module adds:
+//   spearman  rank correlation over the same window, for monotonic but
+//             non-linear coupling
+//   p         two-sided p-value from the Fisher z of r, using an effective
+//             sample size that discounts each signal's lag-1 autocorrelation
+//             (neighbouring samples of a slow vital are far from independent,
+//             so a 20-sample window often counts as only a handful and just
+//             strong coupling clears the bar — the same effect behind the
+//             detector's minSpread)
+//   ccf       Pearson r with one signal shifted up to maxLag samples either
+//             way. A positive lag means the second signal follows the first
+//             (for the hr_rr pair, RR changing before HR is a negative lag).
+//             The peak's p-value is Bonferroni-corrected for the lags searched.
+// Every tick's r is kept per pair so the drill-down can plot it over time.
+// Like the engine, a pair whose window is mostly artifacts keeps its last
+// analysis (see signal-quality.js).
+
+function createCorrelationAnalysis() {
+    return {
+        pairs: {},                                        // 'hr_spo2' -> latest analysis
+        history: { times: [], pearson: {}, spearman: {} } // per-pair r, oldest first
+    };
+}
+
+// The last `n` readings of a and b with b taken `lag` samples after a (a
+// leads b when lag > 0), each pair weighted by its worse sample
+function pairWindow(quality, x, y, a, b, lag = 0, n = CONFIG.correlationWindow) {
+    const size = Math.max(0, Math.min(n, x.length - Math.abs(lag), y.length - Math.abs(lag)));
+    const xBack = Math.max(lag, 0);
+    const yBack = Math.max(-lag, 0);
+    const win = { x: [], y: [], w: [] };
+    for (let i = size - 1; i >= 0; i--) {
+        win.x.push(x[x.length - 1 - i - xBack]);
+        win.y.push(y[y.length - 1 - i - yBack]);
+        win.w.push(Math.min(sampleWeight(quality, a, i + xBack), sampleWeight(quality, b, i + yBack)));
+    }
+    return win;
+}
+
+// ======================== STATISTICS ========================
+function spearmanCorrelation(x, y, weights) {
+    return pearsonCorrelation(ranks(x), ranks(y), weights);
+}
+
+// 1-based ranks, ties sharing their average rank
+function ranks(values) {
+    const order = values.map((v, i) => i).sort((i, j) => values[i] - values[j]);
+    const result = new Array(values.length);
+    for (let i = 0; i < order.length;) {
+        let j = i;
+        while (j < order.length && values[order[j]] === values[order[i]]) j++;
+        for (let k = i; k < j; k++) result[order[k]] = (i + 1 + j) / 2;
+        i = j;
+    }
+    return result;
+}
+
+// Weighted sample size scaled by (1 - ρxρy) / (1 + ρxρy), the lag-1
+// autocorrelations of the two windows
+function effectiveSampleSize(win) {
+    const total = win.w.reduce((a, b) => a + b, 0);
+    const squares = win.w.reduce((a, b) => a + b * b, 0);
+    if (squares === 0) return 0;
+    const n = total * total / squares;
+    const lag1 = values => pearsonCorrelation(values.slice(0, -1), values.slice(1), win.w.slice(1));
+    const rho = Math.max(0, lag1(win.x) * lag1(win.y));
+    return n * (1 - rho) / (1 + rho);
+}
+
+function correlationPValue(r, n) {
+    if (n <= 3) return 1;
+    return 2 * (1 - normalCdf(Math.abs(fisherZ(r)) * Math.sqrt(n - 3)));
+}
+
+// ======================== ANALYSIS ========================
+// Called by updateCorrelations() once state.correlations is up to date
+function analyseCorrelations() {
+    const analysis = state.correlationAnalysis;
+    const cfg = CONFIG.correlation;
+    // Every lag must still leave a full window inside the history
+    const maxLag = Math.min(cfg.maxLag, CONFIG.chartPoints - CONFIG.correlationWindow);
+    if (state.vitals.hr.history.length < CONFIG.correlationWindow) return;
+
+    detectorPairs().forEach(([a, b]) => {
+        const key = `${a}_${b}`;
+        if (Math.min(signalQuality(a), signalQuality(b)) < CONFIG.quality.minWindowScore) return;
+        const x = state.vitals[a].history;
+        const y = state.vitals[b].history;
+        const win = pairWindow(state.quality, x, y, a, b);
+        const n = effectiveSampleSize(win);
+        const pearson = state.correlations[key] || 0;
+        const spearman = spearmanCorrelation(win.x, win.y, win.w);
+
+        const ccf = [];
+        for (let lag = -maxLag; lag <= maxLag; lag++) {
+            const w = pairWindow(state.quality, x, y, a, b, lag);
+            ccf.push(pearsonCorrelation(w.x, w.y, w.w));
+        }
+        const peak = ccf.reduce((best, r, i) => Math.abs(r) > Math.abs(ccf[best]) ? i : best, maxLag);
+
+        analysis.pairs[key] = {
+            pearson,
+            spearman,
+            n,
+            pPearson: correlationPValue(pearson, n),
+            pSpearman: correlationPValue(spearman, n),
+            ccf,
+            maxLag,
+            lag: peak - maxLag,
+            lagR: ccf[peak],
+            lagP: Math.min(1, correlationPValue(ccf[peak], n) * ccf.length)
+        };
+    });
+
+    const h = analysis.history;
+    h.times.push(state.lastSampleTime);
+    detectorPairs().forEach(([a, b]) => {
+        const key = `${a}_${b}`;
+        const pair = analysis.pairs[key];
+        if (!h.pearson[key]) {
+            // Pairs that start late are padded so every series lines up with times
+            h.pearson[key] = new Array(h.times.length - 1).fill(null);
+            h.spearman[key] = new Array(h.times.length - 1).fill(null);
+        }
+        h.pearson[key].push(pair ? pair.pearson : null);
+        h.spearman[key].push(pair ? pair.spearman : null);
+    });
+    if (h.times.length > cfg.historyPoints) {
+        h.times.shift();
+        Object.values(h.pearson).forEach(series => series.shift());
+        Object.values(h.spearman).forEach(series => series.shift());
+    }
+}
+
+// The analysis of a→b in either order, its lag and CCF flipped to match
+function pairAnalysis(a, b) {
+    const pairs = state.correlationAnalysis.pairs;
+    if (pairs[`${a}_${b}`]) return pairs[`${a}_${b}`];
+    const p = pairs[`${b}_${a}`];
+    if (!p) return null;
+    return { ...p, ccf: p.ccf.slice().reverse(), lag: -p.lag };
+}
+
+function pairHistoryKey(a, b) {
+    return state.correlationAnalysis.history.pearson[`${a}_${b}`] ? `${a}_${b}` : `${b}_${a}`;
+}
+
+// The matrix's reading for a pair under the selected method
+function matrixReading(a, b) {
+    const p = pairAnalysis(a, b);
+    const spearman = view.correlationMethod === 'spearman';
+    if (!p) return { r: state.correlations[`${a}_${b}`] || 0, p: null };
+    return { r: spearman ? p.spearman : p.pearson, p: spearman ? p.pSpearman : p.pPearson };
+}
+
+function isSignificant(p) {
+    return p !== null && p < CONFIG.correlation.significance;
+}
+
+// Typical spacing of the live samples, for turning lags into seconds
+function sampleInterval() {
+    const times = state.vitals.hr.times;
+    if (times.length < 2) return CONFIG.updateInterval;
+    return (times[times.length - 1] - times[0]) / (times.length - 1);
+}
+
+// "SpO2 follows RR by 8s" for a lag of b after a
+function describeLag(a, b, lag) {
+    if (lag === 0) return 'in step';
+    const seconds = Math.round(Math.abs(lag) * sampleInterval() / 1000);
+    const [leader, follower] = lag > 0 ? [a, b] : [b, a];
+    return `${CONFIG.signalLabels[follower]} follows ${CONFIG.signalLabels[leader]} by ${seconds}s`;
+}
+
+function formatP(p) {
+    return p < 0.001 ? 'p < 0.001' : `p ${p.toFixed(3)}`;
+}
+
+// ======================== MATRIX CONTROLS ========================
+let openCorrelationDetail = null;   // [a, b] shown in the drill-down
+
+function setupCorrelationAnalysis() {
+    const methodButtons = document.querySelectorAll('.time-btn[data-method]');
+    methodButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            methodButtons.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            view.correlationMethod = btn.dataset.method;
+            renderCorrelationMatrix();
+            renderCorrelationDetail();
+        });
+    });
+    const significantBtn = document.getElementById('corr-significant-btn');
+    significantBtn.addEventListener('click', () => {
+        view.correlationSignificantOnly = !view.correlationSignificantOnly;
+        significantBtn.classList.toggle('active', view.correlationSignificantOnly);
+        significantBtn.setAttribute('aria-pressed', String(view.correlationSignificantOnly));
+        renderCorrelationMatrix();
+    });
+
+    document.getElementById('matrix-body').addEventListener('click', (e) => {
+        const cell = e.target.closest('.matrix-cell[data-pair]');
+        if (cell) showCorrelationDetail(...cell.dataset.pair.split('_'));
+    });
+    document.getElementById('matrix-body').addEventListener('keydown', (e) => {
+        const cell = e.target.closest('.matrix-cell[data-pair]');
+        if (cell && (e.key === 'Enter' || e.key === ' ')) showCorrelationDetail(...cell.dataset.pair.split('_'));
+    });
+
+    const overlay = document.getElementById('corr-detail');
+    document.getElementById('corr-detail-close').addEventListener('click', hideCorrelationDetail);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) hideCorrelationDetail();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && openCorrelationDetail) hideCorrelationDetail();
+    });
+}
+
+// ======================== DRILL-DOWN ========================
+function showCorrelationDetail(a, b) {
+    openCorrelationDetail = [a, b];
+    document.getElementById('corr-detail').hidden = false;
+    renderCorrelationDetail();
+}
+
+function hideCorrelationDetail() {
+    openCorrelationDetail = null;
+    document.getElementById('corr-detail').hidden = true;
+}
+
+function renderCorrelationDetail() {
+    if (!openCorrelationDetail) return;
+    const [a, b] = openCorrelationDetail;
+    const p = pairAnalysis(a, b);
+    const method = view.correlationMethod === 'spearman' ? 'Spearman ρ' : 'Pearson r';
+    const reading = matrixReading(a, b);
+
+    document.getElementById('corr-detail-title').textContent = pairLabel(a, b);
+    document.getElementById('corr-detail-score').textContent = formatR(reading.r);
+    document.getElementById('corr-detail-summary').textContent = p
+        ? `${state.profile.name}: ${method} ${formatR(reading.r)} over the last ${CONFIG.correlationWindow} samples ` +
+          `(${formatP(reading.p)}, effective n ${p.n.toFixed(1)}${isSignificant(reading.p) ? '' : ', not significant'}). ` +
+          `Strongest coupling r ${formatR(p.lagR)} at lag ${p.lag > 0 ? '+' : ''}${p.lag}: ${describeLag(a, b, p.lag)} ` +
+          `(${formatP(p.lagP)} after correcting for ${p.ccf.length} lags).`
+        : `${state.profile.name}: waiting for ${CONFIG.correlationWindow} samples of clean data.`;
+
+    renderCorrelationScatter('corr-scatter', a, b);
+    if (p) renderCcfChart('corr-ccf', a, b, p);
+
+    // Per-tick history stays with the engine; only the open pair's is fetched
+    const patient = state;
+    requestFromEngine(patient, 'pairHistory', a, b).then(history => {
+        if (isOnScreen(patient) && openCorrelationDetail && openCorrelationDetail.join() === `${a},${b}`) {
+            renderRollingCorrelation('corr-rolling', history);
+        }
+    });
+}
+
+// Detail charts fill the panel's width at a fixed height
+function drawDetailChart(canvasId, h, deps, draw) {
+    const canvas = document.getElementById(canvasId);
+    if (canvas) drawChart(canvas, canvas.parentElement, box => [box.width, h], deps, draw);
+}
+
+// Every sample in the history, the correlation window's drawn brighter and
+// faded by quality weight, with the window's least-squares line
+function renderCorrelationScatter(canvasId, a, b) {
+    const x = state.vitals[a].history;
+    const y = state.vitals[b].history;
+    if (x.length < 2) return;
+
+    drawDetailChart(canvasId, 220, [a, b, x.length, state.lastSampleTime], (ctx, w, h) => {
+        const padding = { top: 10, right: 10, bottom: 30, left: 44 };
+        const plotW = w - padding.left - padding.right;
+        const plotH = h - padding.top - padding.bottom;
+        const extent = values => {
+            const [lo, hi] = arrayExtent(values);
+            const pad = (hi - lo) * 0.1 || 1;
+            return [lo - pad, hi + pad];
+        };
+        const [xLo, xHi] = extent(x);
+        const [yLo, yHi] = extent(y);
+        const toX = v => padding.left + (v - xLo) / (xHi - xLo) * plotW;
+        const toY = v => padding.top + (1 - (v - yLo) / (yHi - yLo)) * plotH;
+
+        ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+        ctx.strokeRect(padding.left, padding.top, plotW, plotH);
+        ctx.font = '10px Inter';
+        ctx.fillStyle = 'rgba(255,255,255,0.4)';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${CONFIG.signalLabels[a]} (${state.vitals[a].unit})`, padding.left + plotW / 2, h - 6);
+        [xLo, xHi].forEach((v, i) => ctx.fillText(v.toFixed(1), i ? padding.left + plotW - 12 : padding.left + 12, h - 18));
+        ctx.textAlign = 'right';
+        [yLo, yHi].forEach((v, i) => ctx.fillText(v.toFixed(1), padding.left - 6, i ? padding.top + 8 : padding.top + plotH));
+        ctx.save();
+        ctx.translate(10, padding.top + plotH / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText(`${CONFIG.signalLabels[b]} (${state.vitals[b].unit})`, 0, 0);
+        ctx.restore();
+
+        const win = pairWindow(state.quality, x, y, a, b);
+        const recent = x.length - win.x.length;
+        x.forEach((xv, i) => {
+            const inWindow = i >= recent;
+            ctx.globalAlpha = inWindow ? 0.25 + 0.75 * win.w[i - recent] : 0.2;
+            ctx.fillStyle = inWindow ? '#00d4ff' : '#6c7293';
+            ctx.beginPath();
+            ctx.arc(toX(xv), toY(y[i]), inWindow ? 3.5 : 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+
+        // Weighted least-squares fit through the window
+        const total = win.w.reduce((s, v) => s + v, 0);
+        if (total === 0) return;
+        const mx = win.x.reduce((s, v, i) => s + v * win.w[i], 0) / total;
+        const my = win.y.reduce((s, v, i) => s + v * win.w[i], 0) / total;
+        let num = 0, den = 0;
+        win.x.forEach((v, i) => {
+            num += win.w[i] * (v - mx) * (win.y[i] - my);
+            den += win.w[i] * (v - mx) * (v - mx);
+        });
+        if (den === 0) return;
+        const slope = num / den;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(padding.left, padding.top, plotW, plotH);
+        ctx.clip();
+        ctx.strokeStyle = '#00ff88';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([5, 4]);
+        ctx.beginPath();
+        ctx.moveTo(toX(xLo), toY(my + slope * (xLo - mx)));
+        ctx.lineTo(toX(xHi), toY(my + slope * (xHi - mx)));
+        ctx.stroke();
+        ctx.restore();
+    });
+}
+
+// One bar per lag, the peak highlighted, with the ±bound a lag's r must
+// clear to be significant on its own
+function renderCcfChart(canvasId, a, b, p) {
+    drawDetailChart(canvasId, 180, [a, b, p], (ctx, w, h) => {
+        const padding = { top: 10, right: 10, bottom: 30, left: 44 };
+        const plotW = w - padding.left - padding.right;
+        const plotH = h - padding.top - padding.bottom;
+        const toY = r => padding.top + (1 - (r + 1) / 2) * plotH;
+        const slot = plotW / p.ccf.length;
+
+        ctx.font = '10px Inter';
+        ctx.fillStyle = 'rgba(255,255,255,0.4)';
+        ctx.textAlign = 'right';
+        [1, 0, -1].forEach(r => ctx.fillText(r.toFixed(1), padding.left - 6, toY(r) + 3));
+        ctx.strokeStyle = 'rgba(255,255,255,0.2)';
+        ctx.beginPath();
+        ctx.moveTo(padding.left, toY(0));
+        ctx.lineTo(padding.left + plotW, toY(0));
+        ctx.stroke();
+
+        if (p.n > 3) {
+            const bound = Math.tanh(1.96 / Math.sqrt(p.n - 3));
+            ctx.strokeStyle = 'rgba(255,184,0,0.5)';
+            ctx.setLineDash([4, 4]);
+            [bound, -bound].forEach(r => {
+                ctx.beginPath();
+                ctx.moveTo(padding.left, toY(r));
+                ctx.lineTo(padding.left + plotW, toY(r));
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+        }
+
+        p.ccf.forEach((r, i) => {
+            const lag = i - p.maxLag;
+            const x = padding.left + i * slot + slot * 0.15;
+            ctx.fillStyle = lag === p.lag ? '#00ff88' : lag === 0 ? '#00d4ff' : 'rgba(108,114,147,0.7)';
+            const y0 = toY(0), y1 = toY(r);
+            ctx.fillRect(x, Math.min(y0, y1), slot * 0.7, Math.max(Math.abs(y1 - y0), 1));
+        });
+
+        // Lag axis in seconds: negative is b leading a, positive b following
+        const interval = sampleInterval() / 1000;
+        ctx.fillStyle = 'rgba(255,255,255,0.4)';
+        ctx.textAlign = 'center';
+        [-p.maxLag, 0, p.maxLag].forEach(lag => {
+            const x = padding.left + (lag + p.maxLag + 0.5) * slot;
+            ctx.fillText(`${lag > 0 ? '+' : ''}${Math.round(lag * interval)}s`, x, h - 18);
+        });
+        ctx.fillText(`lag of ${CONFIG.signalLabels[b]} behind ${CONFIG.signalLabels[a]}`, padding.left + plotW / 2, h - 4);
+    });
+}
+
+// `history` is one pair's { times, pearson, spearman } from the engine
+function renderRollingCorrelation(canvasId, history) {
+    const values = view.correlationMethod === 'spearman' ? history.spearman : history.pearson;
+    const times = history.times;
+    if (times.length < 2) return;
+
+    drawDetailChart(canvasId, 160, [history, view.correlationMethod], (ctx, w, h) => {
+
+        const padding = { top: 10, right: 10, bottom: 25, left: 44 };
+        const frame = {
+            padding,
+            chartW: w - padding.left - padding.right,
+            chartH: h - padding.top - padding.bottom,
+            minVal: -1,
+            range: 2,
+            start: times[0],
+            end: times[times.length - 1]
+        };
+
+        ctx.font = '10px Inter';
+        ctx.fillStyle = 'rgba(255,255,255,0.4)';
+        ctx.textAlign = 'right';
+        [1, 0, -1].forEach(r => ctx.fillText(r.toFixed(1), padding.left - 6, valueToY(r, frame) + 3));
+        ctx.strokeStyle = 'rgba(255,255,255,0.2)';
+        ctx.beginPath();
+        ctx.moveTo(padding.left, valueToY(0, frame));
+        ctx.lineTo(padding.left + frame.chartW, valueToY(0, frame));
+        ctx.stroke();
+        drawTimeAxis(ctx, frame, h);
+
+        // Break the line where the pair had no analysis or the data stopped
+        const gapAfter = CONFIG.device.gapAfter * 1000;
+        ctx.beginPath();
+        let drawing = false;
+        values.forEach((r, i) => {
+            if (r === null || (i > 0 && times[i] - times[i - 1] > gapAfter)) drawing = false;
+            if (r === null) return;
+            const px = timeToX(times[i], frame), py = valueToY(r, frame);
+            if (drawing) ctx.lineTo(px, py);
+            else ctx.moveTo(px, py);
+            drawing = true;
+        });
+        ctx.strokeStyle = '#00d4ff';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    });
+}
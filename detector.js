@@ -0,0 +1,207 @@
+/* ============================
+   VitalSync — Correlation-Shift Detector
+   Learned Pair Structure · Mahalanobis Distance · Event Open/Close
+   ============================ */
+
+// For every signal pair the detector learns the usual Fisher-z transformed
+// correlation, and across the pairs how their deviations move together: the
+// pairs share signals and are computed over the same overlapping window, so
+// one signal drifting moves several of them at once. Each tick it scores the
+// Mahalanobis distance of the current correlations from that structure,
+// using the learned covariance shrunk toward its diagonal (a full 15 × 15
+// estimate from a few minutes of ticks is too noisy to invert on its own),
+// smooths it, and opens an anomaly when the resulting chi-square confidence
+// stays high for a few ticks. The same anomaly is closed once the structure
+// settles back.
+// The correlations are its own, over CONFIG.detector.window samples rather
+// than the 20 of state.correlations. Every structure starts out as signals
+// moving independently, worth priorTicks of learning, and scores from its
+// first tick: a recurring stress response that starts within the first
+// minute would otherwise be calibrated in as the patient's normal.
+// Walking or exercise couples HR, RR and BP in ways rest doesn't, so each
+// activity state (see activity.js) learns a structure of its own; ticks
+// while the vitals catch up with a change of state are neither scored nor
+// learned.
+
+function createDetectorState() {
+    return {
+        structures: {},   // activity state -> { ticks, mean, covariance } learned in it
+        structure: null,  // the state the latest tick was scored in
+        deviations: [],   // latest per-pair deviations, strongest first
+        score: 0,         // smoothed Mahalanobis distance (squared)
+        confidence: 0,
+        above: 0,         // consecutive ticks above the open threshold
+        below: 0,         // consecutive ticks below the close threshold
+        peak: 0,          // highest confidence seen during the open event
+        openEvent: null   // anomaly object while an event is open
+    };
+}
+
+function detectorPairs() {
+    const pairs = [];
+    matrixSignals.forEach((a, i) => {
+        matrixSignals.slice(i + 1).forEach(b => pairs.push([a, b]));
+    });
+    return pairs;
+}
+
+function pairLabel(a, b) {
+    return `${CONFIG.signalLabels[a]}↔${CONFIG.signalLabels[b]}`;
+}
+
+function createStructure(k) {
+    const floor = CONFIG.detector.minSpread;
+    return {
+        ticks: 0,
+        mean: new Array(k).fill(0),
+        covariance: Array.from({ length: k }, (_, i) => Array.from({ length: k }, (__, j) => i === j ? floor * floor : 0))
+    };
+}
+
+// Pearson over the detector's window, weighted by sample quality like
+// state.correlations; null while either signal's window is mostly artifacts
+function detectorCorrelation(a, b) {
+    if (Math.min(signalQuality(a), signalQuality(b)) < CONFIG.quality.minWindowScore) return null;
+    const win = pairWindow(state.quality, state.vitals[a].history, state.vitals[b].history, a, b, 0, CONFIG.detector.window);
+    return pearsonCorrelation(win.x, win.y, win.w);
+}
+
+// ======================== SCORING ========================
+function updateDetector() {
+    const d = state.detector;
+    const cfg = CONFIG.detector;
+    const n = state.vitals.hr.history.length;
+    if (n < cfg.window) return;
+    const activity = settledActivity(state.activity);
+    if (!activity) return;
+
+    // A new structure's scores don't carry on from the last one's
+    if (activity !== d.structure) {
+        d.structure = activity;
+        d.score = 0;
+        d.confidence = 0;
+        d.above = 0;
+    }
+    const pairs = detectorPairs();
+    const rs = pairs.map(([a, b]) => detectorCorrelation(a, b));
+    if (rs.includes(null)) return;
+    const zs = rs.map(fisherZ);
+    const s = d.structures[activity] = d.structures[activity] || createStructure(zs.length);
+    s.ticks++;
+
+    const diff = zs.map((z, i) => z - s.mean[i]);
+    const distance = mahalanobis(diff, shrunkCovariance(s.covariance));
+    d.deviations = pairs.map(([a, b], i) => ({
+        a, b,
+        key: `${a}_${b}`,
+        r: rs[i],
+        baseline: Math.tanh(s.mean[i]),
+        deviation: diff[i] / Math.sqrt(s.covariance[i][i])
+    })).sort((x, y) => Math.abs(y.deviation) - Math.abs(x.deviation));
+
+    // A running average on top of the prior, down to adaptRate — and only
+    // from ticks that looked normal, so an anomaly doesn't become the new
+    // normal
+    if (!d.openEvent && d.confidence < cfg.closeConfidence) {
+        learnStructure(s, diff, Math.max(1 / (cfg.priorTicks + s.ticks), cfg.adaptRate));
+    }
+
+    d.score = lerp(d.score, distance, cfg.smoothing);
+    d.confidence = chiSquareCdf(d.score, pairs.length);
+
+    if (!d.openEvent) {
+        d.above = d.confidence >= cfg.openConfidence ? d.above + 1 : 0;
+        if (d.above >= cfg.openTicks) openCorrelationEvent();
+    } else {
+        d.below = d.confidence < cfg.closeConfidence ? d.below + 1 : 0;
+        d.peak = Math.max(d.peak, d.confidence);
+        if (d.below >= cfg.closeTicks) closeCorrelationEvent();
+    }
+}
+
+// EWMA of the mean and covariance; each pair's variance is kept above the
+// minSpread floor
+function learnStructure(s, diff, alpha) {
+    const floor = CONFIG.detector.minSpread;
+    diff.forEach((di, i) => { s.mean[i] += alpha * di; });
+    s.covariance.forEach((row, i) => {
+        row.forEach((c, j) => { row[j] = (1 - alpha) * (c + alpha * diff[i] * diff[j]); });
+    });
+    s.covariance.forEach((row, i) => { row[i] = Math.max(row[i], floor * floor); });
+}
+
+function shrunkCovariance(covariance) {
+    const lambda = CONFIG.detector.shrinkage;
+    return covariance.map((row, i) => row.map((c, j) => i === j ? c : (1 - lambda) * c));
+}
+
+// diffᵀ Σ⁻¹ diff through a Cholesky factorisation of Σ
+function mahalanobis(diff, covariance) {
+    const k = diff.length;
+    const L = covariance.map(() => new Array(k).fill(0));
+    for (let i = 0; i < k; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = covariance[i][j];
+            for (let m = 0; m < j; m++) sum -= L[i][m] * L[j][m];
+            if (i === j) L[i][i] = Math.sqrt(Math.max(sum, 1e-9));
+            else L[i][j] = sum / L[j][j];
+        }
+    }
+    // Solve L y = diff; the distance is |y|²
+    const y = new Array(k).fill(0);
+    let distance = 0;
+    for (let i = 0; i < k; i++) {
+        let sum = diff[i];
+        for (let m = 0; m < i; m++) sum -= L[i][m] * y[m];
+        y[i] = sum / L[i][i];
+        distance += y[i] * y[i];
+    }
+    return distance;
+}
+
+function describedPairs(d) {
+    return d.deviations
+        .filter(p => Math.abs(p.deviation) >= CONFIG.detector.pairDeviation)
+        .slice(0, 3)
+        .map(p => ({ pair: p.key, signals: [p.a, p.b], r: p.r, baseline: p.baseline, deviation: p.deviation }));
+}
+
+// ======================== EVENTS ========================
+function openCorrelationEvent() {
+    const d = state.detector;
+    const pairs = describedPairs(d);
+    const shifts = pairs.map(p => {
+        const verb = p.r * p.baseline < 0 ? 'reversed'
+            : Math.abs(p.r) > Math.abs(p.baseline) ? 'strengthened' : 'weakened';
+        return `${pairLabel(...p.signals)} ${verb} from ${formatR(p.baseline)} to ${formatR(p.r)} (${Math.abs(p.deviation).toFixed(1)}σ)`;
+    });
+    const pct = (d.confidence * 100).toFixed(1);
+    const severity = d.confidence >= 0.999 && pairs.length >= 3 ? 'high' : 'medium';
+
+    d.openEvent = addAnomaly('active', 'Multi-Signal Correlation Divergence Detected',
+        `${shifts.join('; ') || 'Several signal pairs drifted together'}. The joint correlation structure has left its learned baseline (${pct}% confidence).`,
+        [...pairs.map(p => pairLabel(...p.signals)), 'Correlation Shift', `${pct}% confidence`],
+        severity,
+        { detector: 'correlation-shift', confidence: d.confidence, pairs });
+    d.above = 0;
+    d.below = 0;
+    d.peak = d.confidence;
+}
+
+function closeCorrelationEvent() {
+    const d = state.detector;
+    const event = d.openEvent;
+    const seconds = Math.round((state.lastSampleTime - event.timestamp) / 1000);
+    updateAnomaly(event, {
+        status: event.status === 'resolved' ? 'resolved' : 'auto-resolved',
+        endTimestamp: state.lastSampleTime,
+        peakConfidence: d.peak,
+        description: `${event.description} Correlation structure returned to baseline after ${seconds}s.`
+    });
+    d.openEvent = null;
+    d.below = 0;
+}
+
+function formatR(r) {
+    return (r >= 0 ? '+' : '') + r.toFixed(2);
+}
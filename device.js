@@ -0,0 +1,182 @@
+/* ============================
+   VitalSync — Device Connection
+   Connection State · Stale-Data Watchdog · Data Gaps · Battery & Firmware
+   ============================ */
+
+// Each patient's device moves through:
+//   connecting    the source has started but no sample has arrived
+//   live          samples are arriving
+//   stale         no sample for CONFIG.device.staleAfter seconds
+//   disconnected  no sample for disconnectAfter seconds, or the source
+//                 reported the link closed
+//   reconnecting  the source is retrying a closed link
+// Any sample makes the device live again. Sources report what only they can
+// know (connecting, closed, retrying) through the status callback passed to
+// start(). Staleness is judged here from the wall-clock time the last sample
+// arrived, so a replay paused in step mode reads as stale too.
+//
+// Samples more than CONFIG.device.gapAfter seconds apart (in sample time) are
+// a gap. The pipeline records gaps per patient, and the charts break their
+// lines across them rather than joining the readings either side.
+//
+// Battery and firmware ride on samples as telemetry, e.g.
+//   {"timestamp": 1760000000000, "hr": 74, "battery": 64, "firmware": "4.2.1"}
+
+const DEVICE_STATUS = {
+    connecting: { label: 'Connecting…', short: 'Connecting', level: 'pending' },
+    live: { label: 'Connected • Syncing live', short: 'Live', level: 'live' },
+    stale: { label: 'No recent data', short: 'Stale', level: 'warning' },
+    disconnected: { label: 'Disconnected', short: 'Disconnected', level: 'alert' },
+    reconnecting: { label: 'Reconnecting…', short: 'Reconnecting', level: 'warning' }
+};
+
+function createDeviceState() {
+    return {
+        status: 'connecting',
+        detail: '',             // reason reported with the status, e.g. 'Replay finished'
+        since: Date.now(),      // wall-clock time of the last status change
+        lastReceived: 0,        // wall-clock time the last sample arrived
+        battery: null,          // % from telemetry
+        firmware: null,
+        lowBattery: false,      // low-battery event raised for this discharge
+        gaps: []                // { from, to } in sample time, oldest first
+    };
+}
+
+function isDataGap(previousTime, time) {
+    return time - previousTime > CONFIG.device.gapAfter * 1000;
+}
+
+// ======================== STATE MACHINE ========================
+function setDeviceStatus(status, detail = '') {
+    const device = state.device;
+    if (device.status === status && device.detail === detail) return;
+    const previous = device.status;
+    device.status = status;
+    device.detail = detail;
+    device.since = Date.now();
+
+    const message = `${state.profile.name}: device ${previous} → ${status}${detail ? ` (${detail})` : ''}`;
+    if (status === 'live' || status === 'connecting') console.log(`📶 ${message}`);
+    else console.warn(`⚠️ ${message}`);
+    publishPatient(state);
+}
+
+// Called by the pipeline for every sample, before anything else sees it
+function trackDeviceSample(sample) {
+    const device = state.device;
+    if (state.lastSampleTime && isDataGap(state.lastSampleTime, sample.timestamp)) {
+        recordDataGap(state.lastSampleTime, sample.timestamp);
+    }
+    device.lastReceived = Date.now();
+    if (sample.device) applyDeviceTelemetry(sample.device);
+    setDeviceStatus('live');
+}
+
+function recordDataGap(from, to) {
+    const device = state.device;
+    device.gaps.push({ from, to });
+    if (device.gaps.length > CONFIG.device.maxGaps) device.gaps.shift();
+
+    const seconds = Math.round((to - from) / 1000);
+    if (seconds < CONFIG.device.disconnectAfter) return;
+    addAnomaly('info', 'Monitoring Gap',
+        `No data from ${state.profile.device} for ${formatGapDuration(seconds)} (${formatTime(new Date(from))} – ${formatTime(new Date(to))}). Readings in this window were not monitored.`,
+        ['Device'], 'low');
+}
+
+function formatGapDuration(seconds) {
+    if (seconds < 120) return `${seconds}s`;
+    if (seconds < 7200) return `${Math.round(seconds / 60)} min`;
+    return `${(seconds / 3600).toFixed(1)} h`;
+}
+
+function applyDeviceTelemetry(telemetry) {
+    const device = state.device;
+    if (telemetry.firmware) device.firmware = String(telemetry.firmware);
+    if (typeof telemetry.battery !== 'number') return;
+    device.battery = telemetry.battery;
+
+    // One event per discharge; charging back above the limit re-arms it
+    if (device.battery > CONFIG.device.lowBattery) {
+        device.lowBattery = false;
+        return;
+    }
+    if (device.lowBattery) return;
+    device.lowBattery = true;
+    addAnomaly('info', 'Device Battery Low',
+        `${state.profile.device} battery at ${Math.round(device.battery)}%. Charge or replace the device before it stops reporting.`,
+        ['Device'], 'low');
+}
+
+// ======================== WATCHDOG ========================
+function setupDeviceWatchdog() {
+    setInterval(checkDeviceConnections, 1000);
+}
+
+function checkDeviceConnections() {
+    const now = Date.now();
+    const cfg = CONFIG.device;
+    enginePatients.forEach(patient => withPatient(patient, () => {
+        const device = patient.device;
+        if (device.status === 'live' || device.status === 'stale') {
+            const silent = now - device.lastReceived;
+            if (silent > cfg.disconnectAfter * 1000) setDeviceStatus('disconnected', 'No data received');
+            else if (silent > cfg.staleAfter * 1000) setDeviceStatus('stale');
+        } else if (device.status === 'connecting' && now - device.since > cfg.disconnectAfter * 1000) {
+            setDeviceStatus('disconnected', 'No data received');
+        }
+    }));
+}
+
+// ======================== RENDERING ========================
+// Keeps the "last data … ago" count moving while nothing arrives
+function setupDeviceStatusClock() {
+    setInterval(() => {
+        if (view.mode === 'patient') renderDeviceStatus();
+    }, 1000);
+}
+
+function deviceDataAge(device) {
+    if (!device.lastReceived) return null;
+    return Math.round((Date.now() - device.lastReceived) / 1000);
+}
+
+function renderDeviceStatus() {
+    const device = state.device;
+    const status = DEVICE_STATUS[device.status];
+
+    const syncEl = document.getElementById('sync-status');
+    if (syncEl) {
+        syncEl.textContent = device.detail ? `${status.label} • ${device.detail}` : status.label;
+        syncEl.className = `sync-status sync-status-${status.level}`;
+    }
+    const dot = document.getElementById('device-dot');
+    if (dot) dot.className = `device-dot device-dot-${status.level}${status.level === 'live' ? ' pulse-dot' : ''}`;
+    const lastSyncEl = document.getElementById('last-sync');
+    if (lastSyncEl) {
+        lastSyncEl.textContent = state.lastSampleTime
+            ? `Last sync: ${formatTime(new Date(state.lastSampleTime))}`
+            : 'Last sync: waiting for data';
+    }
+
+    const banner = document.getElementById('stale-banner');
+    if (banner) {
+        banner.hidden = device.status === 'live' || device.status === 'connecting';
+        const age = deviceDataAge(device);
+        document.getElementById('stale-banner-text').textContent =
+            `${status.label}${device.detail ? ` (${device.detail})` : ''}: ` +
+            (age === null ? 'no data received yet.' : `last data ${formatGapDuration(age)} ago.`) +
+            ' The readings below are not live.';
+    }
+
+    const batteryEl = document.getElementById('device-battery');
+    if (batteryEl) {
+        batteryEl.textContent = device.battery === null ? '—' : `${Math.round(device.battery)}%`;
+        batteryEl.classList.toggle('device-battery-low', device.battery !== null && device.battery <= CONFIG.device.lowBattery);
+    }
+    const firmwareEl = document.getElementById('device-firmware');
+    if (firmwareEl) firmwareEl.textContent = device.firmware || '—';
+    const modelEl = document.getElementById('device-model');
+    if (modelEl) modelEl.textContent = state.profile.device;
+}
@@ -0,0 +1,207 @@
+/* ============================
+   VitalSync — Early Warning Scores
+   NEWS2 · MEWS · Clinical Response Bands · Manual Observations
+   ============================ */
+
+// NEWS2 follows the Royal College of Physicians chart (2017), MEWS the
+// Subbe et al. (2001) table. Each parameter is a list of [upper bound, points]
+// bands checked in order: a reading scores the points of the first band whose
+// bound it does not exceed. Readings are rounded the way they'd be charted
+// (whole numbers, temperature to 0.1 °C) before scoring.
+// Consciousness and supplemental oxygen can't be measured by the wearable, so
+// they come from the manual inputs on the panel.
+
+const NEWS2_BANDS = {
+    rr:     [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]],
+    spo2:   [[91, 3], [93, 2], [95, 1], [Infinity, 0]],
+    // Scale 2 is for patients with a prescribed 88-92% target (e.g. hypercapnic
+    // respiratory failure); high saturations only score while on oxygen
+    spo2Scale2Air:    [[83, 3], [85, 2], [87, 1], [Infinity, 0]],
+    spo2Scale2Oxygen: [[83, 3], [85, 2], [87, 1], [92, 0], [94, 1], [96, 2], [Infinity, 3]],
+    bp_sys: [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]],
+    hr:     [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]],
+    temp:   [[35, 3], [36, 1], [38, 0], [39, 1], [Infinity, 2]]
+};
+
+const MEWS_BANDS = {
+    bp_sys: [[70, 3], [80, 2], [100, 1], [199, 0], [Infinity, 2]],
+    hr:     [[40, 2], [50, 1], [100, 0], [110, 1], [129, 2], [Infinity, 3]],
+    rr:     [[8, 2], [14, 0], [20, 1], [29, 2], [Infinity, 3]],
+    temp:   [[34.9, 2], [38.4, 0], [Infinity, 2]]
+};
+
+// ACVPU: Alert, new Confusion, Voice, Pain, Unresponsive. MEWS predates the
+// C level, so new confusion scores like a response to voice there.
+const CONSCIOUSNESS_LEVELS = {
+    A: { label: 'Alert', news2: 0, mews: 0 },
+    C: { label: 'New confusion', news2: 3, mews: 1 },
+    V: { label: 'Voice', news2: 3, mews: 1 },
+    P: { label: 'Pain', news2: 3, mews: 2 },
+    U: { label: 'Unresponsive', news2: 3, mews: 3 }
+};
+
+const EWS_PARAMETERS = [
+    { key: 'rr', label: 'Resp. rate', unit: '/min' },
+    { key: 'spo2', label: 'SpO2', unit: '%' },
+    { key: 'oxygen', label: 'Air or oxygen' },
+    { key: 'bp_sys', label: 'Systolic BP', unit: 'mmHg' },
+    { key: 'hr', label: 'Pulse', unit: 'BPM' },
+    { key: 'consciousness', label: 'Consciousness' },
+    { key: 'temp', label: 'Temperature', unit: '°C' }
+];
+
+function createEarlyWarningState() {
+    return {
+        consciousness: 'A',   // manual ACVPU observation
+        oxygen: false,        // on supplemental oxygen
+        spo2Scale: 1,         // NEWS2 SpO2 scale 1 or 2
+        news2: null,          // { total, points, band }
+        mews: null,
+        readings: null,       // rounded readings the scores were computed from
+        history: { news2: [], mews: [] }  // { t, score } per historyInterval, worst score kept
+    };
+}
+
+function bandPoints(bands, value) {
+    return bands.find(([bound]) => value <= bound)[1];
+}
+
+function fahrenheitToCelsius(f) {
+    return (f - 32) * 5 / 9;
+}
+
+// ======================== SCORING ========================
+function ewsReadings() {
+    const v = state.vitals;
+    return {
+        rr: Math.round(v.rr.value),
+        spo2: Math.round(v.spo2.value),
+        bp_sys: Math.round(v.bp_sys.value),
+        hr: Math.round(v.hr.value),
+        temp: Math.round(fahrenheitToCelsius(v.temp.value) * 10) / 10
+    };
+}
+
+function computeNews2(readings, ews) {
+    const spo2Bands = ews.spo2Scale === 2
+        ? (ews.oxygen ? NEWS2_BANDS.spo2Scale2Oxygen : NEWS2_BANDS.spo2Scale2Air)
+        : NEWS2_BANDS.spo2;
+    const points = {
+        rr: bandPoints(NEWS2_BANDS.rr, readings.rr),
+        spo2: bandPoints(spo2Bands, readings.spo2),
+        oxygen: ews.oxygen ? 2 : 0,
+        bp_sys: bandPoints(NEWS2_BANDS.bp_sys, readings.bp_sys),
+        hr: bandPoints(NEWS2_BANDS.hr, readings.hr),
+        consciousness: CONSCIOUSNESS_LEVELS[ews.consciousness].news2,
+        temp: bandPoints(NEWS2_BANDS.temp, readings.temp)
+    };
+    const total = Object.values(points).reduce((a, b) => a + b, 0);
+    return { total, points, band: news2Band(total, points) };
+}
+
+function news2Band(total, points) {
+    if (total >= 7) return { level: 'high', label: 'High', response: 'Emergency response — continuous monitoring' };
+    if (total >= 5) return { level: 'medium', label: 'Medium', response: 'Urgent response — at least hourly observations' };
+    if (Object.values(points).includes(3)) {
+        return { level: 'low-medium', label: 'Low-medium', response: 'Single red score — urgent ward-based review, hourly observations' };
+    }
+    if (total >= 1) return { level: 'low', label: 'Low', response: 'Ward-based response — observations every 4-6 hours' };
+    return { level: 'low', label: 'Low', response: 'Routine — observations at least every 12 hours' };
+}
+
+function computeMews(readings, ews) {
+    const points = {
+        rr: bandPoints(MEWS_BANDS.rr, readings.rr),
+        bp_sys: bandPoints(MEWS_BANDS.bp_sys, readings.bp_sys),
+        hr: bandPoints(MEWS_BANDS.hr, readings.hr),
+        consciousness: CONSCIOUSNESS_LEVELS[ews.consciousness].mews,
+        temp: bandPoints(MEWS_BANDS.temp, readings.temp)
+    };
+    const total = Object.values(points).reduce((a, b) => a + b, 0);
+    let band;
+    if (total >= 5) band = { level: 'high', label: 'High', response: 'Urgent medical review' };
+    else if (total >= 3) band = { level: 'medium', label: 'Medium', response: 'Increase observations and inform the nurse in charge' };
+    else band = { level: 'low', label: 'Low', response: 'Routine observations' };
+    return { total, points, band };
+}
+
+function updateEarlyWarning() {
+    const ews = state.earlyWarning;
+    const readings = ewsReadings();
+    ews.readings = readings;
+    ews.news2 = computeNews2(readings, ews);
+    ews.mews = computeMews(readings, ews);
+    if (state.lastSampleTime) {
+        recordEwsScore(ews.history.news2, ews.news2.total);
+        recordEwsScore(ews.history.mews, ews.mews.total);
+    }
+}
+
+function recordEwsScore(history, score) {
+    const interval = CONFIG.earlyWarning.historyInterval;
+    const t = Math.floor(state.lastSampleTime / interval) * interval;
+    const last = history[history.length - 1];
+    if (last && last.t === t) {
+        last.score = Math.max(last.score, score);
+        return;
+    }
+    history.push({ t, score });
+    if (history.length > CONFIG.earlyWarning.historyPoints) history.shift();
+}
+
+// ======================== MANUAL OBSERVATIONS ========================
+function setupEarlyWarning() {
+    const consciousness = document.getElementById('ews-consciousness');
+    if (!consciousness) return;
+    consciousness.innerHTML = Object.entries(CONSCIOUSNESS_LEVELS)
+        .map(([key, level]) => `<option value="${key}">${key} — ${level.label}</option>`)
+        .join('');
+
+    const onChange = (observations) => () => sendEngineCommand(state, 'setObservations', observations());
+    consciousness.addEventListener('change', onChange(() => ({ consciousness: consciousness.value })));
+    const oxygen = document.getElementById('ews-oxygen');
+    oxygen.addEventListener('change', onChange(() => ({ oxygen: oxygen.checked })));
+    const scale = document.getElementById('ews-spo2-scale');
+    scale.addEventListener('change', onChange(() => ({ spo2Scale: parseInt(scale.value, 10) })));
+}
+
+// Any of { consciousness, oxygen, spo2Scale }, rescored straight away
+function setObservations(observations) {
+    Object.assign(state.earlyWarning, observations);
+    updateEarlyWarning();
+}
+
+// ======================== RENDERING ========================
+function renderEarlyWarning() {
+    const ews = state.earlyWarning;
+    if (!ews.news2 || !document.getElementById('ews-panel')) return;
+
+    ['news2', 'mews'].forEach(key => {
+        const score = ews[key];
+        document.getElementById(`ews-${key}-total`).textContent = score.total;
+        const bandEl = document.getElementById(`ews-${key}-band`);
+        bandEl.textContent = score.band.label;
+        bandEl.className = `ews-band ews-band-${score.band.level}`;
+        document.getElementById(`ews-${key}-response`).textContent = score.band.response;
+        const history = ews.history[key].map(p => p.score);
+        renderMiniChart(`ews-${key}-chart`, history, CONFIG.signalColors[key === 'news2' ? 'spo2' : 'hrv'],
+            0, Math.max(CONFIG.earlyWarning.chartMax, arrayExtent(history)[1]));
+    });
+
+    document.getElementById('ews-params').innerHTML = EWS_PARAMETERS.map(p => {
+        const reading = p.key === 'oxygen' ? (ews.oxygen ? 'Oxygen' : 'Air')
+            : p.key === 'consciousness' ? CONSCIOUSNESS_LEVELS[ews.consciousness].label
+            : `${ews.readings[p.key]} ${p.unit}`;
+        const cell = (score) => {
+            const points = score.points[p.key];
+            return points === undefined
+                ? '<td class="ews-points">—</td>'
+                : `<td class="ews-points ews-points-${points}">${points}</td>`;
+        };
+        return `<tr><td>${p.label}</td><td class="ews-reading">${reading}</td>${cell(ews.news2)}${cell(ews.mews)}</tr>`;
+    }).join('');
+
+    document.getElementById('ews-consciousness').value = ews.consciousness;
+    document.getElementById('ews-oxygen').checked = ews.oxygen;
+    document.getElementById('ews-spo2-scale').value = String(ews.spo2Scale);
+}
@@ -0,0 +1,231 @@
+/* ============================
+   VitalSync — FHIR Export
+   R4 Observations · Risk Assessments · Detected Issues · Transaction Bundle
+   ============================ */
+
+// Turns the patient's recording into a FHIR R4 transaction Bundle an EHR
+// can ingest:
+//   Patient, Device   created unless the server already has them
+//   Observation       one per vital per charted tick: heart rate, SpO2, the
+//                     blood pressure panel (systolic and diastolic as
+//                     components), body temperature, respiratory rate and
+//                     HRV, LOINC-coded (HRV locally, see FHIR_VITALS) with
+//                     UCUM units
+//   RiskAssessment    each risk model's current score, its inputs as the
+//                     rationale and the latest observations as the basis
+//   DetectedIssue     each recorded anomaly ('info' events are left out),
+//   Flag              with a Flag that stays active while the alert is open
+// Every resource carries an identifier built from the patient, so importing
+// the same recording twice creates nothing new; issues and flags are
+// replaced, so a later export closes the ones resolved since. Entries refer
+// to each other by urn:uuid, which the server resolves in the transaction.
+// A day's recording is ~43,000 ticks, more than an EHR charts, so one tick is
+// exported every CONFIG.fhir.chartEvery seconds.
+
+const FHIR_LOINC = 'http://loinc.org';
+const FHIR_UCUM = 'http://unitsofmeasure.org';
+
+// LOINC code and UCUM unit per vital. SpO2 also carries the generic oxygen
+// saturation code the vital-signs profile looks for; the blood pressure
+// panel has no value of its own, only components. The app's HRV is the
+// RMSSD of successive beats, not the SDNN LOINC 80404-7 stands for, so it
+// is `local`: coded in the app's own system (CONFIG.fhir.system + ':code').
+const FHIR_VITALS = [
+    { code: '8867-4', display: 'Heart rate', signal: 'hr', unit: '/min', unitText: 'beats/minute', digits: 0 },
+    { code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', signal: 'spo2', unit: '%', unitText: '%', digits: 1,
+      alsoCoded: { code: '2708-6', display: 'Oxygen saturation in Arterial blood' } },
+    { code: '85354-9', display: 'Blood pressure panel with all children optional', components: [
+        { code: '8480-6', display: 'Systolic blood pressure', signal: 'bp_sys', unit: 'mm[Hg]', unitText: 'mmHg', digits: 0 },
+        { code: '8462-4', display: 'Diastolic blood pressure', signal: 'bp_dia', unit: 'mm[Hg]', unitText: 'mmHg', digits: 0 }
+    ] },
+    { code: '8310-5', display: 'Body temperature', signal: 'temp', unit: '[degF]', unitText: '°F', digits: 1 },
+    { code: '9279-1', display: 'Respiratory rate', signal: 'rr', unit: '/min', unitText: 'breaths/minute', digits: 0 },
+    { code: 'hrv-rmssd', local: true, display: 'Heart rate variability (RMSSD of successive R-R intervals)', signal: 'hrv', unit: 'ms', unitText: 'ms', digits: 0 }
+];
+
+const FHIR_SEVERITY = { high: 'high', medium: 'moderate', low: 'low' };
+
+const FHIR_VITAL_SIGNS_CATEGORY = {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'vital-signs', display: 'Vital Signs' }]
+};
+const FHIR_CLINICAL_FLAG_CATEGORY = {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/flag-category', code: 'clinical', display: 'Clinical' }]
+};
+
+// ======================== BUNDLE ========================
+function buildFhirBundle() {
+    const rec = state.recording;
+    const entries = [];
+    // `replace` resources are created or overwritten by identifier; the rest
+    // are only created when the server has none with it
+    const add = (resource, replace = false) => {
+        const fullUrl = `urn:uuid:${fhirUuid()}`;
+        const { system, value } = resource.identifier[0];
+        const query = `identifier=${encodeURIComponent(`${system}|${value}`)}`;
+        entries.push({
+            fullUrl,
+            resource,
+            request: replace
+                ? { method: 'PUT', url: `${resource.resourceType}?${query}` }
+                : { method: 'POST', url: resource.resourceType, ifNoneExist: query }
+        });
+        return { reference: fullUrl };
+    };
+
+    const patient = add({
+        resourceType: 'Patient',
+        identifier: [fhirIdentifier('patient', state.id)],
+        name: [{ text: state.profile.name }]
+    });
+    const device = add({
+        resourceType: 'Device',
+        identifier: [fhirIdentifier('device', state.id)],
+        deviceName: state.profile.device ? [{ name: state.profile.device, type: 'model-name' }] : undefined,
+        version: state.device.firmware ? [{ value: state.device.firmware }] : undefined,
+        patient
+    });
+
+    const charted = chartedTicks(rec.samples, CONFIG.fhir.chartEvery * 1000).map(tick => ({
+        timestamp: tick.timestamp,
+        observations: FHIR_VITALS
+            .map(vital => fhirObservation(vital, tick, patient, device))
+            .filter(Boolean)
+            .map(resource => add(resource))
+    }));
+    const latest = charted.length > 0 ? charted[charted.length - 1].observations : [];
+
+    Object.values(riskModels).forEach(model => {
+        const e = state.risks[model.id] && state.risks[model.id].explanation;
+        if (e) add(fhirRiskAssessment(model, e, patient, device, latest));
+    });
+
+    rec.anomalies.filter(a => a.status !== 'info').forEach(anomaly => {
+        // The readings charted when it was raised
+        const at = charted.filter(c => c.timestamp <= anomaly.timestamp).pop();
+        add(fhirDetectedIssue(anomaly, patient, device, at ? at.observations : []), true);
+        add(fhirFlag(anomaly, patient, device), true);
+    });
+
+    // Unindented: a day's export holds thousands of resources
+    return JSON.stringify({
+        resourceType: 'Bundle',
+        type: 'transaction',
+        timestamp: new Date().toISOString(),
+        entry: entries
+    });
+}
+
+// The first tick of each `every` ms, or every tick for 0
+function chartedTicks(samples, every) {
+    if (!every) return samples;
+    let bucket = null;
+    return samples.filter(tick => {
+        const b = Math.floor(tick.timestamp / every);
+        if (b === bucket) return false;
+        bucket = b;
+        return true;
+    });
+}
+
+// ======================== RESOURCES ========================
+function fhirObservation(vital, tick, subject, device) {
+    const coding = [{ system: vital.local ? `${CONFIG.fhir.system}:code` : FHIR_LOINC, code: vital.code, display: vital.display }];
+    if (vital.alsoCoded) coding.push({ system: FHIR_LOINC, ...vital.alsoCoded });
+    const resource = {
+        resourceType: 'Observation',
+        identifier: [fhirIdentifier('observation', `${state.id}-${vital.code}-${tick.timestamp}`)],
+        status: 'final',
+        category: [FHIR_VITAL_SIGNS_CATEGORY],
+        code: { coding, text: vital.display },
+        subject,
+        effectiveDateTime: new Date(tick.timestamp).toISOString(),
+        device
+    };
+
+    if (vital.components) {
+        resource.component = vital.components
+            .filter(c => Number.isFinite(tick.values[c.signal]))
+            .map(c => ({
+                code: { coding: [{ system: FHIR_LOINC, code: c.code, display: c.display }], text: c.display },
+                valueQuantity: fhirQuantity(c, tick.values[c.signal])
+            }));
+        return resource.component.length > 0 ? resource : null;
+    }
+    if (!Number.isFinite(tick.values[vital.signal])) return null;
+    resource.valueQuantity = fhirQuantity(vital, tick.values[vital.signal]);
+    return resource;
+}
+
+function fhirQuantity(vital, value) {
+    return { value: Number(value.toFixed(vital.digits)), unit: vital.unitText, system: FHIR_UCUM, code: vital.unit };
+}
+
+function fhirRiskAssessment(model, e, subject, device, basis) {
+    const name = model.name || model.id;
+    return {
+        resourceType: 'RiskAssessment',
+        identifier: [fhirIdentifier('risk', `${state.id}-${model.id}-${state.lastSampleTime}`)],
+        status: 'final',
+        code: { text: `${name} risk` },
+        subject,
+        occurrenceDateTime: new Date(state.lastSampleTime).toISOString(),
+        performer: device,
+        method: { text: model.calibration ? `Logistic model, ${model.calibration.method} calibration` : 'Logistic model' },
+        basis: basis.length > 0 ? basis : undefined,
+        prediction: [{
+            outcome: { text: name },
+            probabilityDecimal: e.score / 100,
+            rationale: `Log-odds ${formatLogit(e.logit)}: intercept ${formatLogit(e.intercept)}` +
+                e.terms.map(t => `, ${t.label} ${formatLogit(t.points)}`).join('')
+        }],
+        note: model.description ? [{ text: model.description }] : undefined
+    };
+}
+
+function fhirDetectedIssue(anomaly, patient, device, evidence) {
+    return {
+        resourceType: 'DetectedIssue',
+        identifier: [fhirIdentifier('issue', `${state.id}-${anomaly.id}`)],
+        status: isOpenAlert(anomaly) ? 'preliminary' : 'final',
+        code: { text: anomaly.title },
+        severity: FHIR_SEVERITY[anomaly.severity],
+        patient,
+        identifiedPeriod: fhirAnomalyPeriod(anomaly),
+        author: device,
+        evidence: evidence.length > 0 ? [{ detail: evidence }] : undefined,
+        detail: anomaly.description
+    };
+}
+
+function fhirFlag(anomaly, subject, device) {
+    return {
+        resourceType: 'Flag',
+        identifier: [fhirIdentifier('flag', `${state.id}-${anomaly.id}`)],
+        status: isOpenAlert(anomaly) ? 'active' : 'inactive',
+        category: [FHIR_CLINICAL_FLAG_CATEGORY],
+        code: { text: anomaly.title },
+        subject,
+        period: fhirAnomalyPeriod(anomaly),
+        author: device
+    };
+}
+
+function fhirAnomalyPeriod(anomaly) {
+    const period = { start: new Date(anomaly.timestamp).toISOString() };
+    if (anomaly.endTimestamp && !isOpenAlert(anomaly)) period.end = new Date(anomaly.endTimestamp).toISOString();
+    return period;
+}
+
+function fhirIdentifier(kind, value) {
+    return { system: `${CONFIG.fhir.system}:${kind}`, value };
+}
+
+// crypto.randomUUID() is only there in secure contexts, and the dashboard
+// may be served over plain http on a ward network
+function fhirUuid() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;   // version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;   // RFC 4122 variant
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
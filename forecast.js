@@ -0,0 +1,266 @@
+/* ============================
+   VitalSync — Forecasting
+   Damped Holt Trend · Confidence Bands · Early Threshold Alerts
+   ============================ */
+
+// Each signal is projected CONFIG.forecast.horizon ahead by a damped Holt
+// (level + trend) exponential smoothing model:
+//   - the last `window` of trend history is averaged into `step`-long steps;
+//     only the unbroken run up to now is used, so a data gap restarts the fit
+//   - smoothing constants are picked per signal by grid search on one-step
+//     error, refitted every `refitEvery` of sample time
+//   - the trend is damped each step, so projections level off rather than
+//     running away in a straight line
+//   - the band is bandZ × the model's h-step error, grown from the spread
+//     of its one-step errors
+// When a signal's projection crosses one of CONFIG.forecast.thresholds while
+// the live value is still on the safe side, and keeps doing so for
+// confirmFor seconds, an early alert opens. It follows the alert lifecycle in
+// alerts.js, resolves itself once the live value reaches the limit (the
+// threshold rules take over from there) or the forecast stops crossing for
+// CONFIG.alerts.clearAfter seconds. Early alerts are only raised in the
+// activity states in CONFIG.forecast.during (see activity.js).
+//
+// Models are only fitted on history since the vitals last settled into the
+// activity state (see settledActivity()). For minutes after exercise the
+// state reads rest while HR, RR and BP are still falling, and a fit across
+// that fall projects it on below the resting limits; instead there is no
+// forecast until minSteps of settled history have built up. Early alerts
+// wait for settleSteps of it, as the recovery's tail outlasts the exertion
+// it is tracked by and a fit on a few minutes of it chases the noise.
+
+// Smoothing constants tried per fit. Leaving out the highest α keeps the
+// level from chasing minute-to-minute swings, and the lowest β from
+// missing slow drifts like a fever's.
+const HOLT_ALPHAS = [0.1, 0.2, 0.3, 0.5];
+const HOLT_BETAS = [0.05, 0.1, 0.2, 0.3];
+
+function createForecastState() {
+    return {
+        fittedAt: 0,    // sample time of the last refit
+        signals: {}     // signal -> { times, mean, lo, hi, alpha, beta, sigma, steps } or null
+    };
+}
+
+// ======================== FITTING ========================
+// Called by the pipeline for every sample
+function updateForecasts() {
+    const now = state.lastSampleTime;
+    const f = state.forecast;
+    if (now - f.fittedAt >= CONFIG.forecast.refitEvery) {
+        const steps = stepHistory(now);
+        CONFIG.signals.forEach(signal => {
+            const ys = steps[signal];
+            f.signals[signal] = ys.length >= CONFIG.forecast.minSteps ? projectHolt(fitHolt(ys), now, signal) : null;
+        });
+        f.fittedAt = now;
+    }
+    checkForecastThresholds(now);
+}
+
+// Per-signal step means over the unbroken run of settled history ending at
+// `now`, oldest first
+function stepHistory(now) {
+    const cfg = CONFIG.forecast;
+    const from = Math.max(now - cfg.window, state.activity.unsettled);
+    const count = Math.round(cfg.window / cfg.step);
+    const sums = {};
+    CONFIG.signals.forEach(s => { sums[s] = Array.from({ length: count }, () => ({ sum: 0, n: 0 })); });
+
+    const raw = state.trendStore.raw;
+    for (let i = raw.length - 1; i >= 0 && raw[i].t > from; i--) {
+        const k = Math.min(count - 1, Math.floor((now - raw[i].t) / cfg.step));
+        Object.entries(raw[i].values).forEach(([signal, v]) => {
+            if (!sums[signal]) return;
+            sums[signal][k].sum += v;
+            sums[signal][k].n++;
+        });
+    }
+
+    const steps = {};
+    CONFIG.signals.forEach(signal => {
+        const ys = [];
+        for (const bin of sums[signal]) {
+            if (bin.n === 0) break;
+            ys.unshift(bin.sum / bin.n);
+        }
+        steps[signal] = ys;
+    });
+    return steps;
+}
+
+function fitHolt(ys) {
+    let best = null;
+    HOLT_ALPHAS.forEach(alpha => HOLT_BETAS.forEach(beta => {
+        const fit = runHolt(ys, alpha, beta, CONFIG.forecast.damping);
+        if (!best || fit.sse < best.sse) best = fit;
+    }));
+    return best;
+}
+
+// Error-correction form: level += αe, trend += αβe after each step
+function runHolt(ys, alpha, beta, phi) {
+    let level = ys[0];
+    let trend = 0;
+    let sse = 0;
+    for (let i = 1; i < ys.length; i++) {
+        const error = ys[i] - (level + phi * trend);
+        sse += error * error;
+        level = level + phi * trend + alpha * error;
+        trend = phi * trend + alpha * beta * error;
+    }
+    return { alpha, beta, phi, level, trend, sse, sigma: Math.sqrt(sse / (ys.length - 1)), steps: ys.length };
+}
+
+// Forecast points from `now` out to the horizon, held inside the signal's
+// plausible range. The h-step variance is σ² (1 + Σ c_j²) for j < h, with
+// c_j = α (1 + β (φ + … + φ^j)).
+function projectHolt(model, now, signal) {
+    const cfg = CONFIG.forecast;
+    const { alpha, beta, phi, level, trend, sigma, steps } = model;
+    const [floor, ceiling] = CONFIG.quality.plausible[signal];
+    const points = { times: [now], mean: [level], lo: [level], hi: [level], alpha, beta, sigma, steps };
+    let damped = 0;
+    let spread = 1;
+    for (let h = 1; h * cfg.step <= cfg.horizon; h++) {
+        damped += Math.pow(phi, h);
+        const mean = level + damped * trend;
+        const half = cfg.bandZ * sigma * Math.sqrt(spread);
+        points.times.push(now + h * cfg.step);
+        points.mean.push(clamp(mean, floor, ceiling));
+        points.lo.push(clamp(mean - half, floor, ceiling));
+        points.hi.push(clamp(mean + half, floor, ceiling));
+        spread += Math.pow(alpha * (1 + beta * damped), 2);
+    }
+    return points;
+}
+
+// ======================== EARLY ALERTS ========================
+function checkForecastThresholds(now) {
+    Object.entries(CONFIG.forecast.thresholds).forEach(([signal, limits]) => {
+        ['above', 'below'].forEach(bound => {
+            if (limits[bound] !== undefined) checkForecastLimit(signal, bound, limits[bound], now);
+        });
+    });
+}
+
+// Same bookkeeping as a rule in alerts.js, keyed 'forecast:signal:bound'
+function checkForecastLimit(signal, bound, limit, now) {
+    const a = state.alerts;
+    const key = `forecast:${signal}:${bound}`;
+    const beyond = v => bound === 'above' ? v > limit : v < limit;
+    const live = state.vitals[signal].value;
+    const open = openAlertFor(key);
+
+    if (beyond(live)) {
+        delete a.since[key];
+        delete a.clearSince[key];
+        a.latched[key] = false;
+        if (open) {
+            const lead = Math.round((now - open.timestamp) / 1000);
+            updateAnomaly(open, {
+                status: 'auto-resolved',
+                endTimestamp: now,
+                description: `${open.description} Limit reached ${formatGapDuration(lead)} after this warning.`
+            });
+        }
+        return;
+    }
+
+    const fc = state.forecast.signals[signal];
+    const settled = fc && (state.activity.unsettled === 0 || fc.steps >= CONFIG.forecast.settleSteps);
+    const trusted = settled && signalQuality(signal) >= CONFIG.quality.minWindowScore;
+    const crossing = trusted && activityAllows(CONFIG.forecast.during) ? forecastCrossing(fc, beyond) : -1;
+    if (crossing >= 0) {
+        delete a.clearSince[key];
+        if (a.since[key] === undefined) a.since[key] = now;
+        if (!open && !a.latched[key] && now - a.since[key] >= CONFIG.forecast.confirmFor * 1000) {
+            raiseForecastAlert(key, signal, bound, limit, fc, crossing, now);
+        }
+        return;
+    }
+
+    delete a.since[key];
+    a.latched[key] = false;
+    if (!open) return;
+    if (a.clearSince[key] === undefined) a.clearSince[key] = now;
+    if (now - a.clearSince[key] < CONFIG.alerts.clearAfter * 1000) return;
+
+    delete a.clearSince[key];
+    updateAnomaly(open, {
+        status: 'auto-resolved',
+        endTimestamp: now,
+        description: `${open.description} The forecast no longer crosses the limit.`
+    });
+}
+
+// Index of the first projected mean past the limit, -1 if none
+function forecastCrossing(fc, beyond) {
+    return fc.mean.findIndex(beyond);
+}
+
+function raiseForecastAlert(key, signal, bound, limit, fc, crossing, now) {
+    const label = CONFIG.signalLabels[signal];
+    const unit = state.vitals[signal].unit;
+    const digits = signal === 'temp' || signal === 'spo2' ? 1 : 0;
+    const last = fc.mean.length - 1;
+    const eta = Math.max(0, Math.round((fc.times[crossing] - now) / 1000));
+    const horizon = Math.round((fc.times[last] - fc.times[0]) / 60000);
+    addAnomaly('active', `Forecast: ${label} ${bound === 'above' ? 'Above' : 'Below'} ${limit}`,
+        `${label} ${state.vitals[signal].value.toFixed(digits)} ${unit} now, projected to ${bound === 'above' ? 'rise above' : 'fall below'} ${limit} ${unit} in ~${formatGapDuration(eta)} ` +
+        `(${horizon}-min forecast ${fc.mean[last].toFixed(digits)} ${unit}, band ${fc.lo[last].toFixed(digits)}–${fc.hi[last].toFixed(digits)}).`,
+        [label, 'Forecast'],
+        CONFIG.forecast.severity,
+        { rule: key, activeSince: now, escalations: 0, forecast: { signal, bound, limit, crossesAt: fc.times[crossing] } });
+}
+
+// ======================== DISPLAY ========================
+function forecastSeries(signal) {
+    return state.forecast.signals[signal] || null;
+}
+
+// Room a live trend chart leaves right of the latest sample for the forecast
+function forecastLead(span) {
+    if (!Object.values(state.forecast.signals).some(Boolean)) return 0;
+    return Math.min(CONFIG.forecast.horizon, span * CONFIG.forecast.chartShare);
+}
+
+// "Forecast in 10 min: 96.2 % (93.0–99.1)" for a vital card's trend tooltip
+function forecastSummary(signal) {
+    const fc = forecastSeries(signal);
+    if (!fc) return '';
+    const last = fc.mean.length - 1;
+    const digits = signal === 'temp' || signal === 'spo2' ? 1 : 0;
+    const minutes = Math.round((fc.times[last] - fc.times[0]) / 60000);
+    return `Forecast in ${minutes} min: ${fc.mean[last].toFixed(digits)} ${state.vitals[signal].unit} ` +
+        `(${fc.lo[last].toFixed(digits)}–${fc.hi[last].toFixed(digits)})`;
+}
+
+// Dashed projection and its band, clipped to the plot area
+function drawForecast(ctx, series, color, frame) {
+    const fc = series.forecast;
+    if (!fc) return;
+    const { padding, chartW, chartH } = frame;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(padding.left, padding.top, chartW, chartH);
+    ctx.clip();
+
+    ctx.beginPath();
+    traceSeries(ctx, fc.times, fc.hi, frame);
+    for (let i = fc.times.length - 1; i >= 0; i--) {
+        ctx.lineTo(timeToX(fc.times[i], frame), valueToY(fc.lo[i], frame));
+    }
+    ctx.closePath();
+    ctx.fillStyle = color + '1a';
+    ctx.fill();
+
+    ctx.beginPath();
+    traceSeries(ctx, fc.times, fc.mean, frame);
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.restore();
+}
@@ -0,0 +1,463 @@
+/* ============================
+   VitalSync — Bluetooth GATT
+   Health Characteristic Decoding · Bluetooth Source · Web Bluetooth
+   ============================ */
+
+// Decodes the standard Bluetooth SIG health characteristics into samples:
+//   0x2A37  Heart Rate Measurement            hr, plus RR intervals for the HRV
+//   0x2A5F  PLX Continuous Measurement        spo2, pulse rate
+//   0x2A35  Blood Pressure Measurement        bp_sys, bp_dia (kPa converted), pulse rate
+//   0x2A1C  Temperature Measurement           temp (°C converted to °F)
+//   0x2A53  RSC Measurement                   step cadence (see activity.js)
+//   0x2A19  Battery Level                     device telemetry
+// Each decoder takes the characteristic's value as a DataView and returns
+// its fields as the specification lays them out, reading the flags byte for
+// which optional fields are present and the IEEE 11073 SFLOAT (16-bit) and
+// FLOAT (32-bit) formats, whose NaN, NRes and ±INF come back as null.
+// Readings the device itself marks unusable (no skin contact, sensor off or
+// displaced, cuff too loose) are left out rather than passed on.
+//
+// Devices notify each characteristic at its own pace: a strap every beat or
+// second, a cuff once a measurement. The Bluetooth source merges what
+// arrived over each CONFIG.updateInterval into one sample, a pulse rate
+// filling in the HR only when no strap reported it.
+//
+// Bytes reach the decoders two ways, and decode the same:
+//   - live, from a device paired with Web Bluetooth on the page, which
+//     forwards each notification to the engine ('bluetoothNotification')
+//   - from a capture, replayed like any recording (see parseSampleFile() in
+//     sources.js), one notification per row:
+//       {"timestamp": 1760000000000, "characteristic": "2a37", "value": "16 48 00 04 03"}
+//     with the value as hex or an array of bytes, so a device's traffic can
+//     be recorded once and replayed without the hardware
+// checks/gatt-replay.js decodes a small capture of each characteristic
+// (checks/fixtures/gatt-capture.json) and checks the values it gives.
+
+// Measurement status bits of a PLX reading that void it: measurement
+// unavailable, invalid measurement
+const PLX_UNUSABLE_MEASUREMENT = (1 << 13) | (1 << 15);
+// Device and sensor status bits: equipment malfunction, sensor unconnected
+// to user, sensor displaced, sensor malfunctioning, sensor disconnected
+const PLX_UNUSABLE_SENSOR = (1 << 1) | (1 << 11) | (1 << 13) | (1 << 14) | (1 << 15);
+// Blood pressure measurement status bits: body movement, cuff too loose,
+// improper measurement position
+const BP_UNUSABLE = (1 << 0) | (1 << 1) | (1 << 5);
+
+const TEMPERATURE_TYPES = [null, 'armpit', 'body', 'ear', 'finger', 'gastrointestinal', 'mouth', 'rectum', 'toe', 'tympanum'];
+
+const KPA_TO_MMHG = 7.50062;
+
+// By 16-bit UUID: the service it's found in, its decoder and what the
+// decoded fields give the sample
+const GATT_CHARACTERISTICS = {
+    '2a37': {
+        name: 'Heart Rate Measurement',
+        service: 0x180d,
+        decode: decodeHeartRateMeasurement,
+        reading: d => d.contact === false ? {} : { values: { hr: d.hr }, intervals: d.rrIntervals }
+    },
+    '2a5f': {
+        name: 'PLX Continuous Measurement',
+        service: 0x1822,
+        decode: decodePlxContinuous,
+        reading: d => (d.measurementStatus & PLX_UNUSABLE_MEASUREMENT) || (d.sensorStatus & PLX_UNUSABLE_SENSOR)
+            ? {}
+            : { values: { spo2: d.spo2 }, pulseRate: d.pulseRate }
+    },
+    '2a35': {
+        name: 'Blood Pressure Measurement',
+        service: 0x1810,
+        decode: decodeBloodPressureMeasurement,
+        reading: d => d.measurementStatus & BP_UNUSABLE
+            ? {}
+            : { values: { bp_sys: d.systolic, bp_dia: d.diastolic }, pulseRate: d.pulseRate }
+    },
+    '2a1c': {
+        name: 'Temperature Measurement',
+        service: 0x1809,
+        decode: decodeTemperatureMeasurement,
+        reading: d => ({ values: { temp: d.fahrenheit } })
+    },
+    '2a53': {
+        name: 'RSC Measurement',
+        service: 0x1814,
+        decode: decodeRscMeasurement,
+        reading: d => ({ motion: { cadence: d.cadence } })
+    },
+    '2a19': {
+        name: 'Battery Level',
+        service: 0x180f,
+        read: true,             // needn't notify, so it's also read on connecting
+        decode: view => ({ battery: view.getUint8(0) }),
+        reading: d => ({ device: { battery: d.battery } })
+    }
+};
+
+// ======================== FORMATS ========================
+// IEEE 11073 16-bit SFLOAT: 4-bit exponent, 12-bit mantissa, both signed
+function readSfloat(view, offset) {
+    const raw = view.getUint16(offset, true);
+    let mantissa = raw & 0x0fff;
+    let exponent = raw >> 12;
+    // +INF, NaN, NRes, reserved, -INF
+    if (mantissa >= 0x07fe && mantissa <= 0x0802) return null;
+    if (mantissa >= 0x0800) mantissa -= 0x1000;
+    if (exponent >= 0x8) exponent -= 0x10;
+    return scaleDecimal(mantissa, exponent);
+}
+
+// IEEE 11073 32-bit FLOAT: 8-bit exponent, 24-bit mantissa, both signed
+function readFloat(view, offset) {
+    let mantissa = view.getUint32(offset, true) & 0xffffff;
+    const exponent = view.getInt8(offset + 3);
+    if (mantissa >= 0x7ffffe && mantissa <= 0x800002) return null;
+    if (mantissa >= 0x800000) mantissa -= 0x1000000;
+    return scaleDecimal(mantissa, exponent);
+}
+
+// Dividing keeps 366e-1 at 36.6, where multiplying by 0.1 needn't
+function scaleDecimal(mantissa, exponent) {
+    return exponent < 0 ? mantissa / Math.pow(10, -exponent) : mantissa * Math.pow(10, exponent);
+}
+
+// Date Time (0x2A08): the device's local time, null when it doesn't know the date
+function readDateTime(view, offset) {
+    const year = view.getUint16(offset, true);
+    const month = view.getUint8(offset + 2);
+    const day = view.getUint8(offset + 3);
+    if (!year || !month || !day) return null;
+    return new Date(year, month - 1, day, view.getUint8(offset + 4), view.getUint8(offset + 5), view.getUint8(offset + 6)).getTime();
+}
+
+// ======================== DECODERS ========================
+function decodeHeartRateMeasurement(view) {
+    const flags = view.getUint8(0);
+    let offset = 1;
+    const hr = flags & 0x01 ? view.getUint16(offset, true) : view.getUint8(offset);
+    offset += flags & 0x01 ? 2 : 1;
+    const decoded = {
+        hr,
+        // null when the strap can't tell whether it's on the skin
+        contact: flags & 0x04 ? Boolean(flags & 0x02) : null,
+        energy: null,           // kJ since the last reset
+        rrIntervals: []         // ms, oldest first
+    };
+    if (flags & 0x08) {
+        decoded.energy = view.getUint16(offset, true);
+        offset += 2;
+    }
+    if (flags & 0x10) {
+        // In 1/1024 s, as many as fit in the rest of the value
+        for (; offset + 2 <= view.byteLength; offset += 2) {
+            decoded.rrIntervals.push(Math.round(view.getUint16(offset, true) * 1000 / 1024 * 10) / 10);
+        }
+    }
+    return decoded;
+}
+
+function decodePlxContinuous(view) {
+    const flags = view.getUint8(0);
+    const decoded = {
+        spo2: readSfloat(view, 1),
+        pulseRate: readSfloat(view, 3),
+        fast: null,             // { spo2, pulseRate } by the device's fast and slow
+        slow: null,             // averaging, where it reports them
+        measurementStatus: 0,
+        sensorStatus: 0,
+        pulseAmplitudeIndex: null
+    };
+    let offset = 5;
+    if (flags & 0x01) {
+        decoded.fast = { spo2: readSfloat(view, offset), pulseRate: readSfloat(view, offset + 2) };
+        offset += 4;
+    }
+    if (flags & 0x02) {
+        decoded.slow = { spo2: readSfloat(view, offset), pulseRate: readSfloat(view, offset + 2) };
+        offset += 4;
+    }
+    if (flags & 0x04) {
+        decoded.measurementStatus = view.getUint16(offset, true);
+        offset += 2;
+    }
+    if (flags & 0x08) {
+        // 24 bits
+        decoded.sensorStatus = view.getUint16(offset, true) | (view.getUint8(offset + 2) << 16);
+        offset += 3;
+    }
+    if (flags & 0x10) decoded.pulseAmplitudeIndex = readSfloat(view, offset);
+    return decoded;
+}
+
+function decodeBloodPressureMeasurement(view) {
+    const flags = view.getUint8(0);
+    const toMmHg = v => v !== null && flags & 0x01 ? Math.round(v * KPA_TO_MMHG * 10) / 10 : v;
+    const decoded = {
+        systolic: toMmHg(readSfloat(view, 1)),     // mmHg, whichever unit was sent
+        diastolic: toMmHg(readSfloat(view, 3)),
+        meanArterial: toMmHg(readSfloat(view, 5)),
+        timestamp: null,        // when the cuff took it, by the cuff's clock
+        pulseRate: null,
+        userId: null,
+        measurementStatus: 0
+    };
+    let offset = 7;
+    if (flags & 0x02) {
+        decoded.timestamp = readDateTime(view, offset);
+        offset += 7;
+    }
+    if (flags & 0x04) {
+        decoded.pulseRate = readSfloat(view, offset);
+        offset += 2;
+    }
+    if (flags & 0x08) {
+        decoded.userId = view.getUint8(offset);
+        offset += 1;
+    }
+    if (flags & 0x10) decoded.measurementStatus = view.getUint16(offset, true);
+    return decoded;
+}
+
+function decodeTemperatureMeasurement(view) {
+    const flags = view.getUint8(0);
+    const value = readFloat(view, 1);
+    const decoded = {
+        fahrenheit: value !== null && !(flags & 0x01) ? Math.round((value * 9 / 5 + 32) * 100) / 100 : value,
+        timestamp: null,
+        type: null              // where it was taken, see TEMPERATURE_TYPES
+    };
+    let offset = 5;
+    if (flags & 0x02) {
+        decoded.timestamp = readDateTime(view, offset);
+        offset += 7;
+    }
+    if (flags & 0x04) decoded.type = TEMPERATURE_TYPES[view.getUint8(offset)] || null;
+    return decoded;
+}
+
+// Running Speed and Cadence, from a footpod or a band's pedometer
+function decodeRscMeasurement(view) {
+    const flags = view.getUint8(0);
+    const decoded = {
+        speed: Math.round(view.getUint16(1, true) / 256 * 100) / 100,    // m/s
+        cadence: view.getUint8(3),                                      // steps/min
+        strideLength: null,     // m
+        totalDistance: null,    // m
+        running: Boolean(flags & 0x04)
+    };
+    let offset = 4;
+    if (flags & 0x01) {
+        decoded.strideLength = view.getUint16(offset, true) / 100;
+        offset += 2;
+    }
+    if (flags & 0x02) decoded.totalDistance = view.getUint32(offset, true) / 10;
+    return decoded;
+}
+
+// ======================== READINGS ========================
+// '2a37', '0x2A37', 0x2a37 or the full 128-bit UUID Web Bluetooth reports
+function gattKey(uuid) {
+    const s = typeof uuid === 'number' ? uuid.toString(16) : String(uuid).toLowerCase().replace(/^0x/, '');
+    const base = /^0000([0-9a-f]{4})-0000-1000-8000-00805f9b34fb$/.exec(s);
+    return (base ? base[1] : s).padStart(4, '0');
+}
+
+// Hex ("16 48 00", "16:48:00", "164800") or an array of bytes
+function gattBytes(value) {
+    if (Array.isArray(value)) return Uint8Array.from(value);
+    const hex = String(value).replace(/0x|[^0-9a-f]/gi, '');
+    return Uint8Array.from(hex.match(/../g) || [], byte => parseInt(byte, 16));
+}
+
+// A notification as part of a sample: { timestamp, values, intervals,
+// pulseRate, motion, device }, or null for a characteristic it doesn't know or a
+// value too short for its flags
+function decodeGattReading(uuid, bytes, timestamp) {
+    const characteristic = GATT_CHARACTERISTICS[gattKey(uuid)];
+    if (!characteristic || bytes.length === 0) return null;
+    let decoded;
+    try {
+        decoded = characteristic.decode(new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    } catch (err) {
+        // Reading past the end: the flags promised fields that weren't sent
+        console.warn(`⚠️ Malformed ${characteristic.name} value (${bytes.length} bytes)`);
+        return null;
+    }
+    const reading = { timestamp, values: {}, ...characteristic.reading(decoded) };
+    // SFLOAT/FLOAT special values
+    Object.keys(reading.values).forEach(signal => {
+        if (reading.values[signal] === null) delete reading.values[signal];
+    });
+    return reading;
+}
+
+// One sample from the readings of one interval, later readings winning
+function mergeGattReadings(readings) {
+    const merged = { timestamp: readings[readings.length - 1].timestamp, values: {}, intervals: [], device: {} };
+    let pulseRate = null;
+    readings.forEach(r => {
+        Object.assign(merged.values, r.values);
+        Object.assign(merged.device, r.device);
+        if (r.motion) merged.motion = { ...merged.motion, ...r.motion };
+        if (r.intervals) merged.intervals.push(...r.intervals);
+        if (r.pulseRate !== undefined && r.pulseRate !== null) pulseRate = r.pulseRate;
+    });
+    if (merged.values.hr === undefined && pulseRate !== null) merged.values.hr = pulseRate;
+    return normalizeSample(merged);
+}
+
+function isGattRecord(row) {
+    return row && row.characteristic !== undefined && row.value !== undefined;
+}
+
+// Replayed captures are merged per CONFIG.updateInterval, as the live source would
+function gattRecordSamples(records) {
+    const buckets = new Map();
+    records.forEach(record => {
+        const reading = decodeGattReading(record.characteristic, gattBytes(record.value), parseSampleTime(record.timestamp));
+        if (!reading) return;
+        const key = Math.floor(reading.timestamp / CONFIG.updateInterval);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(reading);
+    });
+    return [...buckets.values()].map(mergeGattReadings);
+}
+
+// ======================== BLUETOOTH SOURCE ========================
+// Runs in the engine, fed by the connector on the page (which is where Web
+// Bluetooth lives). The battery level is sent with every sample once known,
+// as the simulator does.
+function createBluetoothSource(options) {
+    let timer = null;
+    let pending = [];
+    let telemetry = {};
+    let onStatus = () => {};
+    return {
+        name: 'bluetooth',
+        start(onSample, statusCallback = () => {}) {
+            onStatus = statusCallback;
+            onStatus('connecting', options.deviceName);
+            timer = setInterval(() => {
+                if (pending.length === 0) return;
+                const sample = mergeGattReadings(pending);
+                pending = [];
+                if (!sample) return;
+                sample.device = { ...telemetry, ...sample.device };
+                onSample(sample);
+            }, options.interval || CONFIG.updateInterval);
+        },
+        receive(uuid, bytes, timestamp) {
+            const reading = decodeGattReading(uuid, Uint8Array.from(bytes), timestamp);
+            if (!reading) return;
+            Object.assign(telemetry, reading.device);
+            pending.push(reading);
+        },
+        status(status, detail) {
+            onStatus(status, detail);
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+            pending = [];
+        }
+    };
+}
+
+// Engine commands (see analytics-engine.js)
+function startBluetooth(deviceName) {
+    state.replayFile = null;
+    switchDataSource(createBluetoothSource({ deviceName }));
+}
+
+function stopBluetooth() {
+    if (state.source && state.source.name === 'bluetooth') {
+        switchDataSource(createDataSource(getDataSourceOptions(state.profile)));
+    }
+}
+
+// Anything still arriving after the patient moved to another source is dropped
+function bluetoothNotification(uuid, bytes, timestamp) {
+    if (state.source && state.source.name === 'bluetooth') state.source.receive(uuid, bytes, timestamp);
+}
+
+function bluetoothStatus(status, detail) {
+    if (state.source && state.source.name === 'bluetooth') state.source.status(status, detail);
+}
+
+// ======================== WEB BLUETOOTH ========================
+// Page side: pairs a device, subscribes to whichever of the characteristics
+// it has and forwards their raw values. A dropped link is retried every
+// CONFIG.device.reconnectEvery seconds until the device is disconnected here.
+const bluetoothLink = {
+    device: null,           // BluetoothDevice, while paired
+    patient: null           // whose readings it sends
+};
+
+function connectBluetooth() {
+    if (!navigator.bluetooth) return;
+    const patient = state;
+    const services = [...new Set(Object.values(GATT_CHARACTERISTICS).map(c => c.service))];
+    navigator.bluetooth.requestDevice({
+        // Any device with one of the measurement services
+        filters: services.filter(service => service !== 0x180f).map(service => ({ services: [service] })),
+        optionalServices: services
+    }).then(device => {
+        releaseBluetoothDevice();
+        Object.assign(bluetoothLink, { device, patient });
+        device.addEventListener('gattserverdisconnected', () => onBluetoothDisconnected(device));
+        sendEngineCommand(patient, 'startBluetooth', device.name || 'Bluetooth device');
+        return subscribeBluetooth(device);
+    }).catch(err => {
+        // NotFoundError: the chooser was cancelled
+        if (err.name !== 'NotFoundError') console.error('❌ Bluetooth connection failed:', err);
+    });
+}
+
+function disconnectBluetooth() {
+    const patient = bluetoothLink.patient;
+    releaseBluetoothDevice();
+    if (patient) sendEngineCommand(patient, 'stopBluetooth');
+}
+
+function releaseBluetoothDevice() {
+    const device = bluetoothLink.device;
+    Object.assign(bluetoothLink, { device: null, patient: null });
+    if (device && device.gatt.connected) device.gatt.disconnect();
+}
+
+function subscribeBluetooth(device) {
+    return device.gatt.connect().then(server => Promise.all(Object.entries(GATT_CHARACTERISTICS).map(([key, c]) =>
+        server.getPrimaryService(c.service)
+            .then(service => service.getCharacteristic(parseInt(key, 16)))
+            .then(characteristic => {
+                characteristic.addEventListener('characteristicvaluechanged', e => forwardGattValue(device, key, e.target.value));
+                if (c.read) characteristic.readValue().then(value => forwardGattValue(device, key, value)).catch(() => {});
+                return characteristic.startNotifications().catch(err => { if (!c.read) throw err; });
+            })
+            .then(() => c.name)
+            // Not on this device
+            .catch(() => null)
+    ))).then(names => {
+        const found = names.filter(Boolean);
+        if (found.length === 0) console.warn(`⚠️ ${device.name}: no supported measurements`);
+        else console.log(`🔵 ${device.name}: ${found.join(', ')}`);
+    });
+}
+
+function forwardGattValue(device, key, view) {
+    if (bluetoothLink.device !== device) return;
+    const bytes = Array.from(new Uint8Array(view.buffer, view.byteOffset, view.byteLength));
+    sendEngineCommand(bluetoothLink.patient, 'bluetoothNotification', key, bytes, Date.now());
+}
+
+function onBluetoothDisconnected(device) {
+    // Disconnected here, or replaced by another device
+    if (bluetoothLink.device !== device) return;
+    sendEngineCommand(bluetoothLink.patient, 'bluetoothStatus', 'disconnected', 'Link lost');
+    setTimeout(() => reconnectBluetooth(device), CONFIG.device.reconnectEvery * 1000);
+}
+
+function reconnectBluetooth(device) {
+    if (bluetoothLink.device !== device || device.gatt.connected) return;
+    sendEngineCommand(bluetoothLink.patient, 'bluetoothStatus', 'reconnecting');
+    subscribeBluetooth(device).catch(() => setTimeout(() => reconnectBluetooth(device), CONFIG.device.reconnectEvery * 1000));
+}
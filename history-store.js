@@ -0,0 +1,132 @@
+/* ============================
+   VitalSync — Trend History Store
+   Raw Samples · Hourly & Daily Min/Mean/Max Rollups
+   ============================ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Spans of the Trend Analytics range buttons
+const TREND_RANGES = {
+    '24h': { span: DAY_MS },
+    '7d':  { span: 7 * DAY_MS },
+    '30d': { span: 30 * DAY_MS }
+};
+
+function createTrendStore() {
+    return {
+        raw: [],     // { t, values: { hr, spo2, ... } }
+        hourly: [],  // { t: bucket start, stats: { hr: { min, max, mean, count }, ... } }
+        daily: []
+    };
+}
+
+// ======================== INGEST ========================
+function addToTrendStore(timestamp, values) {
+    const store = state.trendStore;
+    const retention = CONFIG.trendRetention;
+
+    store.raw.push({ t: timestamp, values: { ...values } });
+    while (store.raw.length && store.raw[0].t < timestamp - retention.raw) store.raw.shift();
+
+    rollup(store.hourly, Math.floor(timestamp / HOUR_MS) * HOUR_MS, values);
+    while (store.hourly.length && store.hourly[0].t < timestamp - retention.hourly) store.hourly.shift();
+
+    rollup(store.daily, startOfDay(timestamp), values);
+    while (store.daily.length && store.daily[0].t < timestamp - retention.daily) store.daily.shift();
+}
+
+function rollup(tier, bucketStart, values) {
+    let bucket = tier[tier.length - 1];
+    if (!bucket || bucket.t !== bucketStart) {
+        bucket = { t: bucketStart, stats: {} };
+        tier.push(bucket);
+    }
+    Object.entries(values).forEach(([signal, value]) => {
+        const s = bucket.stats[signal];
+        if (!s) {
+            bucket.stats[signal] = { min: value, max: value, mean: value, count: 1 };
+            return;
+        }
+        s.count++;
+        s.mean += (value - s.mean) / s.count;
+        if (value < s.min) s.min = value;
+        if (value > s.max) s.max = value;
+    });
+}
+
+function startOfDay(timestamp) {
+    const d = new Date(timestamp);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+}
+
+// ======================== QUERY ========================
+// Returns { times, mean, min, max, start, end, banded, gapAfter } for one
+// signal between start and end, from the finest tier that still holds that
+// window. Raw samples are bucketed down to CONFIG.trendMaxPoints when needed.
+// Points further apart than gapAfter (ms) straddle a data gap.
+function getTrendSeries(signal, start, end) {
+    const store = state.trendStore;
+    const tier = trendTier(start, end);
+    const series = {
+        times: [], mean: [], min: [], max: [], start, end, banded: false,
+        gapAfter: CONFIG.device.gapAfter * 1000
+    };
+
+    if (tier === 'raw') {
+        const samples = store.raw.filter(s => s.t >= start && s.t <= end && s.values[signal] !== undefined);
+        const bucketCount = CONFIG.trendMaxPoints;
+        if (samples.length <= bucketCount) {
+            samples.forEach(s => {
+                const v = s.values[signal];
+                series.times.push(s.t);
+                series.mean.push(v);
+                series.min.push(v);
+                series.max.push(v);
+            });
+        } else {
+            const first = samples[0].t;
+            const width = (end - first) / bucketCount || 1;
+            const buckets = [];
+            samples.forEach(s => {
+                rollup(buckets, first + Math.floor((s.t - first) / width) * width, { [signal]: s.values[signal] });
+            });
+            appendBuckets(series, buckets, signal);
+            series.banded = true;
+            // An empty bucket between two filled ones is a gap
+            series.gapAfter = Math.max(series.gapAfter, width * 1.5);
+        }
+    } else {
+        // A bucket overlapping the window's start counts
+        const bucket = tier === 'hourly' ? HOUR_MS : DAY_MS;
+        appendBuckets(series, store[tier].filter(b => b.t > start - bucket && b.t <= end), signal);
+        series.banded = true;
+        series.gapAfter = bucket * 1.5;
+    }
+
+    if (series.times.length > 0) series.start = Math.max(start, series.times[0]);
+    return series;
+}
+
+// Raw samples for windows up to a day that are still retained, then hourly
+// rollups up to a week, then daily
+function trendTier(start, end) {
+    const latest = state.lastSampleTime || Date.now();
+    const retention = CONFIG.trendRetention;
+    const span = end - start;
+    if (span <= TREND_RANGES['24h'].span && start >= latest - retention.raw) return 'raw';
+    if (span <= TREND_RANGES['7d'].span && start >= latest - retention.hourly) return 'hourly';
+    return 'daily';
+}
+
+function appendBuckets(series, buckets, signal) {
+    buckets.forEach(b => {
+        const s = b.stats[signal];
+        if (!s) return;
+        series.times.push(b.t);
+        series.mean.push(s.mean);
+        series.min.push(s.min);
+        series.max.push(s.max);
+    });
+}
@@ -0,0 +1,301 @@
+/* ============================
+   VitalSync — Event Journal
+   Categories · Entries · Chart Markers · Vitals Responses
+   ============================ */
+
+// The wearer or a caregiver logs what happened, from JOURNAL_CATEGORIES plus
+// free text, at the time it happened (now by default). Entries live with
+// the patient in the engine and are stored like anomalies (see
+// persistence.js). The dashboard shows each one
+//   - as a marker on the Trend Analytics charts, with the response window
+//     after it shaded, and in the hover readout
+//   - on the anomaly timeline, interleaved with the anomalies by time; an
+//     anomaly raised within the response window after an entry is tagged
+//     with it
+// Once CONFIG.journal.responseWindow minutes of readings have followed an
+// entry, its response is measured from the raw trend store: per signal, the
+// mean over the window and its largest excursion, each against the mean of
+// the baselineWindow minutes before the entry. The responses table averages
+// them per category (HR after caffeine, BP after a medication dose).
+// Entries made more than a day after the fact find their readings rolled
+// up already and get no response.
+
+const JOURNAL_CATEGORIES = {
+    medication: { label: 'Medication', icon: '💊', color: '#a855f7' },
+    meal: { label: 'Meal', icon: '🍽️', color: '#00ff88' },
+    caffeine: { label: 'Caffeine', icon: '☕', color: '#ffb800' },
+    alcohol: { label: 'Alcohol', icon: '🍷', color: '#ff6b35' },
+    exercise: { label: 'Exercise', icon: '🏃', color: '#00d4ff' },
+    symptom: { label: 'Symptom', icon: '🤒', color: '#ff006e' },
+    other: { label: 'Other', icon: '📝', color: '#8892a8' }
+};
+
+const JOURNAL_AUTHORS = { wearer: 'Wearer', caregiver: 'Caregiver' };
+
+function createJournalState() {
+    return {
+        entries: []   // { id, timestamp, category, note, by, response }, oldest first
+    };
+}
+
+// ======================== ENTRIES ========================
+// Engine commands from the page. `at` is the time of the event in ms, null
+// for now; a time past the latest sample is taken as now.
+function addJournalEntry({ category, note, by, at }) {
+    if (!JOURNAL_CATEGORIES[category]) {
+        console.warn(`⚠️ Unknown journal category "${category}"`);
+        return;
+    }
+    const j = state.journal;
+    const now = state.lastSampleTime || Date.now();
+    const last = j.entries.reduce((max, e) => Math.max(max, e.id), 0);
+    const entry = {
+        // Unique per patient even when two entries land in the same millisecond
+        id: Math.max(Date.now(), last + 1),
+        timestamp: typeof at === 'number' && isFinite(at) ? Math.min(at, now) : now,
+        category,
+        note: String(note || '').trim().slice(0, CONFIG.journal.maxNote),
+        by: JOURNAL_AUTHORS[by] ? by : 'wearer',
+        response: null    // signal -> { change, peak } once measured
+    };
+    j.entries.push(entry);
+    j.entries.sort((a, b) => a.timestamp - b.timestamp);
+    persistJournalEntry(entry);
+    measureJournalResponses();
+    console.log(`${JOURNAL_CATEGORIES[category].icon} ${state.profile.name}: ${JOURNAL_CATEGORIES[category].label.toLowerCase()} logged`);
+}
+
+function removeJournalEntry(id) {
+    const j = state.journal;
+    const index = j.entries.findIndex(e => e.id === id);
+    if (index < 0) return;
+    j.entries.splice(index, 1);
+    deleteJournalEntry(id);
+}
+
+// ======================== RESPONSES ========================
+// Measures every entry whose response window has passed
+function measureJournalResponses() {
+    const responseMs = CONFIG.journal.responseWindow * 60e3;
+    state.journal.entries
+        .filter(e => e.response === null && e.timestamp + responseMs <= state.lastSampleTime)
+        .forEach(e => {
+            e.response = measureResponse(e.timestamp);
+            persistJournalEntry(e);
+        });
+}
+
+function measureResponse(timestamp) {
+    const cfg = CONFIG.journal;
+    const before = state.trendStore.raw.filter(s => s.t >= timestamp - cfg.baselineWindow * 60e3 && s.t < timestamp);
+    const after = state.trendStore.raw.filter(s => s.t >= timestamp && s.t <= timestamp + cfg.responseWindow * 60e3);
+    const readings = (samples, signal) => samples.map(s => s.values[signal]).filter(v => v !== undefined);
+    const mean = xs => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+    const response = {};
+    CONFIG.signals.forEach(signal => {
+        const pre = readings(before, signal);
+        const post = readings(after, signal);
+        if (pre.length < cfg.minReadings || post.length < cfg.minReadings) return;
+        const reference = mean(pre);
+        const peak = post.reduce((p, v) => Math.abs(v - reference) > Math.abs(p) ? v - reference : p, 0);
+        response[signal] = { change: mean(post) - reference, peak };
+    });
+    return response;
+}
+
+// Per category with entries: how many were logged, how many are still
+// waiting for their window, and per signal the mean change and peak over
+// the entries that measured it
+function journalResponses(entries) {
+    return Object.keys(JOURNAL_CATEGORIES).map(category => {
+        const logged = entries.filter(e => e.category === category);
+        const signals = {};
+        CONFIG.signals.forEach(signal => {
+            const measured = logged.filter(e => e.response && e.response[signal]).map(e => e.response[signal]);
+            if (measured.length === 0) return;
+            signals[signal] = {
+                change: measured.reduce((sum, r) => sum + r.change, 0) / measured.length,
+                peak: measured.reduce((sum, r) => sum + r.peak, 0) / measured.length,
+                count: measured.length
+            };
+        });
+        return { category, logged: logged.length, pending: logged.filter(e => e.response === null).length, signals };
+    }).filter(r => r.logged > 0);
+}
+
+// Entries in the response window before `timestamp`, nearest first
+function journalContext(timestamp) {
+    const responseMs = CONFIG.journal.responseWindow * 60e3;
+    return state.journal.entries
+        .filter(e => e.timestamp <= timestamp && e.timestamp > timestamp - responseMs)
+        .reverse();
+}
+
+// ======================== CHART MARKERS ========================
+// Drawn over the anomaly bands: the response window faintly, then a line and
+// the category's icon at the entry
+function drawJournalMarkers(ctx, frame) {
+    const top = frame.padding.top;
+    const left = frame.padding.left;
+    const right = left + frame.chartW;
+    const responseMs = CONFIG.journal.responseWindow * 60e3;
+
+    state.journal.entries.forEach(e => {
+        if (e.timestamp + responseMs < frame.start || e.timestamp > frame.end) return;
+        const { icon, color } = JOURNAL_CATEGORIES[e.category];
+        const x = timeToX(e.timestamp, frame);
+        const x1 = Math.min(timeToX(e.timestamp + responseMs, frame), right);
+        const x0 = Math.max(x, left);
+        if (x1 > x0) {
+            ctx.fillStyle = color + '0d';
+            ctx.fillRect(x0, top, x1 - x0, frame.chartH);
+        }
+        if (x < left) return;
+
+        ctx.strokeStyle = color + 'aa';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, top + frame.chartH);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = color;
+        ctx.fillText(icon, x, top + 10);
+    });
+}
+
+// Readout rows for the entries within a few pixels of the hover time
+function journalReadout(frame, t) {
+    const tolerance = (frame.end - frame.start) / frame.chartW * 4;
+    return state.journal.entries
+        .filter(e => Math.abs(e.timestamp - t) <= tolerance)
+        .slice(0, 2)
+        .map(e => {
+            const { icon, label, color } = JOURNAL_CATEGORIES[e.category];
+            const note = e.note.length > 40 ? `${e.note.slice(0, 39)}…` : e.note;
+            return { text: `${icon} ${label}${note ? `: ${note}` : ''}`, color };
+        });
+}
+
+// Frames the entry's baseline and response windows on the trend charts
+function focusTrendOnJournalEntry(entry) {
+    const cfg = CONFIG.journal;
+    trendExplorer.focus = null;
+    setTrendWindow(entry.timestamp - cfg.baselineWindow * 60e3 * 2, entry.timestamp + cfg.responseWindow * 60e3 * 1.25);
+    setActiveNavLink('nav-analytics');
+    document.getElementById('analytics').scrollIntoView({ behavior: 'smooth' });
+}
+
+// ======================== TIMELINE ========================
+// Entries of the last CONFIG.journal.timelineHours, newest first
+function timelineJournalEntries() {
+    const since = (state.lastSampleTime || Date.now()) - CONFIG.journal.timelineHours * HOUR_MS;
+    return state.journal.entries.filter(e => e.timestamp >= since).reverse();
+}
+
+function journalTimelineItem(entry) {
+    const { icon, label, color } = JOURNAL_CATEGORIES[entry.category];
+    const minutes = CONFIG.journal.responseWindow;
+    const status = entry.response === null ? `response in ${minutes} min` : 'response measured';
+    return `
+        <div class="timeline-item timeline-journal" data-journal="${entry.id}">
+            <div class="timeline-dot" style="background: ${color}; box-shadow: 0 0 8px ${color}66"></div>
+            <div class="timeline-content">
+                <div class="timeline-header">
+                    <span class="timeline-title">${icon} ${label}</span>
+                    <span class="timeline-time">${formatTime(new Date(entry.timestamp))}</span>
+                </div>
+                ${entry.note ? `<p class="timeline-desc">${escapeHtml(entry.note)}</p>` : ''}
+                <div class="timeline-tags">
+                    <span class="timeline-tag">Journal</span>
+                    <span class="timeline-tag">${JOURNAL_AUTHORS[entry.by]}</span>
+                    <span class="timeline-tag tag-snoozed">${status}</span>
+                </div>
+                <div class="timeline-actions">
+                    <button class="session-btn alert-action-btn" data-journal-action="remove">Remove</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Tags an anomaly with what was logged shortly before it
+function journalContextTags(anomaly) {
+    return journalContext(anomaly.timestamp).slice(0, 2).map(e => {
+        const { icon, label } = JOURNAL_CATEGORIES[e.category];
+        const minutes = Math.round((anomaly.timestamp - e.timestamp) / 60e3);
+        return `<span class="timeline-tag tag-journal">${icon} ${label} ${minutes} min before</span>`;
+    }).join('');
+}
+
+// ======================== PANEL ========================
+function setupJournal() {
+    const category = document.getElementById('journal-category');
+    if (!category) return;
+    category.innerHTML = Object.entries(JOURNAL_CATEGORIES)
+        .map(([key, c]) => `<option value="${key}">${c.icon} ${c.label}</option>`)
+        .join('');
+    document.getElementById('journal-by').innerHTML = Object.entries(JOURNAL_AUTHORS)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+    document.getElementById('journal-responses-title').textContent =
+        `Responses: mean change in the ${CONFIG.journal.responseWindow} min after each event`;
+    document.getElementById('journal-responses-note').textContent =
+        `Each entry is measured against the mean of the ${CONFIG.journal.baselineWindow} min before it. Hover a change for the mean peak.`;
+    document.getElementById('journal-responses-head').innerHTML =
+        `<tr><th>Event</th><th>Logged</th>${CONFIG.signals.map(s => `<th>${CONFIG.signalLabels[s]}</th>`).join('')}</tr>`;
+
+    const time = document.getElementById('journal-time');
+    const note = document.getElementById('journal-note');
+    const log = () => {
+        const at = time.value ? new Date(time.value).getTime() : null;
+        sendEngineCommand(state, 'addJournalEntry', {
+            category: category.value,
+            note: note.value,
+            by: document.getElementById('journal-by').value,
+            at
+        });
+        note.value = '';
+        time.value = '';
+    };
+    document.getElementById('journal-add').addEventListener('click', log);
+    note.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') log();
+    });
+
+    document.getElementById('anomaly-timeline').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-journal-action]');
+        if (!btn) return;
+        const id = Number(btn.closest('.timeline-item').dataset.journal);
+        if (window.confirm('Remove this journal entry?')) sendEngineCommand(state, 'removeJournalEntry', id);
+    });
+}
+
+function renderJournal() {
+    const body = document.getElementById('journal-responses');
+    if (!body) return;
+    const responses = journalResponses(state.journal.entries);
+    const html = responses.length === 0
+        ? `<tr><td colspan="${CONFIG.signals.length + 2}">Nothing logged yet.</td></tr>`
+        : responses.map(r => {
+            const { icon, label } = JOURNAL_CATEGORIES[r.category];
+            const cells = CONFIG.signals.map(signal => {
+                const s = r.signals[signal];
+                if (!s) return '<td class="ews-reading">—</td>';
+                const digits = ['spo2', 'temp', 'rr'].includes(signal) ? 1 : 0;
+                const unit = state.vitals[signal].unit;
+                const signed = v => {
+                    const rounded = Number(v.toFixed(digits)) || 0;
+                    return (rounded > 0 ? '+' : '') + rounded.toFixed(digits);
+                };
+                return `<td class="ews-reading" title="Mean peak ${signed(s.peak)} ${unit} over ${s.count} ${s.count === 1 ? 'entry' : 'entries'}">${signed(s.change)}</td>`;
+            }).join('');
+            const pending = r.pending > 0 ? ` (${r.pending} pending)` : '';
+            return `<tr><td>${icon} ${label}</td><td class="ews-reading">${r.logged}${pending}</td>${cells}</tr>`;
+        }).join('');
+    if (body.innerHTML !== html) body.innerHTML = html;
+}
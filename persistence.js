@@ -0,0 +1,234 @@
+/* ============================
+   VitalSync — Local Persistence
+   IndexedDB Storage · Session Restore · Retention Policy
+   ============================ */
+
+// Stores, every record tagged with the ward patient it belongs to:
+//   samples    { patientId, t, values }              key: [patientId, t]
+//   rollups    { patientId, tier, t, stats }         key: [patientId, tier, t]
+//   anomalies  anomaly objects from addAnomaly()     key: [patientId, id], indexes: [patientId, timestamp],
+//                                                    status: [patientId, status]
+//   baselines  { patientId, signal, profiles,        key: [patientId, signal]  (see baselines.js)
+//                awake }                             awake: sleep.js's awake reference, if any
+//   journal    entries from addJournalEntry()       key: [patientId, id], index: [patientId, timestamp]
+const DB_NAME = 'vitalsync';
+const DB_VERSION = 4;
+
+let vitalsDb = null;
+
+// ======================== OPEN ========================
+// Resolves with the database, or null when IndexedDB is unavailable
+// (private browsing, old browsers) so the dashboard still runs in-memory.
+function openVitalsDb() {
+    if (!CONFIG.persistence.enabled || typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    return new Promise(resolve => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (e) => {
+            const db = request.result;
+            if (e.oldVersion < 2) {
+                // Version 1 held a single unnamed patient; it is not carried over
+                Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+                db.createObjectStore('samples', { keyPath: ['patientId', 't'] });
+                db.createObjectStore('rollups', { keyPath: ['patientId', 'tier', 't'] });
+                db.createObjectStore('anomalies', { keyPath: ['patientId', 'id'] })
+                    .createIndex('timestamp', ['patientId', 'timestamp']);
+                db.createObjectStore('baselines', { keyPath: ['patientId', 'signal'] });
+            }
+            if (e.oldVersion < 3) {
+                db.createObjectStore('journal', { keyPath: ['patientId', 'id'] })
+                    .createIndex('timestamp', ['patientId', 'timestamp']);
+            }
+            if (e.oldVersion < 4) {
+                request.transaction.objectStore('anomalies').createIndex('status', ['patientId', 'status']);
+            }
+        };
+        request.onsuccess = () => {
+            vitalsDb = request.result;
+            resolve(vitalsDb);
+        };
+        request.onerror = () => {
+            console.warn('⚠️ IndexedDB unavailable — history will not survive a reload', request.error);
+            resolve(null);
+        };
+    });
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ======================== WRITE ========================
+// Replayed files are someone else's history — only live data is stored
+function shouldPersist() {
+    return vitalsDb !== null && !(state.source && state.source.name === 'replay');
+}
+
+// Samples and the rollups they touched are queued and written for the whole
+// ward in one transaction every CONFIG.persistence.flushInterval; a page
+// closed in between loses at most that much
+const pendingWrites = {
+    samples: [],
+    rollups: new Map(),   // 'patientId:tier:t' -> latest record
+    timer: null
+};
+
+function persistSample(timestamp, values) {
+    if (!shouldPersist()) return;
+    const store = state.trendStore;
+    const patientId = state.id;
+    pendingWrites.samples.push({ patientId, t: timestamp, values });
+    const hour = store.hourly[store.hourly.length - 1];
+    const day = store.daily[store.daily.length - 1];
+    if (hour) pendingWrites.rollups.set(`${patientId}:hourly:${hour.t}`, { patientId, tier: 'hourly', t: hour.t, stats: hour.stats });
+    if (day) pendingWrites.rollups.set(`${patientId}:daily:${day.t}`, { patientId, tier: 'daily', t: day.t, stats: day.stats });
+    if (!pendingWrites.timer) pendingWrites.timer = setTimeout(flushPendingWrites, CONFIG.persistence.flushInterval);
+}
+
+function flushPendingWrites() {
+    pendingWrites.timer = null;
+    if (!vitalsDb || pendingWrites.samples.length === 0) return;
+    const { samples, rollups } = pendingWrites;
+    pendingWrites.samples = [];
+    pendingWrites.rollups = new Map();
+    const tx = vitalsDb.transaction(['samples', 'rollups'], 'readwrite');
+    samples.forEach(record => tx.objectStore('samples').put(record));
+    rollups.forEach(record => tx.objectStore('rollups').put(record));
+    tx.onerror = () => console.warn(`⚠️ Could not persist ${samples.length} samples`, tx.error);
+}
+
+function persistAnomaly(anomaly) {
+    if (!shouldPersist()) return;
+    const tx = vitalsDb.transaction('anomalies', 'readwrite');
+    tx.objectStore('anomalies').put({ ...anomaly, patientId: state.id });
+}
+
+function persistJournalEntry(entry) {
+    if (!shouldPersist()) return;
+    const tx = vitalsDb.transaction('journal', 'readwrite');
+    tx.objectStore('journal').put({ ...entry, patientId: state.id });
+}
+
+function deleteJournalEntry(id) {
+    if (!shouldPersist()) return;
+    const tx = vitalsDb.transaction('journal', 'readwrite');
+    tx.objectStore('journal').delete([state.id, id]);
+}
+
+function persistBaselines() {
+    if (!shouldPersist() || !state.baselines.calibrated) return;
+    const tx = vitalsDb.transaction('baselines', 'readwrite');
+    const store = tx.objectStore('baselines');
+    const reference = state.sleep.reference || {};
+    Object.entries(state.baselines.profiles).forEach(([signal, profiles]) => {
+        store.put({ patientId: state.id, signal, profiles, awake: reference[signal] });
+    });
+}
+
+// ======================== RESTORE ========================
+// Keys of one patient's records from `from` onwards; the [id, []] upper
+// bound sorts after every [id, number] and [id, string, ...] key
+function patientRange(patientId, from) {
+    return IDBKeyRange.bound(from === undefined ? [patientId] : [patientId, from], [patientId, []]);
+}
+
+// Rebuilds the current patient's vitals history, trend store, today's
+// anomalies (and alerts still open from before), journal and learned
+// baselines from IndexedDB
+function restoreSession() {
+    if (!vitalsDb) return Promise.resolve();
+    const patient = state;
+    const now = Date.now();
+    const tx = vitalsDb.transaction(['samples', 'rollups', 'anomalies', 'baselines', 'journal'], 'readonly');
+
+    return Promise.all([
+        requestToPromise(tx.objectStore('samples').getAll(patientRange(patient.id, now - CONFIG.trendRetention.raw))),
+        requestToPromise(tx.objectStore('rollups').getAll(patientRange(patient.id))),
+        requestToPromise(tx.objectStore('anomalies').index('timestamp').getAll(patientRange(patient.id, startOfDay(now)))),
+        Promise.all(ALERT_OPEN_STATUSES.map(status =>
+            requestToPromise(tx.objectStore('anomalies').index('status').getAll([patient.id, status])))),
+        requestToPromise(tx.objectStore('baselines').getAll(patientRange(patient.id))),
+        requestToPromise(tx.objectStore('journal').index('timestamp').getAll(patientRange(patient.id)))
+    ]).then(([samples, rollups, anomalies, open, baselines, journal]) => withPatient(patient, () => {
+        // A stored profile means this patient was already calibrated
+        baselines.filter(b => b.profiles && state.vitals[b.signal]).forEach(b => {
+            state.baselines.profiles[b.signal] = b.profiles;
+            state.baselines.calibrated = true;
+            state.baselines.samples = CONFIG.baseline.calibrationSamples;
+        });
+
+        state.trendStore.raw = samples.map(s => ({ t: s.t, values: s.values }));
+        state.trendStore.hourly = rollups.filter(r => r.tier === 'hourly').map(r => ({ t: r.t, stats: r.stats }));
+        state.trendStore.daily = rollups.filter(r => r.tier === 'daily').map(r => ({ t: r.t, stats: r.stats }));
+
+        const recent = samples.slice(-CONFIG.chartPoints);
+        CONFIG.signals.forEach(signal => {
+            const v = state.vitals[signal];
+            v.history = [];
+            v.times = [];
+            recent.forEach(s => {
+                if (s.values[signal] === undefined) return;
+                v.history.push(s.values[signal]);
+                v.times.push(s.t);
+            });
+            if (v.history.length > 0) v.value = v.history[v.history.length - 1];
+        });
+        if (samples.length > 0) state.lastSampleTime = samples[samples.length - 1].t;
+        const awake = baselines.filter(b => b.awake);
+        rebuildSleep(samples, awake.length > 0 ? Object.fromEntries(awake.map(b => [b.signal, b.awake])) : null);
+
+        anomalies.sort((a, b) => b.timestamp - a.timestamp);
+        // An alert left open before midnight is still open; today's are kept
+        // as the same objects the timeline shows
+        const earlier = open.flat().filter(a => a.timestamp < startOfDay(now));
+        state.alerts.open = [...earlier, ...anomalies.filter(isOpenAlert)].sort((a, b) => a.timestamp - b.timestamp);
+        state.anomalies = anomalies.slice(0, 15);
+        // Rule and forecast alerts are picked up again by their rule's id, but
+        // nothing carries over that would close a correlation event or a
+        // scenario's announced one
+        state.alerts.open.filter(a => a.detector === 'correlation-shift' || a.scenarioEvent).forEach(a => updateAnomaly(a, {
+            status: 'auto-resolved',
+            endTimestamp: state.lastSampleTime || now,
+            description: `${a.description} Closed when the session was restored.`
+        }));
+        updateAnomalyStats();
+        state.journal.entries = journal;
+
+        console.log(`💾 ${patient.profile.name}: restored ${samples.length} samples, ${rollups.length} rollups, ${anomalies.length + earlier.length} anomalies, ${journal.length} journal entries`);
+    })).catch(err => console.warn(`⚠️ Could not restore stored session for ${patient.profile.name}`, err));
+}
+
+// ======================== RETENTION ========================
+function pruneStoredHistory() {
+    if (!vitalsDb) return;
+    const now = Date.now();
+    const retention = CONFIG.persistence.retention;
+    const trend = CONFIG.trendRetention;
+    const tx = vitalsDb.transaction(['samples', 'rollups', 'anomalies', 'journal'], 'readwrite');
+
+    enginePatients.forEach(({ id }) => {
+        tx.objectStore('samples').delete(IDBKeyRange.bound([id, 0], [id, now - trend.raw]));
+        ['hourly', 'daily'].forEach(tier => {
+            tx.objectStore('rollups').delete(IDBKeyRange.bound([id, tier, 0], [id, tier, now - trend[tier]]));
+        });
+        ['anomalies', 'journal'].forEach(name => {
+            const cursorRequest = tx.objectStore(name).index('timestamp')
+                .openCursor(IDBKeyRange.bound([id, 0], [id, now - retention[name]]));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    });
+}
+
+function startRetentionPolicy() {
+    if (!vitalsDb) return;
+    pruneStoredHistory();
+    setInterval(pruneStoredHistory, CONFIG.persistence.pruneInterval);
+}
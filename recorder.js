@@ -0,0 +1,243 @@
+/* ============================
+   VitalSync — Session Recorder
+   Tick Recording · CSV/JSON/FHIR Export · File Replay Controls
+   ============================ */
+
+// ======================== RECORDING ========================
+function recordTick(sample) {
+    const rec = state.recording;
+    if (!rec.active) return;
+
+    const values = {};
+    CONFIG.signals.forEach(s => { values[s] = state.vitals[s].value; });
+    const risks = {};
+    Object.entries(state.risks).forEach(([key, risk]) => { risks[key] = risk.target; });
+
+    const tick = { timestamp: sample.timestamp, values, risks, activity: state.activity.state };
+    // Replays reclassify from the motion, as the live pipeline did
+    if (sample.motion) tick.motion = sample.motion;
+    // Simulated sessions are labelled for the risk-model harness (risk-eval.js):
+    // 1 while a scenario event is under way
+    if (state.scenario && state.source && state.source.name === 'simulator') {
+        tick.label = state.scenario.active.length > 0 ? 1 : 0;
+    }
+    rec.samples.push(tick);
+    if (rec.samples.length > CONFIG.recordingMaxTicks) rec.samples.shift();
+}
+
+// Called again when an anomaly changes status; the recording keeps its latest form
+function recordAnomaly(anomaly) {
+    const rec = state.recording;
+    if (!rec.active) return;
+    const index = rec.anomalies.findIndex(a => a.id === anomaly.id);
+    if (index >= 0) {
+        rec.anomalies[index] = { ...anomaly };
+        return;
+    }
+    rec.anomalies.push({ ...anomaly });
+    if (rec.anomalies.length > CONFIG.recordingMaxTicks) rec.anomalies.shift();
+}
+
+function toggleRecording() {
+    state.recording.active = !state.recording.active;
+}
+
+// ======================== EXPORT ========================
+function buildSessionJson() {
+    const rec = state.recording;
+    const history = {};
+    CONFIG.signals.forEach(s => {
+        history[s] = { values: state.vitals[s].history.slice(), times: state.vitals[s].times.slice() };
+    });
+    return JSON.stringify({
+        format: 'vitalsync-session',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        patient: { id: state.id, name: state.profile.name, bed: state.profile.bed },
+        signals: CONFIG.signals,
+        samples: rec.samples,
+        anomalies: rec.anomalies,
+        journal: state.journal.entries,
+        snapshot: {
+            history,
+            trends: { hourly: state.trendStore.hourly, daily: state.trendStore.daily },
+            anomalies: state.anomalies
+        }
+    }, null, 2);
+}
+
+function buildSessionCsv() {
+    const rec = state.recording;
+    const riskKeys = Object.keys(state.risks);
+    const labelled = rec.samples.some(tick => tick.label !== undefined);
+    const motion = rec.samples.some(tick => tick.motion);
+    const header = ['timestamp', 'time', ...CONFIG.signals, ...(motion ? ['cadence', 'accel'] : []), 'activity',
+        ...riskKeys.map(k => `risk_${k}`), ...(labelled ? ['label'] : []), 'anomalies'];
+    const rows = rec.samples.map((tick, i) => {
+        // Anomalies raised between this tick and the next belong to this row
+        const next = rec.samples[i + 1];
+        const events = rec.anomalies
+            .filter(a => (i === 0 || a.timestamp >= tick.timestamp) && (!next || a.timestamp < next.timestamp))
+            .map(a => `${a.status}: ${a.title}`)
+            .join('; ');
+        return [
+            tick.timestamp,
+            new Date(tick.timestamp).toISOString(),
+            ...CONFIG.signals.map(s => tick.values[s]),
+            ...(motion ? ['cadence', 'accel'].map(key => tick.motion && tick.motion[key]) : []),
+            tick.activity,
+            ...riskKeys.map(k => tick.risks[k]),
+            ...(labelled ? [tick.label] : []),
+            events
+        ].map(csvCell).join(',');
+    });
+    return [header.join(','), ...rows].join('\n');
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const str = String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function downloadFile(filename, mimeType, content) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Built by the engine, which holds the recording; null when it is empty
+function buildSessionExport(format) {
+    if (state.recording.samples.length === 0) return null;
+    const stamp = new Date(state.recording.samples[0].timestamp).toISOString().replace(/[:.]/g, '-');
+    const name = `vitalsync-${state.id}-${stamp}`;
+    if (format === 'csv') return { filename: `${name}.csv`, mimeType: 'text/csv', content: buildSessionCsv() };
+    if (format === 'fhir') return { filename: `${name}-fhir.json`, mimeType: 'application/fhir+json', content: buildFhirBundle() };
+    return { filename: `${name}.json`, mimeType: 'application/json', content: buildSessionJson() };
+}
+
+function exportSession(format) {
+    requestFromEngine(state, 'sessionExport', format).then(file => {
+        if (!file) {
+            console.warn('⚠️ Nothing recorded yet');
+            return;
+        }
+        downloadFile(file.filename, file.mimeType, file.content);
+    });
+}
+
+// ======================== REPLAY ========================
+// The file is read and checked on the page, where the user can be asked
+// before their recording is discarded; the engine replays the samples
+function startReplayFromFile(file) {
+    const patient = state;
+    const reader = new FileReader();
+    reader.onload = () => withPatient(patient, () => {
+        let samples;
+        try {
+            samples = parseSampleFile(reader.result);
+        } catch (err) {
+            console.error(`❌ Could not parse ${file.name}:`, err);
+            return;
+        }
+        if (samples.length === 0) {
+            console.warn(`⚠️ ${file.name} contains no samples`);
+            return;
+        }
+        if (state.recording.ticks > 0 && !state.replayFile &&
+            !window.confirm('Replaying a file discards the current recording. Continue?')) return;
+
+        sendEngineCommand(patient, 'replaySamples', file.name, samples);
+    });
+    reader.readAsText(file);
+}
+
+function replaySamples(name, samples) {
+    state.replayFile = name;
+    switchDataSource(createReplaySource({ samples, speed: state.replaySpeed }));
+}
+
+function stopReplay() {
+    const options = getDataSourceOptions(state.profile);
+    state.replayFile = null;
+    switchDataSource(createDataSource(options.type === 'replay' ? { ...CONFIG.dataSource } : options));
+}
+
+function setReplaySpeed(speed) {
+    state.replaySpeed = speed;
+    if (state.source && state.source.setSpeed) state.source.setSpeed(speed);
+}
+
+function stepReplay() {
+    if (state.source && state.source.step) state.source.step();
+}
+
+// ======================== SESSION CONTROLS ========================
+function setupSessionControls() {
+    document.getElementById('record-btn').addEventListener('click', () => sendEngineCommand(state, 'toggleRecording'));
+    document.getElementById('export-json-btn').addEventListener('click', () => exportSession('json'));
+    document.getElementById('export-csv-btn').addEventListener('click', () => exportSession('csv'));
+    document.getElementById('export-fhir-btn').addEventListener('click', () => exportSession('fhir'));
+
+    // Web Bluetooth is only in some browsers, and only over https
+    const bluetoothBtn = document.getElementById('bluetooth-btn');
+    bluetoothBtn.hidden = !navigator.bluetooth;
+    bluetoothBtn.addEventListener('click', () => {
+        if (state.source && state.source.name === 'bluetooth') disconnectBluetooth();
+        else connectBluetooth();
+    });
+
+    const fileInput = document.getElementById('replay-file');
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) startReplayFromFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    document.querySelectorAll('.speed-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const speed = btn.dataset.speed === 'step' ? 'step' : parseFloat(btn.dataset.speed);
+            sendEngineCommand(state, 'setReplaySpeed', speed);
+        });
+    });
+    document.getElementById('replay-step-btn').addEventListener('click', () => sendEngineCommand(state, 'stepReplay'));
+    document.getElementById('replay-exit-btn').addEventListener('click', () => sendEngineCommand(state, 'stopReplay'));
+
+    renderSessionControls();
+}
+
+function renderSessionControls() {
+    const recordBtn = document.getElementById('record-btn');
+    if (!recordBtn) return;
+    recordBtn.classList.toggle('recording', state.recording.active);
+    recordBtn.textContent = state.recording.active
+        ? `● Recording (${state.recording.ticks})`
+        : '○ Record';
+
+    const scenarioSelect = document.getElementById('scenario-select');
+    const simulating = state.source && state.source.name === 'simulator';
+    scenarioSelect.hidden = !simulating;
+    if (simulating && state.scenario && scenarioSelect.value !== state.scenario.key) {
+        scenarioSelect.value = state.scenario.key;
+    }
+
+    document.getElementById('bluetooth-btn').textContent =
+        state.source && state.source.name === 'bluetooth' ? 'Disconnect Device' : 'Connect Device';
+
+    const replaying = state.source && state.source.name === 'replay';
+    document.getElementById('replay-controls').hidden = !replaying;
+    if (!replaying) return;
+
+    document.querySelectorAll('.speed-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.speed === String(state.replaySpeed));
+    });
+    document.getElementById('replay-step-btn').disabled = state.replaySpeed !== 'step';
+    const { index, total } = state.source.progress;
+    document.getElementById('replay-progress').textContent =
+        `${state.replayFile || 'Replay'} · ${index} / ${total}`;
+}
@@ -0,0 +1,216 @@
+/* ============================
+   VitalSync — Risk Model Evaluation
+   Offline Replay · Sensitivity / Specificity · AUROC · False-Alarm Rate
+   ============================ */
+
+// Runs the registered risk models over a labelled recording without touching
+// any patient. Each sample carries `label` 1 (event under way) or 0; sessions
+// recorded from the simulator are labelled automatically (see recorder.js),
+// and CSV or JSON files from elsewhere can add a `label` column or field.
+// Inputs are rebuilt the way the live pipeline builds them, signal-quality
+// checks, sleep and activity tracking included, with one simplification: the
+// personal baseline is learned once from the first calibrationSamples resting
+// readings and then held fixed, and other activity states use it moved by
+// the expected response (see activity.js). Readings until then (and any
+// before correlations have enough history) are not scored.
+//
+// From the console: evaluateRiskModels(parseSampleFile(text))
+
+// ======================== OFFLINE REPLAY ========================
+function createOfflineContext() {
+    const values = {};
+    const history = {};
+    const calibration = {};
+    const quality = createQualityState();
+    const sleep = createSleepState();
+    const activity = createActivityState();
+    let baselines = null;
+    let resting = 0;
+    CONFIG.signals.forEach(s => {
+        values[s] = VITAL_DEFAULTS[s].baseline;
+        history[s] = [];
+        calibration[s] = [];
+    });
+
+    return {
+        samples: 0,
+        push(sample) {
+            this.samples++;
+            const accepted = assessSample(quality, sample);
+            trackActivity(activity, sample.timestamp, sample.motion, Boolean(sleep.session));
+            const calibrating = !baselines && settledActivity(activity) === 'rest';
+            if (calibrating) resting++;
+            CONFIG.signals.forEach(s => {
+                if (accepted[s] !== undefined) values[s] = accepted[s];
+                history[s].push(values[s]);
+                if (history[s].length > CONFIG.chartPoints) history[s].shift();
+                if (calibrating && quality.signals[s].flags.length === 0) calibration[s].push(values[s]);
+            });
+            if (!baselines && resting >= CONFIG.baseline.calibrationSamples) {
+                baselines = {};
+                CONFIG.signals.forEach(s => {
+                    // A signal with no clean calibration reading starts from its last value
+                    const sorted = (calibration[s].length > 0 ? calibration[s] : [values[s]]).slice().sort((x, y) => x - y);
+                    const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+                    baselines[s] = {
+                        center: quantile(sorted, 0.5),
+                        spread: Math.max(iqr / 1.349, CONFIG.baseline.minSpread[s] || 0)
+                    };
+                });
+            }
+            const clean = {};
+            Object.entries(accepted).forEach(([s, v]) => {
+                if (quality.signals[s].flags.length === 0) clean[s] = v;
+            });
+            trackSleep(sleep, sample.timestamp, clean, sampleMoved(quality, sample.motion), baselines && (s => baselines[s]));
+        },
+        ready() {
+            return Boolean(baselines) && history.hr.length >= CONFIG.detector.minSamples;
+        },
+        value: signal => values[signal],
+        baseline: signal => activityBaseline(activity, signal, baselines[signal], () => null),
+        correlation: (a, b) => {
+            const win = pairWindow(quality, history[a], history[b], a, b);
+            return pearsonCorrelation(win.x, win.y, win.w);
+        },
+        quality: signal => quality.signals[signal].score,
+        night: () => scoredNight(sleep),
+        activity: () => activity.state
+    };
+}
+
+function evaluateRiskModels(samples, models = Object.values(riskModels)) {
+    const ctx = createOfflineContext();
+    const scored = models.map(() => []);
+    samples.forEach(sample => {
+        ctx.push(sample);
+        if (!ctx.ready() || sample.label === undefined) return;
+        models.forEach((model, i) => {
+            scored[i].push({ t: sample.timestamp, score: scoreRiskModel(model, ctx).score, label: sample.label });
+        });
+    });
+    return models.map((model, i) => ({ model, ...riskMetrics(scored[i], model.alertAt || 50) }));
+}
+
+// ======================== METRICS ========================
+function riskMetrics(points, alertAt) {
+    let tp = 0, fp = 0, tn = 0, fn = 0;
+    points.forEach(p => {
+        const alarm = p.score >= alertAt;
+        if (p.label) alarm ? tp++ : fn++;
+        else alarm ? fp++ : tn++;
+    });
+
+    // An alarm episode is a run of ticks at or above alertAt; it is false if
+    // no tick in it is labelled. An event is a run of labelled ticks; it is
+    // detected if any tick in it alarms.
+    const alarms = runsOf(points, p => p.score >= alertAt);
+    const events = runsOf(points, p => p.label === 1);
+    const falseAlarms = alarms.filter(run => !run.some(p => p.label === 1)).length;
+    const hours = points.length > 1 ? (points[points.length - 1].t - points[0].t) / 3600e3 : 0;
+
+    return {
+        alertAt,
+        ticks: points.length,
+        positives: tp + fn,
+        negatives: tn + fp,
+        sensitivity: tp + fn ? tp / (tp + fn) : null,
+        specificity: tn + fp ? tn / (tn + fp) : null,
+        auroc: auroc(points),
+        events: events.length,
+        eventsDetected: events.filter(run => run.some(p => p.score >= alertAt)).length,
+        falseAlarms,
+        falseAlarmsPerHour: hours > 0 ? falseAlarms / hours : null
+    };
+}
+
+function runsOf(points, test) {
+    const runs = [];
+    let current = null;
+    points.forEach(p => {
+        if (!test(p)) { current = null; return; }
+        if (!current) runs.push(current = []);
+        current.push(p);
+    });
+    return runs;
+}
+
+// Mann-Whitney form: the chance a random event tick outscores a random quiet
+// tick, with ties counting half
+function auroc(points) {
+    const sorted = points.slice().sort((a, b) => a.score - b.score);
+    let rankSum = 0, positives = 0;
+    for (let i = 0; i < sorted.length;) {
+        let j = i;
+        while (j < sorted.length && sorted[j].score === sorted[i].score) j++;
+        const rank = (i + 1 + j) / 2;   // average rank of the tie group
+        for (let k = i; k < j; k++) {
+            if (sorted[k].label) { rankSum += rank; positives++; }
+        }
+        i = j;
+    }
+    const negatives = sorted.length - positives;
+    if (positives === 0 || negatives === 0) return null;
+    return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+// ======================== RESULTS PANEL ========================
+function setupRiskEvaluation() {
+    const fileInput = document.getElementById('risk-eval-file');
+    if (!fileInput) return;
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) evaluateRiskFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    const overlay = document.getElementById('risk-eval');
+    document.getElementById('risk-eval-close').addEventListener('click', () => { overlay.hidden = true; });
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) overlay.hidden = true;
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') overlay.hidden = true;
+    });
+}
+
+function evaluateRiskFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let samples;
+        try {
+            samples = parseSampleFile(reader.result);
+        } catch (err) {
+            console.error(`❌ Could not parse ${file.name}:`, err);
+            return;
+        }
+        const labelled = samples.filter(s => s.label !== undefined).length;
+        const summary = document.getElementById('risk-eval-summary');
+        const body = document.getElementById('risk-eval-results');
+        document.getElementById('risk-eval').hidden = false;
+
+        if (labelled === 0) {
+            summary.textContent = `${file.name} has no labelled samples. Add a label column (1 during an event, 0 otherwise) or record a simulator session.`;
+            body.innerHTML = '';
+            return;
+        }
+        const results = evaluateRiskModels(samples);
+        summary.textContent = `${file.name}: ${samples.length} samples, ${labelled} labelled. ` +
+            `The first ${CONFIG.baseline.calibrationSamples} resting ones calibrate the baseline; nothing before them is scored.`;
+        body.innerHTML = results.map(r => `<tr>
+            <td>${escapeHtml(r.model.name || r.model.id)}</td>
+            <td class="ews-reading">${r.alertAt}%</td>
+            <td class="ews-reading">${r.ticks} (${r.positives} event)</td>
+            <td class="ews-reading">${formatMetric(r.sensitivity)}</td>
+            <td class="ews-reading">${formatMetric(r.specificity)}</td>
+            <td class="ews-reading">${r.auroc === null ? '—' : r.auroc.toFixed(3)}</td>
+            <td class="ews-reading">${r.eventsDetected} / ${r.events}</td>
+            <td class="ews-reading">${r.falseAlarmsPerHour === null ? '—' : r.falseAlarmsPerHour.toFixed(2)}</td>
+        </tr>`).join('');
+        console.log(`📊 Evaluated ${results.length} risk models on ${file.name}`);
+    };
+    reader.readAsText(file);
+}
+
+function formatMetric(x) {
+    return x === null ? '—' : `${(x * 100).toFixed(1)}%`;
+}
@@ -0,0 +1,517 @@
+/* ============================
+   VitalSync — Risk Models
+   JSON Model Registry · Logistic Scoring · Per-Input Explanations · Risk History
+   ============================ */
+
+// A risk model is plain JSON:
+//   {
+//     "id": "cardio",
+//     "name": "Cardiovascular",
+//     "shortName": "Cardio",                       // optional, used on ward cards
+//     "description": "Based on HR, BP, HRV correlation patterns",
+//     "inputs": [
+//       { "id": "hr", "source": "deviation", "signal": "hr", "transform": "abs", "clip": [0, 8] },
+//       { "id": "hr_bp", "source": "correlation", "pair": ["hr", "bp_sys"], "transform": "abs" }
+//     ],
+//     "intercept": -4,
+//     "coefficients": { "hr": 0.5, "hr_bp": 1.2 },
+//     "activity": { "exercise": { "hr": 0.25 } },  // optional per-state input weights
+//     "calibration": { "method": "platt", "a": 1.1, "b": -0.2 },   // optional
+//     "output": { "floor": 1, "cap": 99 },        // optional clamp of the percentage
+//     "alertAt": 50,                              // % used by the evaluation harness
+//     "factors": [
+//       { "label": "HR-BP Sync", "input": "hr_bp", "levels": [[0.5, "Normal"], [null, "Elevated"]] }
+//     ]
+//   }
+// Input sources:
+//   value        the signal's current reading
+//   deviation    robust σ from the patient's learned baseline (see baselines.js)
+//   relative     fractional distance from the baseline center
+//   correlation  rolling Pearson r of the pair (state.correlations)
+//   sleep        a measure of the latest night, named by "metric": odi, t90
+//                or pauses (see SLEEP_METRICS in sleep.js); 0 before any night
+// Transforms, applied in order: abs, square, sqrt, log1p; then optional clip.
+// Score = sigmoid(intercept + Σ coefficient × weight × input × quality), optionally recalibrated
+// by Platt scaling ({ "method": "platt", "a", "b" }: sigmoid(a × logit + b))
+// or a piecewise-linear map ({ "method": "bins", "points": [[p, calibrated p],
+// ...] }, probabilities from 0 to 1 in ascending p), as a percentage.
+// `quality` is the signal-quality window score of the input's signal (the
+// worse of the two for a correlation, see signal-quality.js), so a term read
+// from artifacts pulls the score toward the intercept instead of raising it.
+// A sleep term's quality is the share of the night its oximetry covered.
+// `activity` weights inputs in the patient's activity states (see
+// activity.js); an input it doesn't list keeps weight 1. Deviations are
+// already measured from the state's own baseline, but a walk still stirs HR
+// and BP more than rest, and a model fitted on resting patients shouldn't
+// read that as risk.
+// Factor levels are [upper bound, label] in ascending bounds; null means no
+// upper bound, and an input above every bound shows as "—".
+//
+// Built-in models live in RISK_MODEL_PRESETS. More can be loaded without code
+// changes with ?models=a.json,b.json (each file holds one model or an array).
+
+const RISK_MODEL_PRESETS = [
+    {
+        id: 'cardio',
+        name: 'Cardiovascular',
+        shortName: 'Cardio',
+        description: 'Based on HR, BP, HRV correlation patterns',
+        inputs: [
+            { id: 'hr', source: 'deviation', signal: 'hr', transform: 'abs', clip: [0, 8] },
+            { id: 'bp_sys', source: 'deviation', signal: 'bp_sys', transform: 'abs', clip: [0, 8] },
+            { id: 'hrv', source: 'deviation', signal: 'hrv', transform: 'abs', clip: [0, 8] },
+            { id: 'hr_bp_sys', source: 'correlation', pair: ['hr', 'bp_sys'], transform: 'abs' }
+        ],
+        intercept: -4.2,
+        coefficients: { hr: 0.55, bp_sys: 0.45, hrv: 0.45, hr_bp_sys: 1.2 },
+        activity: {
+            walking: { hr: 0.5, bp_sys: 0.5, hrv: 0.5, hr_bp_sys: 0.5 },
+            exercise: { hr: 0.25, bp_sys: 0.25, hrv: 0.25, hr_bp_sys: 0.25 }
+        },
+        output: { floor: 1, cap: 99 },
+        alertAt: 50,
+        factors: [
+            { label: 'HR-BP Sync', input: 'hr_bp_sys', levels: [[0.5, 'Normal'], [null, 'Elevated']] },
+            { label: 'HRV Stability', input: 'hrv', levels: [[2.5, 'Good'], [4, 'Fair'], [null, 'Poor']] }
+        ]
+    },
+    {
+        id: 'respiratory',
+        name: 'Respiratory Distress',
+        shortName: 'Respiratory',
+        description: 'Based on SpO2, RR, HR cross-signal analysis',
+        inputs: [
+            { id: 'spo2', source: 'deviation', signal: 'spo2', transform: 'abs', clip: [0, 8] },
+            { id: 'rr', source: 'deviation', signal: 'rr', transform: 'abs', clip: [0, 8] },
+            { id: 'hr', source: 'deviation', signal: 'hr', transform: 'abs', clip: [0, 8] },
+            { id: 'spo2_rr', source: 'correlation', pair: ['spo2', 'rr'], transform: 'abs' }
+        ],
+        intercept: -4.2,
+        coefficients: { spo2: 0.65, rr: 0.5, hr: 0.25, spo2_rr: 1.0 },
+        // Exercise doesn't excuse a desaturation
+        activity: {
+            walking: { rr: 0.5, hr: 0.5, spo2_rr: 0.5 },
+            exercise: { rr: 0.25, hr: 0.25, spo2_rr: 0.25 }
+        },
+        output: { floor: 1, cap: 99 },
+        alertAt: 50,
+        factors: [
+            { label: 'SpO2-RR Sync', input: 'spo2_rr', levels: [[0.5, 'Normal'], [null, 'Diverging']] },
+            { label: 'Breathing Pattern', input: 'rr', levels: [[2.5, 'Regular'], [null, 'Irregular']] }
+        ]
+    },
+    {
+        id: 'metabolic',
+        name: 'Metabolic Syndrome',
+        shortName: 'Metabolic',
+        description: 'Based on Temp, HR, BP multi-factor scoring',
+        inputs: [
+            { id: 'temp', source: 'deviation', signal: 'temp', transform: 'abs', clip: [0, 8] },
+            { id: 'hr', source: 'deviation', signal: 'hr', transform: 'abs', clip: [0, 8] },
+            { id: 'bp_sys', source: 'deviation', signal: 'bp_sys', transform: 'abs', clip: [0, 8] },
+            { id: 'temp_hr', source: 'correlation', pair: ['temp', 'hr'], transform: 'abs' }
+        ],
+        intercept: -4.4,
+        coefficients: { temp: 0.7, hr: 0.35, bp_sys: 0.2, temp_hr: 1.0 },
+        activity: {
+            walking: { hr: 0.5, temp_hr: 0.5 },
+            exercise: { temp: 0.5, hr: 0.25, bp_sys: 0.5, temp_hr: 0.25 }
+        },
+        output: { floor: 1, cap: 99 },
+        alertAt: 50,
+        factors: [
+            { label: 'Temp-HR Pattern', input: 'temp_hr', levels: [[0.5, 'Normal'], [null, 'Coupling']] },
+            { label: 'Circadian Rhythm', input: 'temp', levels: [[2.5, 'Aligned'], [null, 'Shifted']] }
+        ]
+    },
+    {
+        id: 'apnea',
+        name: 'Sleep Apnea',
+        shortName: 'Sleep Apnea',
+        description: 'Based on overnight desaturations, SpO2 below 90% and RR pauses',
+        inputs: [
+            { id: 'odi', source: 'sleep', metric: 'odi', clip: [0, 40] },
+            { id: 't90', source: 'sleep', metric: 't90', clip: [0, 40] },
+            { id: 'pauses', source: 'sleep', metric: 'pauses', clip: [0, 40] },
+            { id: 'spo2', source: 'deviation', signal: 'spo2', transform: 'abs', clip: [0, 8] },
+            { id: 'spo2_hrv', source: 'correlation', pair: ['spo2', 'hrv'], transform: 'abs' }
+        ],
+        intercept: -4.6,
+        coefficients: { odi: 0.12, t90: 0.04, pauses: 0.06, spo2: 0.3, spo2_hrv: 0.6 },
+        output: { floor: 1, cap: 99 },
+        alertAt: 50,
+        factors: [
+            { label: 'Night SpO2 Dips', input: 'odi', levels: [[5, 'None'], [15, 'Mild'], [30, 'Moderate'], [null, 'Severe']] },
+            { label: 'RR Pauses', input: 'pauses', levels: [[5, 'Rare'], [null, 'Frequent']] }
+        ]
+    }
+];
+
+const INPUT_SOURCES = ['value', 'deviation', 'relative', 'correlation', 'sleep'];
+const INPUT_TRANSFORMS = {
+    abs: Math.abs,
+    square: x => x * x,
+    sqrt: x => Math.sqrt(Math.max(x, 0)),
+    log1p: x => Math.log1p(Math.max(x, 0))
+};
+
+// ======================== REGISTRY ========================
+const riskModels = {};   // id -> validated model, in registration order
+
+// Throws with a message naming the model and the problem
+function validateRiskModel(def) {
+    const name = def && def.id ? `Risk model "${def.id}"` : 'Risk model';
+    const fail = (msg) => { throw new Error(`${name}: ${msg}`); };
+    if (!def || typeof def !== 'object') fail('not an object');
+    if (!/^[a-z][a-z0-9_-]*$/i.test(def.id || '')) fail('needs an id of letters, digits, - or _');
+    if (!Array.isArray(def.inputs) || def.inputs.length === 0) fail('needs at least one input');
+    if (typeof def.intercept !== 'number') fail('needs a numeric intercept');
+
+    const ids = new Set();
+    def.inputs.forEach(input => {
+        if (!input.id || ids.has(input.id)) fail(`input ids must be present and unique (${input.id})`);
+        ids.add(input.id);
+        if (!INPUT_SOURCES.includes(input.source)) fail(`input "${input.id}" has unknown source "${input.source}"`);
+        if (input.source === 'sleep' && !SLEEP_METRICS[input.metric]) fail(`input "${input.id}" has unknown sleep metric "${input.metric}"`);
+        const signals = input.source === 'correlation' ? input.pair || []
+            : input.source === 'sleep' ? [] : [input.signal];
+        if (input.source === 'correlation' && signals.length !== 2) fail(`input "${input.id}" needs a pair of two signals`);
+        signals.forEach(s => {
+            if (!CONFIG.signals.includes(s)) fail(`input "${input.id}" uses unknown signal "${s}"`);
+        });
+        [].concat(input.transform || []).forEach(t => {
+            if (!INPUT_TRANSFORMS[t]) fail(`input "${input.id}" has unknown transform "${t}"`);
+        });
+        if (typeof (def.coefficients || {})[input.id] !== 'number') fail(`no coefficient for input "${input.id}"`);
+    });
+
+    Object.entries(def.activity || {}).forEach(([activity, weights]) => {
+        if (!ACTIVITY_STATES[activity]) fail(`activity weights for unknown state "${activity}"`);
+        Object.entries(weights).forEach(([id, weight]) => {
+            if (!ids.has(id)) fail(`activity "${activity}" weights unknown input "${id}"`);
+            if (typeof weight !== 'number') fail(`activity "${activity}" needs a numeric weight for "${id}"`);
+        });
+    });
+
+    const cal = def.calibration;
+    if (cal && cal.method === 'platt' && (typeof cal.a !== 'number' || typeof cal.b !== 'number')) fail('platt calibration needs numeric a and b');
+    if (cal && cal.method === 'bins' && !(Array.isArray(cal.points) && cal.points.length >= 2)) fail('bins calibration needs at least two points');
+    if (cal && cal.method === 'bins' && !cal.points.every(pt => Array.isArray(pt) && pt.length === 2 && pt.every(Number.isFinite))) {
+        fail('bins calibration points must be [p, calibrated p] pairs of numbers');
+    }
+    if (cal && !['platt', 'bins'].includes(cal.method)) fail(`unknown calibration method "${cal.method}"`);
+    if (def.alertAt !== undefined && !(Number.isFinite(def.alertAt) && def.alertAt > 0 && def.alertAt <= 100)) fail('alertAt must be a percentage over 0 and up to 100');
+    if (def.factors !== undefined && !Array.isArray(def.factors)) fail('factors must be an array');
+    (def.factors || []).forEach(f => {
+        if (!f || !ids.has(f.input)) fail(`factor "${f && f.label}" refers to unknown input "${f && f.input}"`);
+        if (!Array.isArray(f.levels) || f.levels.length === 0) fail(`factor "${f.label}" needs at least one level`);
+        f.levels.forEach(level => {
+            if (!Array.isArray(level) || level.length !== 2 || !(level[0] === null || Number.isFinite(level[0])) || typeof level[1] !== 'string') {
+                fail(`factor "${f.label}" levels must be [upper bound or null, label]`);
+            }
+        });
+    });
+    return def;
+}
+
+function registerRiskModel(def) {
+    const model = validateRiskModel(def);
+    riskModels[model.id] = model;
+    // Patients created before the model arrived get a fresh slot for it
+    patients.forEach(p => { p.risks[model.id] = createRiskSlot(); });
+    return model;
+}
+
+function createRiskSlot() {
+    return { value: 0, target: 0, factors: [], explanation: null, history: [] };
+}
+
+function createRiskState() {
+    const risks = {};
+    Object.keys(riskModels).forEach(id => { risks[id] = createRiskSlot(); });
+    return risks;
+}
+
+// Registers the presets right away, then any models listed in ?models=
+// (comma-separated URLs). A file that fails to load or validate is skipped
+// with a warning; the built-ins keep working.
+function loadRiskModels() {
+    RISK_MODEL_PRESETS.forEach(registerRiskModel);
+    const param = new URLSearchParams(location.search).get('models');
+    if (!param) return Promise.resolve();
+    const urls = param.split(',').map(u => u.trim()).filter(Boolean);
+    return Promise.all(urls.map(url => fetch(url)
+        .then(res => res.json())
+        .then(json => [].concat(json).forEach(def => {
+            const model = registerRiskModel(def);
+            console.log(`📈 Risk model loaded: ${model.name || model.id} (${url})`);
+        }))
+        .catch(err => console.warn(`⚠️ Could not load risk model from ${url}:`, err.message))));
+}
+
+// ======================== SCORING ========================
+// `ctx` supplies the readings, so the same model runs live (liveRiskContext)
+// and offline over a recording (see risk-eval.js):
+//   { value(signal), baseline(signal) -> { center, spread }, correlation(a, b),
+//     quality(signal) -> 0..1, night() -> night summary or null,
+//     activity() -> activity state }
+function liveRiskContext() {
+    return {
+        value: signal => state.vitals[signal].value,
+        baseline: signal => getBaseline(signal),
+        correlation: (a, b) => state.correlations[`${a}_${b}`] || 0,
+        quality: signal => signalQuality(signal),
+        night: () => scoredNight(state.sleep),
+        activity: () => state.activity.state
+    };
+}
+
+function readInput(input, ctx) {
+    let reading, reference = null, raw;
+    if (input.source === 'correlation') {
+        raw = reading = ctx.correlation(...input.pair);
+        reference = 0;
+    } else if (input.source === 'sleep') {
+        const night = ctx.night();
+        raw = reading = night ? night[input.metric] : 0;
+    } else {
+        reading = ctx.value(input.signal);
+        const base = input.source === 'value' ? null : ctx.baseline(input.signal);
+        if (base) reference = base.center;
+        raw = input.source === 'deviation' ? (reading - base.center) / base.spread
+            : input.source === 'relative' ? (reading - base.center) / base.center
+            : reading;
+    }
+    let x = [].concat(input.transform || []).reduce((v, t) => INPUT_TRANSFORMS[t](v), raw);
+    if (input.clip) x = clamp(x, input.clip[0], input.clip[1]);
+    return { reading, reference, raw, x };
+}
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+function calibrate(model, logit, p) {
+    const cal = model.calibration;
+    if (!cal) return p;
+    if (cal.method === 'platt') return sigmoid(cal.a * logit + cal.b);
+    const pts = cal.points;
+    if (p <= pts[0][0]) return pts[0][1];
+    for (let i = 1; i < pts.length; i++) {
+        if (p <= pts[i][0]) {
+            const [x0, y0] = pts[i - 1], [x1, y1] = pts[i];
+            return y0 + (y1 - y0) * (p - x0) / (x1 - x0 || 1);
+        }
+    }
+    return pts[pts.length - 1][1];
+}
+
+// Returns the score and everything needed to explain it
+function scoreRiskModel(model, ctx) {
+    const activity = ctx.activity();
+    const weights = (model.activity || {})[activity] || {};
+    const terms = model.inputs.map(input => {
+        const { reading, reference, raw, x } = readInput(input, ctx);
+        const coefficient = model.coefficients[input.id];
+        const weight = weights[input.id] === undefined ? 1 : weights[input.id];
+        const quality = input.source === 'sleep' ? sleepQuality(input.metric, ctx.night())
+            : Math.min(...(input.pair || [input.signal]).map(s => ctx.quality(s)));
+        return {
+            id: input.id,
+            label: input.label || (input.source === 'correlation' ? `${pairLabel(...input.pair)} correlation`
+                : input.source === 'sleep' ? SLEEP_METRICS[input.metric].label
+                : `${CONFIG.signalLabels[input.signal]} ${input.source}`),
+            source: input.source,
+            signal: input.signal,
+            metric: input.metric,
+            reading, reference, raw,
+            input: x,
+            coefficient,
+            weight,
+            quality,
+            points: coefficient * weight * x * quality    // contribution to the log-odds
+        };
+    });
+    const logit = terms.reduce((sum, t) => sum + t.points, model.intercept);
+    const probability = sigmoid(logit);
+    const calibrated = calibrate(model, logit, probability);
+    const out = model.output || {};
+    const score = Math.round(clamp(calibrated * 100, out.floor || 0, out.cap || 100));
+    const factors = (model.factors || []).map(f => {
+        const term = terms.find(t => t.id === f.input);
+        const level = f.levels.find(([bound]) => bound === null || term.input <= bound);
+        return `${f.label}: ${level ? level[1] : '—'}`;
+    });
+    return { intercept: model.intercept, activity, terms, logit, probability, calibrated, score, factors };
+}
+
+function updateRisks() {
+    const ctx = liveRiskContext();
+    Object.values(riskModels).forEach(model => {
+        const risk = state.risks[model.id] || (state.risks[model.id] = createRiskSlot());
+        const explanation = scoreRiskModel(model, ctx);
+        risk.target = explanation.score;
+        risk.factors = explanation.factors;
+        risk.explanation = explanation;
+        if (!state.lastSampleTime) return;
+        risk.history.push({ t: state.lastSampleTime, value: explanation.score });
+        if (risk.history.length > CONFIG.riskHistoryPoints) risk.history.shift();
+    });
+}
+
+// ======================== RISK CARDS ========================
+function buildRiskCards() {
+    const grid = document.getElementById('risk-grid');
+    if (!grid) return;
+    grid.innerHTML = Object.values(riskModels).map(model => `
+        <div class="risk-card" id="risk-${model.id}" role="button" tabindex="0">
+            <div class="risk-gauge-container">
+                <canvas class="risk-gauge" id="gauge-${model.id}" width="160" height="160"></canvas>
+                <div class="risk-gauge-value">
+                    <span class="risk-percent" id="risk-${model.id}-value">--</span>
+                    <span class="risk-percent-sign">%</span>
+                </div>
+            </div>
+            <h3 class="risk-title">${escapeHtml(model.name || model.id)}</h3>
+            <p class="risk-desc">${escapeHtml(model.description || '')}</p>
+            <div class="risk-factors" id="risk-${model.id}-factors"></div>
+            <div class="risk-trend" id="risk-${model.id}-trend"></div>
+        </div>
+    `).join('');
+
+    grid.querySelectorAll('.risk-card').forEach(card => {
+        const key = card.id.replace(/^risk-/, '');
+        card.addEventListener('click', () => showRiskDetail(key));
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') showRiskDetail(key);
+        });
+    });
+}
+
+// ======================== BREAKDOWN PANEL ========================
+let openRiskDetail = null;   // risk key shown in the breakdown panel
+
+function setupRiskDetail() {
+    buildRiskCards();
+
+    const overlay = document.getElementById('risk-detail');
+    document.getElementById('risk-detail-close').addEventListener('click', hideRiskDetail);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) hideRiskDetail();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && openRiskDetail) hideRiskDetail();
+    });
+}
+
+function showRiskDetail(key) {
+    openRiskDetail = key;
+    document.getElementById('risk-detail').hidden = false;
+    renderRiskDetail();
+}
+
+function hideRiskDetail() {
+    openRiskDetail = null;
+    document.getElementById('risk-detail').hidden = true;
+}
+
+function renderRiskDetail() {
+    if (!openRiskDetail) return;
+    const model = riskModels[openRiskDetail];
+    const risk = state.risks[openRiskDetail];
+    const e = risk && risk.explanation;
+    if (!e) return;
+
+    document.getElementById('risk-detail-title').textContent = `${model.name || model.id} Risk`;
+    document.getElementById('risk-detail-score').textContent = `${e.score}%`;
+    const calibrated = model.calibration ? `, ${(e.calibrated * 100).toFixed(1)}% after ${model.calibration.method} calibration` : '';
+    document.getElementById('risk-detail-summary').textContent =
+        `${state.profile.name}: intercept ${formatLogit(e.intercept)} plus the inputs below gives log-odds ` +
+        `${formatLogit(e.logit)}, a probability of ${(e.probability * 100).toFixed(1)}%${calibrated}.`;
+
+    document.getElementById('risk-detail-terms').innerHTML = e.terms.map(t => {
+        const digits = t.source === 'correlation' ? 2 : t.source === 'sleep' || t.signal === 'temp' || t.signal === 'spo2' ? 1 : 0;
+        const reading = t.source === 'correlation' ? `r ${formatR(t.reading)}`
+            : `${t.reading.toFixed(digits)} ${t.source === 'sleep' ? SLEEP_METRICS[t.metric].unit : state.vitals[t.signal].unit}`;
+        const reference = t.reference === null ? '—' : t.reference.toFixed(digits);
+        return `<tr>
+            <td>${escapeHtml(t.label)}</td>
+            <td class="ews-reading">${reading}</td>
+            <td class="ews-reading">${reference}</td>
+            <td class="ews-reading">${t.input.toFixed(2)}</td>
+            <td class="ews-reading${t.weight !== 1 ? ' risk-term-degraded' : ''}"${t.weight !== 1 ? ` title="×${t.coefficient} weighted ×${t.weight} while ${ACTIVITY_STATES[e.activity].label.toLowerCase()}"` : ''}>×${+(t.coefficient * t.weight).toFixed(3)}</td>
+            <td class="ews-reading${t.quality < 1 ? ' risk-term-degraded' : ''}">${Math.round(t.quality * 100)}%</td>
+            <td class="ews-reading">${formatLogit(t.points)}</td>
+        </tr>`;
+    }).join('');
+
+    renderRiskWaterfall('risk-waterfall', e);
+
+    // The score history stays with the engine until the panel asks for it
+    const patient = state;
+    const key = openRiskDetail;
+    requestFromEngine(patient, 'riskHistory', key).then(history => {
+        if (!isOnScreen(patient) || openRiskDetail !== key) return;
+        const times = history.map(p => p.t);
+        const values = history.map(p => p.value);
+        withPatient(patient, () => renderTrendChart('risk-history-chart', {
+            times, mean: values, min: values, max: values,
+            start: times[0], end: times[times.length - 1], banded: false
+        }, '#ff6b35', 'Risk', '%'));
+    });
+}
+
+function formatLogit(x) {
+    return (x >= 0 ? '+' : '') + x.toFixed(2);
+}
+
+// Log-odds waterfall: the intercept, then one bar per input starting where
+// the previous one ended (left for negative contributions), then the total
+function renderRiskWaterfall(canvasId, e) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+    const rowH = 26;
+    const rows = [{ label: 'Intercept', from: 0, to: e.intercept, color: '#6c7293' }];
+    let running = e.intercept;
+    e.terms.forEach(t => {
+        rows.push({ label: t.label, from: running, to: running + t.points, color: t.points >= 0 ? '#ff006e' : '#00ff88' });
+        running += t.points;
+    });
+    rows.push({ label: `Log-odds → ${e.score}%`, from: 0, to: e.logit, color: '#ff6b35', total: true });
+    const h = rows.length * rowH + 24;
+
+    drawChart(canvas, canvas.parentElement, box => [box.width, h], [e], (ctx, w) => {
+        const labelW = 150;
+        const plotW = Math.max(w - labelW - 60, 10);
+        const lo = Math.min(0, ...rows.map(r => Math.min(r.from, r.to)));
+        const hi = Math.max(0, ...rows.map(r => Math.max(r.from, r.to)));
+        const toX = (v) => labelW + ((v - lo) / (hi - lo || 1)) * plotW;
+
+        ctx.font = '11px Inter';
+        ctx.textBaseline = 'middle';
+        rows.forEach((row, i) => {
+            const y = i * rowH + 4;
+            ctx.fillStyle = row.total ? 'rgba(255,255,255,0.85)' : 'rgba(255,255,255,0.6)';
+            ctx.textAlign = 'right';
+            ctx.fillText(row.label, labelW - 8, y + rowH / 2 - 2);
+            const x0 = toX(Math.min(row.from, row.to));
+            ctx.fillStyle = row.color;
+            ctx.fillRect(x0, y, Math.max(toX(Math.max(row.from, row.to)) - x0, 1), rowH - 8);
+            ctx.fillStyle = 'rgba(255,255,255,0.45)';
+            ctx.textAlign = 'left';
+            ctx.fillText(formatLogit(row.total ? row.to : row.to - row.from), toX(Math.max(row.from, row.to)) + 6, y + rowH / 2 - 2);
+        });
+
+        // Zero line: inputs to the right push the risk above 50%
+        ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(toX(0), 0);
+        ctx.lineTo(toX(0), h - 18);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = 'rgba(255,255,255,0.4)';
+        ctx.textAlign = 'center';
+        ctx.fillText('0 (50%)', toX(0), h - 8);
+    });
+}
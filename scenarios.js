@@ -0,0 +1,452 @@
+/* ============================
+   VitalSync — Simulator Scenarios
+   Declarative Event Timelines · Physiological Presets
+   ============================ */
+
+// A scenario is plain JSON:
+//   {
+//     "name": "Hypoxic episode",
+//     "limits": { "spo2": [80, 100] },        // optional wider simulator clamps
+//     "events": [{
+//       "label": "Hypoxia",
+//       "start": 45,                           // seconds after scenario start
+//       "repeat": { "every": 75, "count": 10 }, // optional, count defaults to forever
+//       "onset": 0, "ramp": 60, "plateau": 120, "recovery": 90,
+//       "signals": {
+//         "spo2": -8,                          // peak offset from baseline
+//         "hr": { "delta": 18, "onset": 15, "jitter": 2 } // per-signal timing override
+//       },
+//       "announce": {                          // optional timeline entries
+//         "onset":    { "title": "...", "description": "...", "tags": [], "severity": "medium" },
+//         "recovery": { "title": "...", "description": "...", "tags": [], "severity": "low" }
+//       },
+//       "artifacts": { "spo2": "dropout" },    // optional sensor faults, see below
+//       "connection": "lost"                   // optional: the band's link drops
+//       "context": true,                       // optional, see below
+//       "activity": "walking"                  // optional: walking, exercise or sleep
+//     }]
+//   }
+// Each signal follows a trapezoid: flat for `onset`, linear rise over `ramp`,
+// held for `plateau`, linear fall over `recovery`. Offsets from overlapping
+// events add up. Times are simulated seconds, multiplied by the time scale.
+//
+// An `announce` onset opens an alert when the event starts. Its recovery
+// text is added to that alert as the event ends, closing it; the recovery's
+// own title, tags and severity are only used when there is no onset.
+//
+// `artifacts` corrupt what the device reports while the event's own envelope
+// is non-zero, without changing the patient's underlying vitals:
+//   dropout   no reading            range     a reading of 0
+//   spike     random motion jumps   flatline  the reading freezes
+// While an event with "connection": "lost" is under way the simulator sends
+// nothing, as a band out of radio range would. Events with only artifacts or
+// a lost connection aren't clinical events, so they don't label recorded ticks.
+// Nor do "context" events, which set the scene (e.g. the patient asleep)
+// rather than happen to the patient.
+//
+// The simulated band counts steps and streams its accelerometer (see
+// activity.js). A resting patient shifts about now and then; an event's
+// `activity` sets what the band picks up instead, scaled by the event's
+// envelope, so a walk starts and ends gradually.
+
+// ======================== PRESETS ========================
+const SCENARIO_PRESETS = {
+    'autonomic-stress': {
+        name: 'Autonomic stress (recurring)',
+        events: [{
+            label: 'Autonomic stress',
+            start: 60,
+            repeat: { every: 110 },
+            ramp: 30, plateau: 10, recovery: 20,
+            signals: {
+                hr: { delta: 20, jitter: 2 },
+                spo2: { delta: -3, jitter: 0.5 },
+                rr: { delta: 6, jitter: 1 },
+                hrv: { delta: -15, jitter: 2 },
+                bp_sys: { delta: 14, jitter: 2 },
+                temp: { delta: 0.8, jitter: 0.1 }
+            },
+            announce: {
+                onset: {
+                    title: 'Multi-Signal Correlation Divergence Detected',
+                    description: 'HR-SpO2 inverse correlation strengthening while HRV is declining. This pattern may indicate early-stage autonomic stress response. Monitoring closely.',
+                    tags: ['HR↔SpO2', 'HRV Decline', 'Correlation Shift'],
+                    severity: 'medium'
+                },
+                recovery: {
+                    title: 'Multi-Signal Pattern Normalized',
+                    description: 'Correlation patterns have returned to baseline. The transient divergence resolved without intervention.',
+                    tags: ['HR', 'SpO2', 'HRV'],
+                    severity: 'low'
+                }
+            }
+        }]
+    },
+
+    'fever-onset': {
+        name: 'Fever onset',
+        limits: { temp: [96.5, 104], hr: [50, 130] },
+        events: [{
+            label: 'Fever',
+            start: 30,
+            ramp: 1200, plateau: 2400, recovery: 1800,
+            signals: {
+                temp: { delta: 3.4, jitter: 0.1 },
+                hr: { delta: 16, jitter: 1.5 },     // ~8-10 BPM per °C
+                rr: { delta: 4, jitter: 0.5 },
+                hrv: { delta: -14, jitter: 1.5 },
+                bp_sys: -4,                          // peripheral vasodilation
+                spo2: -0.8
+            }
+        }]
+    },
+
+    'hypoxic-episode': {
+        name: 'Hypoxic episode',
+        limits: { spo2: [78, 100], hr: [50, 140] },
+        events: [{
+            label: 'Hypoxia',
+            start: 45,
+            ramp: 60, plateau: 120, recovery: 90,
+            signals: {
+                spo2: { delta: -9, jitter: 0.4 },
+                rr: { delta: 8, onset: 5, jitter: 1 },
+                hr: { delta: 18, onset: 15, jitter: 2 },
+                hrv: { delta: -12, onset: 15 },
+                bp_sys: { delta: 12, onset: 20 }
+            }
+        }]
+    },
+
+    'obstructive-apnea': {
+        name: 'Obstructive apnea cycles',
+        limits: { spo2: [78, 100], rr: [2, 35], hr: [40, 130] },
+        events: [
+            {
+                label: 'Asleep',
+                context: true,
+                activity: 'sleep',
+                start: 200,             // after baseline calibration, so the baseline is her waking one
+                ramp: 240, plateau: 28800, recovery: 900,
+                signals: { hr: -14, rr: -3, hrv: 16, bp_sys: -10, bp_dia: -6, temp: -0.4 }
+            },
+            {
+                label: 'Apnea',
+                start: 30,
+                repeat: { every: 75 },
+                ramp: 4, plateau: 22, recovery: 4,
+                signals: {
+                    rr: -10,
+                    hr: { delta: -7, ramp: 8, plateau: 14, recovery: 6 },
+                    hrv: 8,
+                    // desaturation lags the airway obstruction
+                    spo2: { delta: -7, onset: 12, ramp: 14, plateau: 8, recovery: 14, jitter: 0.3 }
+                }
+            },
+            {
+                label: 'Arousal',
+                start: 58,
+                repeat: { every: 75 },
+                ramp: 4, plateau: 6, recovery: 12,
+                signals: {
+                    hr: { delta: 22, jitter: 2 },
+                    bp_sys: { delta: 16, jitter: 2 },
+                    bp_dia: 8,
+                    rr: { delta: 7, ramp: 3, plateau: 8, recovery: 10 },
+                    hrv: -10
+                }
+            }
+        ]
+    },
+
+    'vasovagal-syncope': {
+        name: 'Vasovagal syncope',
+        limits: { hr: [35, 130], bp_sys: [65, 160], bp_dia: [35, 100] },
+        events: [
+            {
+                label: 'Prodrome',
+                start: 40,
+                ramp: 20, plateau: 20, recovery: 10,
+                signals: { hr: { delta: 14, jitter: 2 }, bp_sys: 6, rr: 3 }
+            },
+            {
+                label: 'Vasovagal collapse',
+                start: 85,
+                ramp: 8, plateau: 40, recovery: 120,
+                signals: {
+                    hr: { delta: -30, jitter: 2 },
+                    bp_sys: { delta: -42, jitter: 3 },
+                    bp_dia: { delta: -25, jitter: 2 },
+                    hrv: 22,
+                    rr: -3,
+                    spo2: -1.5
+                }
+            }
+        ]
+    },
+
+    'exercise': {
+        name: 'Exercise bout',
+        limits: { hr: [45, 190], rr: [8, 45], bp_sys: [90, 200], temp: [96.5, 102] },
+        events: [{
+            label: 'Exercise',
+            context: true,
+            activity: 'exercise',
+            start: 30,
+            ramp: 120, plateau: 600, recovery: 300,
+            signals: {
+                hr: { delta: 58, jitter: 2 },
+                rr: { delta: 12, jitter: 1.5 },
+                bp_sys: { delta: 35, jitter: 3 },
+                bp_dia: 4,
+                temp: { delta: 1.4, ramp: 400, recovery: 600 },
+                hrv: { delta: -26, jitter: 2 },
+                spo2: -1
+            }
+        }]
+    },
+
+    'brisk-walk': {
+        name: 'Brisk walks (recurring)',
+        limits: { hr: [45, 150], rr: [8, 35], bp_sys: [90, 175] },
+        events: [{
+            label: 'Walk',
+            context: true,
+            activity: 'walking',
+            start: 240,                 // after baseline calibration
+            repeat: { every: 900 },
+            ramp: 30, plateau: 300, recovery: 60,
+            signals: {
+                hr: { delta: 30, jitter: 2, recovery: 180 },
+                rr: { delta: 7, jitter: 1, recovery: 120 },
+                bp_sys: { delta: 16, jitter: 2, recovery: 180 },
+                hrv: { delta: -16, jitter: 2, recovery: 180 }
+            }
+        }]
+    },
+
+    'sensor-artifacts': {
+        name: 'Sensor artifacts (dropouts, motion, flatline, lost link)',
+        events: [
+            { label: 'Motion', start: 40, repeat: { every: 150 }, plateau: 20, artifacts: { hr: 'spike', bp_sys: 'spike', bp_dia: 'spike' } },
+            { label: 'Probe off', start: 90, repeat: { every: 150 }, plateau: 16, artifacts: { spo2: 'dropout', hr: 'range' } },
+            { label: 'Frozen sensor', start: 110, repeat: { every: 150 }, plateau: 40, artifacts: { rr: 'flatline' } },
+            { label: 'Out of range', start: 200, repeat: { every: 300 }, plateau: 45, connection: 'lost' }
+        ]
+    },
+
+    'baseline': {
+        name: 'Resting baseline (no events)',
+        events: []
+    }
+};
+
+// ======================== LOADING ========================
+function loadScenario(nameOrUrl) {
+    if (!nameOrUrl) return Promise.resolve(SCENARIO_PRESETS.baseline);
+    if (SCENARIO_PRESETS[nameOrUrl]) return Promise.resolve(SCENARIO_PRESETS[nameOrUrl]);
+    if (/\.json($|\?)/.test(nameOrUrl)) {
+        return fetch(nameOrUrl).then(res => res.json());
+    }
+    console.warn(`⚠️ Unknown scenario "${nameOrUrl}" — running baseline`);
+    return Promise.resolve(SCENARIO_PRESETS.baseline);
+}
+
+function startScenario(def, timeScale) {
+    state.tick = 0;
+    state.scenario = {
+        def,
+        key: Object.keys(SCENARIO_PRESETS).find(k => SCENARIO_PRESETS[k] === def) || 'custom',
+        timeScale: timeScale || 1,
+        offsets: {},
+        previous: {},
+        active: [],     // labels of the events under way this tick
+        artifacts: {},  // signal -> artifact type this tick
+        connectionLost: false,
+        clean: {},      // last generated values before artifacts
+        frozen: {},     // held readings of flatlined signals
+        activity: null, // strongest event activity this tick, and its envelope
+        activityLevel: 0,
+        announced: {}   // event index -> { index, anomaly } of the occurrence announced as active
+    };
+    console.log(`🎬 Scenario: ${def.name || 'custom'}`);
+}
+
+// ======================== TIMELINE ========================
+function signalTiming(event, spec) {
+    const timing = typeof spec === 'number' ? { delta: spec } : spec;
+    return {
+        delta: timing.delta || 0,
+        jitter: timing.jitter || 0,
+        onset: timing.onset !== undefined ? timing.onset : event.onset || 0,
+        ramp: timing.ramp !== undefined ? timing.ramp : event.ramp || 0,
+        plateau: timing.plateau !== undefined ? timing.plateau : event.plateau || 0,
+        recovery: timing.recovery !== undefined ? timing.recovery : event.recovery || 0
+    };
+}
+
+// 0..1 intensity of a trapezoid envelope at `t` seconds into the event
+function envelope(t, timing) {
+    let x = t - timing.onset;
+    if (x < 0) return 0;
+    if (x < timing.ramp) return x / timing.ramp;
+    x -= timing.ramp;
+    if (x < timing.plateau) return 1;
+    x -= timing.plateau;
+    if (x < timing.recovery) return 1 - x / timing.recovery;
+    return 0;
+}
+
+function eventDuration(event) {
+    return Math.max(0, ...Object.values(event.signals || {}).map(spec => {
+        const t = signalTiming(event, spec);
+        return t.onset + t.ramp + t.plateau + t.recovery;
+    }));
+}
+
+// Locates the occurrence of a (possibly repeating) event that covers `t`
+function eventOccurrence(event, t) {
+    const since = t - (event.start || 0);
+    if (since < 0) return null;
+    if (!event.repeat) return { index: 0, local: since };
+    const index = Math.floor(since / event.repeat.every);
+    if (event.repeat.count !== undefined && index >= event.repeat.count) return null;
+    return { index, local: since - index * event.repeat.every };
+}
+
+// Advances the running scenario by one tick, filling state.scenario.offsets
+// and the list of active events
+function updateScenario() {
+    const sc = state.scenario;
+    const t = state.tick * CONFIG.updateInterval / 1000 * sc.timeScale;
+
+    sc.previous = sc.offsets;
+    sc.offsets = {};
+    sc.active = [];
+    sc.artifacts = {};
+    sc.connectionLost = false;
+    sc.activity = null;
+    sc.activityLevel = 0;
+
+    (sc.def.events || []).forEach((event, i) => {
+        const occ = eventOccurrence(event, t);
+        let active = false;
+
+        if (occ) {
+            if ((event.artifacts || event.connection) && envelope(occ.local, signalTiming(event, 0)) > 0) {
+                Object.assign(sc.artifacts, event.artifacts);
+                if (event.connection === 'lost') sc.connectionLost = true;
+            }
+            if (event.activity) {
+                const level = envelope(occ.local, signalTiming(event, 0));
+                if (level > sc.activityLevel) {
+                    sc.activity = event.activity;
+                    sc.activityLevel = level;
+                }
+            }
+            Object.entries(event.signals || {}).forEach(([signal, spec]) => {
+                const timing = signalTiming(event, spec);
+                const level = envelope(occ.local, timing);
+                if (level <= 0) return;
+                active = true;
+                if (!event.context && !sc.active.includes(event.label)) sc.active.push(event.label);
+                sc.offsets[signal] = (sc.offsets[signal] || 0) +
+                    level * timing.delta + gaussRandom() * timing.jitter * level;
+            });
+        }
+
+        announceEvent(event, i, occ, active);
+    });
+}
+
+// The recovery closes the onset's alert rather than adding one of its own,
+// so it doesn't stay open (and escalate) after the event has passed
+function announceEvent(event, i, occ, active) {
+    const sc = state.scenario;
+    const announce = event.announce;
+    if (!announce) return;
+    const announced = sc.announced[i];
+
+    if (active && !announced) {
+        const a = announce.onset;
+        sc.announced[i] = {
+            index: occ.index,
+            anomaly: a ? addAnomaly('active', a.title, a.description, a.tags || [event.label], a.severity || 'medium', { scenarioEvent: event.label }) : null
+        };
+    } else if (announced && (!occ || occ.index !== announced.index || occ.local >= eventDuration(event))) {
+        delete sc.announced[i];
+        const a = announce.recovery;
+        const onset = announced.anomaly;
+        if (onset && isOpenAlert(onset)) {
+            updateAnomaly(onset, {
+                status: 'auto-resolved',
+                endTimestamp: state.lastSampleTime,
+                description: a ? `${onset.description} ${a.description}` : onset.description
+            });
+        } else if (a && !onset) {
+            addAnomaly('auto-resolved', a.title, a.description, a.tags || [event.label], a.severity || 'low');
+        }
+    }
+}
+
+// What the band's pedometer and accelerometer pick up per activity; `fidget`
+// is the chance a tick catches the patient shifting about
+const SIMULATED_MOTION = {
+    rest: { cadence: 0, accel: 0.01, fidget: 0.3 },
+    sleep: { cadence: 0, accel: 0.004, fidget: 0.02 },
+    walking: { cadence: 110, accel: 0.22, fidget: 0 },
+    exercise: { cadence: 160, accel: 0.65, fidget: 0 }
+};
+
+// This tick's motion, eased from rest into the event's activity by its envelope
+function simulateMotion() {
+    const sc = state.scenario;
+    const rest = SIMULATED_MOTION.rest;
+    const motion = SIMULATED_MOTION[sc.activity || 'rest'];
+    const level = sc.activityLevel;
+    const cadence = motion.cadence * level;
+    let accel = lerp(rest.accel, motion.accel, level) * (1 + 0.2 * gaussRandom());
+    if (random() < lerp(rest.fidget, motion.fidget, level)) accel += 0.04 + 0.08 * random();
+    return {
+        cadence: cadence > 0 ? Math.max(0, Math.round(cadence + gaussRandom() * 3)) : 0,
+        accel: Math.round(Math.max(accel, 0) * 1000) / 1000
+    };
+}
+
+// Corrupts this tick's generated values the way a faulty sensor would
+function applyArtifacts(values) {
+    const sc = state.scenario;
+    sc.clean = { ...values };
+    Object.keys(sc.frozen).forEach(signal => {
+        if (sc.artifacts[signal] !== 'flatline') delete sc.frozen[signal];
+    });
+    Object.entries(sc.artifacts).forEach(([signal, type]) => {
+        if (type === 'dropout') delete values[signal];
+        else if (type === 'range') values[signal] = 0;
+        else if (type === 'flatline') {
+            if (sc.frozen[signal] === undefined) sc.frozen[signal] = values[signal];
+            values[signal] = sc.frozen[signal];
+        } else if (type === 'spike' && random() < 0.35) {
+            const jump = CONFIG.quality.maxStep[signal] * (1.5 + random());
+            values[signal] = Math.round((values[signal] + (random() < 0.5 ? -jump : jump)) * 10) / 10;
+        }
+    });
+}
+
+// ======================== SCENARIO PICKER ========================
+function setupScenarioControls() {
+    const select = document.getElementById('scenario-select');
+    if (!select) return;
+    select.innerHTML = Object.entries(SCENARIO_PRESETS)
+        .map(([key, def]) => `<option value="${key}">${def.name}</option>`)
+        .join('');
+    select.addEventListener('change', () => sendEngineCommand(state, 'switchScenario', select.value));
+}
+
+// Restarts the simulator on another scenario with the same seed, so two
+// runs of one scenario produce identical vitals
+function switchScenario(key) {
+    const options = { ...getDataSourceOptions(state.profile), type: 'simulator', scenario: key };
+    seedRandom(state.seed);
+    switchDataSource(createSimulatorSource(options));
+}
@@ -0,0 +1,145 @@
+/* ============================
+   VitalSync — Signal Quality
+   Missing Data · Physiological Range · Step Artifacts · Flatlines
+   ============================ */
+
+// Every sample is checked per signal before analytics see it:
+//   missing   no reading (the previous value is carried forward)
+//   range     outside CONFIG.quality.plausible — a sensor error, not a vital;
+//             the reading is dropped and the previous value carried forward
+//   step      jumped more than CONFIG.quality.maxStep since the last reading
+//             (motion spikes); kept but down-weighted
+//   flatline  the exact same reading flatlineSamples times in a row (a stuck
+//             sensor); kept but down-weighted
+// Each sample gets a weight from 0 to 1 (the worst of its flags), stored in
+// step with vitals[signal].history. A signal's window score is the mean
+// weight across the window; correlations weight each pair of samples by
+// the worse of their qualities (see pairWindow() in correlation.js) and risk
+// terms are scaled by their inputs' window scores.
+// The assessor works on the quality state it is given, so the offline risk
+// harness (risk-eval.js) can run the same checks over a recording.
+
+const QUALITY_FLAGS = {
+    missing: { label: 'Missing data', weight: 0 },
+    range: { label: 'Out of physiological range', weight: 0 },
+    step: { label: 'Step artifact', weight: 0.3 },
+    flatline: { label: 'Flatline', weight: 0.1 }
+};
+
+const QUALITY_LEVELS = [[0.9, 'Excellent'], [0.75, 'Good'], [0.5, 'Fair'], [0, 'Poor']];
+
+function createQualityState() {
+    const signals = {};
+    CONFIG.signals.forEach(s => {
+        signals[s] = {
+            last: null,      // last accepted reading
+            repeats: 0,      // consecutive readings equal to `last`
+            flags: [],       // flags on the latest sample
+            weights: [],     // per-sample weights, aligned with vitals[s].history
+            flagWindow: [],  // per-sample flags, same window
+            score: 1         // mean weight over the window
+        };
+    });
+    return { signals };
+}
+
+// ======================== ASSESSMENT ========================
+// Checks one sample and returns the readings that may be used
+function assessSample(quality, sample) {
+    const cfg = CONFIG.quality;
+    const accepted = {};
+    CONFIG.signals.forEach(signal => {
+        const sq = quality.signals[signal];
+        const value = sample.values[signal];
+        const flags = [];
+
+        if (typeof value !== 'number' || !isFinite(value)) {
+            flags.push('missing');
+        } else if (value < cfg.plausible[signal][0] || value > cfg.plausible[signal][1]) {
+            flags.push('range');
+        } else {
+            if (sq.last !== null && Math.abs(value - sq.last) > cfg.maxStep[signal]) flags.push('step');
+            sq.repeats = value === sq.last ? sq.repeats + 1 : 0;
+            if (sq.repeats + 1 >= cfg.flatlineSamples[signal]) flags.push('flatline');
+            // Once a run is long enough to call, the readings that led up to
+            // it were stuck too
+            if (sq.repeats + 1 === cfg.flatlineSamples[signal]) flagPreviousSamples(sq, sq.repeats, 'flatline');
+            sq.last = value;
+            accepted[signal] = value;
+        }
+
+        sq.flags = flags;
+        sq.weights.push(Math.min(1, ...flags.map(f => QUALITY_FLAGS[f].weight)));
+        sq.flagWindow.push(flags);
+        if (sq.weights.length > CONFIG.chartPoints) {
+            sq.weights.shift();
+            sq.flagWindow.shift();
+        }
+        sq.score = sq.weights.reduce((a, b) => a + b, 0) / sq.weights.length;
+    });
+    return accepted;
+}
+
+function flagPreviousSamples(sq, count, flag) {
+    for (let i = Math.max(0, sq.weights.length - count); i < sq.weights.length; i++) {
+        if (sq.flagWindow[i].includes(flag)) continue;
+        sq.flagWindow[i] = [...sq.flagWindow[i], flag];
+        sq.weights[i] = Math.min(sq.weights[i], QUALITY_FLAGS[flag].weight);
+    }
+}
+
+function signalQuality(signal) {
+    return state.quality.signals[signal].score;
+}
+
+// The subset of `values` whose latest sample passed every check, so the
+// baseline learner never trains on an artifact
+function cleanValues(values) {
+    const clean = {};
+    Object.entries(values).forEach(([signal, value]) => {
+        if (state.quality.signals[signal].flags.length === 0) clean[signal] = value;
+    });
+    return clean;
+}
+
+// Weight of the sample `back` readings before the latest. History restored
+// from storage has no weights and counts fully.
+function sampleWeight(quality, signal, back) {
+    const weights = quality.signals[signal].weights;
+    const k = weights.length - 1 - back;
+    return k >= 0 ? weights[k] : 1;
+}
+
+function qualityLevel(score) {
+    return QUALITY_LEVELS.find(([min]) => score >= min)[1];
+}
+
+// "Step artifact ×3, Flatline ×12" for the flags in the signals' windows
+function describeQualityFlags(...signals) {
+    const counts = {};
+    signals.forEach(sq => sq.flagWindow.forEach(flags => flags.forEach(f => { counts[f] = (counts[f] || 0) + 1; })));
+    return Object.entries(counts).map(([f, n]) => `${QUALITY_FLAGS[f].label} ×${n}`).join(', ');
+}
+
+// ======================== DISPLAY ========================
+function renderSignalQuality() {
+    const q = state.quality.signals;
+    [['hr', ['hr']], ['spo2', ['spo2']], ['bp', ['bp_sys', 'bp_dia']], ['temp', ['temp']], ['rr', ['rr']], ['hrv', ['hrv']]]
+        .forEach(([card, signals]) => {
+            const el = document.getElementById(`${card}-quality`);
+            if (!el) return;
+            const worst = signals.reduce((a, b) => q[b].score < q[a].score ? b : a);
+            const level = qualityLevel(q[worst].score);
+            el.textContent = level;
+            el.className = `vital-quality vital-quality-${level.toLowerCase()}`;
+            const flags = describeQualityFlags(...signals.map(s => q[s]));
+            el.title = `Signal quality ${Math.round(q[worst].score * 100)}%` +
+                (flags ? ` — last ${CONFIG.chartPoints} samples: ${flags}` : '');
+        });
+
+    const deviceEl = document.getElementById('device-signal');
+    if (deviceEl) {
+        const scores = CONFIG.signals.map(s => q[s].score);
+        deviceEl.textContent = qualityLevel(scores.reduce((a, b) => a + b, 0) / scores.length);
+    }
+}
@@ -0,0 +1,493 @@
+/* ============================
+   VitalSync — Sleep
+   Session Detection · Desaturation Events · ODI · RR Pauses · Hypnogram
+   ============================ */
+
+// Readings are scored in CONFIG.sleep.epoch-second epochs. An epoch's raw
+// score is the weighted sum of how far its mean HR, RR and HRV sit from the
+// patient's awake reference, in robust σ (CONFIG.sleep.weights: HR and RR
+// fall, HRV rises in sleep). As in actigraphy scoring, an epoch is staged on
+// the mean of its own and the previous scores (smoothEpochs in all), each
+// plus nightPrior if it fell in the local night hours: sleepAt and up is
+// light sleep, deepAt deep. Motion (steps or accelerometer movement, see
+// activity.js, or step artifacts on the signals of a band without motion
+// data) makes an epoch wake whatever its score. Without a baseline or with
+// too few clean readings an epoch is left unscored. This estimates depth from
+// the autonomic signals; it isn't EEG sleep staging.
+// onsetEpochs sleep-like epochs in a row open a session (dated from the
+// first of them), wakeEpochs wake epochs in a row close it at the first of
+// those. A closed session holding minNight minutes of sleep becomes a night.
+// The baseline learner follows the patient into sleep within the hour, so
+// epochs are scored against an awake reference of their own: the baseline
+// when first seen, then moved referenceRate of the way toward each epoch
+// outside a session whose raw score is within half of sleepAt of zero.
+//
+// Overnight oximetry runs alongside on the clean readings:
+//   desaturation  SpO2 at least `desaturation` % below the mean of the
+//                 preceding desatBaseline seconds, for minEvent seconds
+//   RR pause      RR at or below pauseRatio of the awake resting RR for
+//                 minEvent seconds; the wearable reports RR averaged over a
+//                 few breaths, so a pause shows as a deep dip, not a zero
+//   T90           time with SpO2 below `hypoxemia` %
+// Only events that start in a sleep epoch count. ODI and the pause index are
+// per hour of sleep.
+// The tracker works on the sleep state it is given, so the offline risk
+// harness (risk-eval.js) can run it over a recording.
+
+const SLEEP_STAGES = ['wake', 'light', 'deep'];   // hypnogram rows, top to bottom
+
+// Measures of a night a risk model can read with "source": "sleep" (see
+// risk.js). `signal` is the oximetry the measure comes from, whose share of
+// the night with clean readings is the term's quality.
+const SLEEP_METRICS = {
+    odi: { label: 'Oxygen desaturation index', unit: '/h', signal: 'spo2' },
+    t90: { label: 'Time below 90% SpO2', unit: '%', signal: 'spo2' },
+    pauses: { label: 'RR pause index', unit: '/h', signal: 'rr' }
+};
+
+// ODI bands, using the AASM apnea-hypopnea index cut-offs
+const ODI_SEVERITY = [
+    [5, 'Normal', 'low'],
+    [15, 'Mild', 'low-medium'],
+    [30, 'Moderate', 'medium'],
+    [Infinity, 'Severe', 'high']
+];
+
+function createSleepState() {
+    return {
+        epoch: null,       // epoch being collected
+        last: 0,           // timestamp of the last sample
+        reference: null,   // signal -> { center, spread } while awake
+        recent: [],        // raw scores of the last smoothEpochs epochs
+        onset: [],         // sleep-like epochs in a row while awake
+        session: null,     // night under way
+        nights: [],        // finished nights, oldest first
+        events: [],        // desaturations and pauses not yet part of a session
+        desaturation: { window: [], open: null },
+        pause: null        // pause under way
+    };
+}
+
+// ======================== TRACKING ========================
+// Feeds one sample's clean `values` to the tracker. `moved` is true when the
+// sample shows motion; `baseline(signal)` gives { center, spread }, or is
+// null until the patient's baseline is calibrated. Returns the night just
+// finished, if any.
+function trackSleep(sleep, timestamp, values, moved, baseline) {
+    const cfg = CONFIG.sleep;
+    const gapAfter = CONFIG.device.gapAfter * 1000;
+    const gap = sleep.last > 0 && timestamp - sleep.last > gapAfter;
+    const dt = sleep.last > 0 && !gap ? timestamp - sleep.last : CONFIG.updateInterval;
+    const length = cfg.epoch * 1000;
+    let night = null;
+    let next = timestamp;
+
+    if (sleep.epoch && (gap || timestamp >= sleep.epoch.start + length)) {
+        // Epochs follow on from each other unless the readings broke off
+        if (!gap && timestamp < sleep.epoch.start + 2 * length) next = sleep.epoch.end = sleep.epoch.start + length;
+        night = closeEpoch(sleep, baseline);
+    }
+    // A link lost for as long as it takes to call waking ends the night
+    if (gap && sleep.session && timestamp - sleep.last >= cfg.wakeEpochs * length) {
+        night = endSession(sleep, sleep.last + CONFIG.updateInterval) || night;
+    }
+    if (!sleep.epoch) sleep.epoch = createEpoch(next);
+    sleep.last = timestamp;
+
+    const e = sleep.epoch;
+    e.samples++;
+    e.end = timestamp + dt;
+    if (moved) e.moved++;
+    ['hr', 'rr', 'hrv'].forEach(signal => {
+        if (values[signal] !== undefined) e.readings[signal].push(values[signal]);
+    });
+    if (values.spo2 !== undefined) {
+        e.spo2Time += dt;
+        e.spo2Sum += values.spo2 * dt;
+        if (values.spo2 < cfg.hypoxemia) e.t90 += dt;
+        if (e.spo2Min === null || values.spo2 < e.spo2Min) e.spo2Min = values.spo2;
+        trackDesaturation(sleep, timestamp, values.spo2);
+    }
+    if (values.rr !== undefined) {
+        e.rrTime += dt;
+        const resting = sleep.reference || (baseline && { rr: baseline('rr') });
+        if (resting) trackPause(sleep, timestamp, values.rr, resting.rr.center * cfg.pauseRatio);
+    }
+    return night;
+}
+
+function createEpoch(start) {
+    return {
+        start,
+        end: start,
+        samples: 0,
+        moved: 0,
+        readings: { hr: [], rr: [], hrv: [] },
+        spo2Time: 0, spo2Sum: 0, spo2Min: null, t90: 0,   // ms, SpO2 × ms, %, ms
+        rrTime: 0
+    };
+}
+
+function closeEpoch(sleep, baseline) {
+    const cfg = CONFIG.sleep;
+    const e = sleep.epoch;
+    sleep.epoch = null;
+    if (baseline && !sleep.reference) {
+        sleep.reference = {};
+        Object.keys(cfg.weights).forEach(signal => {
+            const { center, spread } = baseline(signal);
+            sleep.reference[signal] = { center, spread };
+        });
+    }
+    const raw = scoreEpoch(e, sleep.reference);
+    let stage = null, score = null;
+    if (raw !== null) {
+        sleep.recent = [...sleep.recent, raw + (isNightHour(e.start) ? cfg.nightPrior : 0)].slice(-cfg.smoothEpochs);
+        score = sleep.recent.reduce((a, b) => a + b, 0) / sleep.recent.length;
+        const moved = e.moved / e.samples > cfg.maxMotion;
+        stage = moved || score < cfg.sleepAt ? 'wake' : score < cfg.deepAt ? 'light' : 'deep';
+        if (!sleep.session && !moved && Math.abs(raw) < cfg.sleepAt / 2) followAwake(sleep.reference, e, baseline);
+    }
+    const scored = {
+        start: e.start, end: e.end, stage, score,
+        spo2Time: e.spo2Time, spo2Sum: e.spo2Sum, spo2Min: e.spo2Min, t90: e.t90, rrTime: e.rrTime
+    };
+    const asleep = stage === 'light' || stage === 'deep';
+
+    if (!sleep.session) {
+        sleep.onset = asleep ? [...sleep.onset, scored] : [];
+        if (sleep.onset.length >= cfg.onsetEpochs) {
+            startSession(sleep);
+        } else {
+            const from = sleep.onset.length > 0 ? sleep.onset[0].start : scored.end;
+            sleep.events = sleep.events.filter(ev => ev.start >= from);
+        }
+        return null;
+    }
+
+    const s = sleep.session;
+    s.epochs.push(scored);
+    if (stage === 'wake') s.wakeRun++;
+    else if (stage) s.wakeRun = 0;
+    if (s.wakeRun >= cfg.wakeEpochs) return endSession(sleep, s.epochs[s.epochs.length - s.wakeRun].start);
+    s.summary = summarizeNight(s);
+    return null;
+}
+
+// Moves the reference centers part of the way toward a plainly awake epoch;
+// the spreads are the baseline's current ones
+function followAwake(reference, e, baseline) {
+    Object.entries(reference).forEach(([signal, ref]) => {
+        const mean = epochMean(e, signal);
+        if (mean !== null) ref.center += CONFIG.sleep.referenceRate * (mean - ref.center);
+        ref.spread = baseline(signal).spread;
+    });
+}
+
+function epochMean(e, signal) {
+    const readings = e.readings[signal];
+    return readings.length > 0 ? readings.reduce((a, b) => a + b, 0) / readings.length : null;
+}
+
+// A finished epoch's raw score against the awake `reference`, or null when
+// it can't be scored
+function scoreEpoch(e, reference) {
+    const cfg = CONFIG.sleep;
+    const needed = Math.ceil(cfg.epoch * 1000 / CONFIG.updateInterval / 3);
+    if (!reference || e.readings.hr.length < needed) return null;
+
+    let score = 0;
+    Object.entries(cfg.weights).forEach(([signal, weight]) => {
+        const mean = epochMean(e, signal);
+        if (mean !== null) score += weight * (mean - reference[signal].center) / reference[signal].spread;
+    });
+    return score;
+}
+
+function isNightHour(timestamp) {
+    const [from, to] = CONFIG.sleep.night;
+    const hour = new Date(timestamp).getHours();
+    return from > to ? hour >= from || hour < to : hour >= from && hour < to;
+}
+
+// ======================== SESSIONS ========================
+function startSession(sleep) {
+    const start = sleep.onset[0].start;
+    sleep.session = {
+        start,
+        end: null,
+        epochs: sleep.onset,
+        events: sleep.events.filter(ev => ev.start >= start),
+        wakeRun: 0,
+        summary: null
+    };
+    sleep.session.summary = summarizeNight(sleep.session);
+    sleep.onset = [];
+    sleep.events = [];
+}
+
+// Closes the session at `end`; returns it as a night if it held enough sleep
+function endSession(sleep, end) {
+    const s = sleep.session;
+    sleep.session = null;
+    sleep.onset = [];
+    s.end = end;
+    s.epochs = s.epochs.filter(e => e.start < end);
+    s.events = s.events.filter(ev => ev.start < end);
+    const night = summarizeNight(s);
+    if (night.sleepMinutes < CONFIG.sleep.minNight) return null;
+    sleep.nights.push(night);
+    if (sleep.nights.length > CONFIG.sleep.nightsKept) sleep.nights.shift();
+    return night;
+}
+
+function addSleepEvent(sleep, event) {
+    (sleep.session ? sleep.session.events : sleep.events).push(event);
+}
+
+// ======================== OXIMETRY ========================
+function trackDesaturation(sleep, timestamp, spo2) {
+    const cfg = CONFIG.sleep;
+    const d = sleep.desaturation;
+    const span = cfg.desatBaseline * 1000;
+    while (d.window.length > 0 && d.window[0].t < timestamp - span) d.window.shift();
+
+    if (d.open) {
+        if (spo2 > d.open.baseline - cfg.desaturation) {
+            if (timestamp - d.open.start >= cfg.minEvent * 1000) {
+                addSleepEvent(sleep, { type: 'desaturation', ...d.open, end: timestamp });
+            }
+            d.open = null;
+        } else if (spo2 < d.open.nadir) {
+            d.open.nadir = spo2;
+        }
+    } else if (d.window.length > 0 && d.window[0].t <= timestamp - span / 2) {
+        // The baseline needs half its window; it is held for the event's length
+        const baseline = d.window.reduce((sum, p) => sum + p.v, 0) / d.window.length;
+        if (spo2 <= baseline - cfg.desaturation) d.open = { start: timestamp, baseline, nadir: spo2 };
+    }
+    d.window.push({ t: timestamp, v: spo2 });
+}
+
+function trackPause(sleep, timestamp, rr, threshold) {
+    const p = sleep.pause;
+    if (rr <= threshold) {
+        if (!p) sleep.pause = { start: timestamp, lowest: rr };
+        else if (rr < p.lowest) p.lowest = rr;
+        return;
+    }
+    if (!p) return;
+    if (timestamp - p.start >= CONFIG.sleep.minEvent * 1000) addSleepEvent(sleep, { type: 'pause', ...p, end: timestamp });
+    sleep.pause = null;
+}
+
+// ======================== NIGHT SUMMARY ========================
+function summarizeNight(s) {
+    const asleep = s.epochs.filter(e => e.stage === 'light' || e.stage === 'deep');
+    const sleepMs = asleep.reduce((sum, e) => sum + e.end - e.start, 0);
+    const hours = sleepMs / 3600e3;
+    const events = s.events.filter(ev => {
+        const e = epochAt(s.epochs, ev.start);
+        return e && (e.stage === 'light' || e.stage === 'deep');
+    });
+    const desaturations = events.filter(ev => ev.type === 'desaturation');
+    const pauses = events.filter(ev => ev.type === 'pause');
+    const total = (field) => asleep.reduce((sum, e) => sum + e[field], 0);
+    const spo2Time = total('spo2Time');
+    const lows = asleep.filter(e => e.spo2Min !== null).map(e => e.spo2Min);
+    const last = s.epochs[s.epochs.length - 1];
+    const end = s.end || (last ? last.end : s.start);
+
+    let awakenings = 0;
+    s.epochs.forEach((e, i) => {
+        if (e.stage === 'wake' && i > 0 && (s.epochs[i - 1].stage === 'light' || s.epochs[i - 1].stage === 'deep')) awakenings++;
+    });
+
+    return {
+        start: s.start,
+        end: s.end,
+        epochs: s.epochs.map(e => ({ start: e.start, end: e.end, stage: e.stage })),
+        events: events.map(ev => ({ type: ev.type, start: ev.start, end: ev.end })),
+        sleepMinutes: sleepMs / 60e3,
+        efficiency: end > s.start ? sleepMs / (end - s.start) : 0,
+        awakenings,
+        desaturations: desaturations.length,
+        odi: hours > 0 ? desaturations.length / hours : 0,
+        deepestDrop: desaturations.reduce((max, ev) => Math.max(max, ev.baseline - ev.nadir), 0),
+        t90: spo2Time > 0 ? total('t90') / spo2Time * 100 : 0,   // % of sleep with SpO2 readings
+        t90Minutes: total('t90') / 60e3,
+        spo2Mean: spo2Time > 0 ? total('spo2Sum') / spo2Time : null,
+        spo2Min: lows.length > 0 ? Math.min(...lows) : null,
+        pauses: pauses.length,
+        pauseIndex: hours > 0 ? pauses.length / hours : 0,
+        longestPause: pauses.reduce((max, ev) => Math.max(max, (ev.end - ev.start) / 1000), 0),
+        // share of sleep with clean readings, per oximetry signal
+        coverage: {
+            spo2: sleepMs > 0 ? Math.min(1, spo2Time / sleepMs) : 0,
+            rr: sleepMs > 0 ? Math.min(1, total('rrTime') / sleepMs) : 0
+        }
+    };
+}
+
+// The epoch covering `t`; epochs are in time order
+function epochAt(epochs, t) {
+    let lo = 0, hi = epochs.length - 1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (t < epochs[mid].start) hi = mid - 1;
+        else if (t >= epochs[mid].end) lo = mid + 1;
+        else return epochs[mid];
+    }
+    return null;
+}
+
+// The night risk models read: the one under way once it holds minNight
+// minutes of sleep, else the last finished one
+function scoredNight(sleep) {
+    const live = sleep.session && sleep.session.summary;
+    if (live && live.sleepMinutes >= CONFIG.sleep.minNight) return live;
+    return sleep.nights.length > 0 ? sleep.nights[sleep.nights.length - 1] : null;
+}
+
+// A sleep risk term's quality: the share of the night the measure's
+// oximetry covered
+function sleepQuality(metric, night) {
+    return night ? night.coverage[SLEEP_METRICS[metric].signal] : 0;
+}
+
+function odiSeverity(odi) {
+    const [, label, level] = ODI_SEVERITY.find(([bound]) => odi < bound);
+    return { label, level };
+}
+
+// ======================== LIVE PIPELINE ========================
+// The sample's motion data where the band sends it; otherwise step artifacts
+// on the wearable's own signals stand in for an accelerometer
+function sampleMoved(quality, motion) {
+    if (motion) return motion.cadence > 0 || motion.accel >= CONFIG.activity.stillAccel;
+    return ['hr', 'spo2', 'rr'].some(signal => quality.signals[signal].flags.includes('step'));
+}
+
+function liveSleepBaseline() {
+    return state.baselines.calibrated ? signal => getBaseline(signal, true) : null;
+}
+
+function updateSleep(timestamp, values, motion) {
+    const night = trackSleep(state.sleep, timestamp, values, sampleMoved(state.quality, motion), liveSleepBaseline());
+    if (night) reportNight(night);
+}
+
+// The morning report, on the anomaly timeline
+function reportNight(night) {
+    const severity = odiSeverity(night.odi);
+    addAnomaly('info', 'Sleep Report Ready',
+        `${formatSleepDuration(night.sleepMinutes)} asleep, ${Math.round(night.efficiency * 100)}% efficiency, ${night.awakenings} awakenings. ` +
+        `ODI ${night.odi.toFixed(1)}/h (${severity.label.toLowerCase()}) from ${night.desaturations} desaturations, ` +
+        `${Math.round(night.t90Minutes)} min below ${CONFIG.sleep.hypoxemia}% SpO2, ${night.pauses} RR pauses.`,
+        ['Sleep', `ODI ${severity.label}`], night.odi >= 15 ? 'medium' : 'low');
+    console.log(`😴 ${state.profile.name}: night of ${formatSleepDuration(night.sleepMinutes)} scored, ODI ${night.odi.toFixed(1)}/h`);
+}
+
+// Stored readings keep no quality flags, so after a reload the night is
+// rebuilt from them as they are. By then the baseline has followed the
+// patient into sleep, so scoring starts from the stored awake `reference`.
+function rebuildSleep(samples, reference) {
+    state.sleep = createSleepState();
+    state.sleep.reference = reference;
+    const baseline = liveSleepBaseline();
+    samples.forEach(s => trackSleep(state.sleep, s.t, s.values, false, baseline));
+}
+
+// ======================== SLEEP REPORT ========================
+function renderSleepReport() {
+    const panel = document.getElementById('sleep-panel');
+    if (!panel) return;
+    const { asleep, night } = state.sleep;
+    const band = document.getElementById('sleep-band');
+    const summary = document.getElementById('sleep-summary');
+    const measures = document.getElementById('sleep-measures');
+
+    if (!night) {
+        band.textContent = asleep ? 'Asleep' : '--';
+        band.className = 'ews-band';
+        summary.textContent = 'No sleep recorded yet. A session starts after a few minutes of sleep-like HR, RR and HRV.';
+        measures.innerHTML = '';
+        return;
+    }
+
+    const severity = odiSeverity(night.odi);
+    band.textContent = `ODI ${severity.label}`;
+    band.className = `ews-band ews-band-${severity.level}`;
+    const span = `${formatTime(new Date(night.start))}${night.end ? `–${formatTime(new Date(night.end))}` : ''}`;
+    summary.textContent = asleep
+        ? `Asleep since ${span}: ${formatSleepDuration(night.sleepMinutes)} of sleep so far.`
+        : `Last night, ${span}: ${formatSleepDuration(night.sleepMinutes)} asleep, ${Math.round(night.efficiency * 100)}% efficiency.`;
+
+    const rows = [
+        ['Oxygen desaturation index', `${night.odi.toFixed(1)} /h`, severity.label],
+        [`Desaturations ≥${CONFIG.sleep.desaturation}%`, night.desaturations, night.desaturations > 0 ? `deepest −${night.deepestDrop.toFixed(1)}%` : ''],
+        [`Time below ${CONFIG.sleep.hypoxemia}%`, `${Math.round(night.t90Minutes)} min`, `${night.t90.toFixed(1)}% of sleep`],
+        ['SpO2 mean / lowest', night.spo2Mean === null ? '—' : `${night.spo2Mean.toFixed(1)} / ${night.spo2Min.toFixed(1)} %`, ''],
+        ['RR pauses', night.pauses, night.pauses > 0 ? `${night.pauseIndex.toFixed(1)} /h, longest ${Math.round(night.longestPause)}s` : ''],
+        ['Awakenings', night.awakenings, ''],
+        ['Sleep efficiency', `${Math.round(night.efficiency * 100)}%`, '']
+    ];
+    measures.innerHTML = rows.map(([label, value, note]) =>
+        `<tr><td>${label}</td><td class="ews-reading">${value}</td><td>${note}</td></tr>`).join('');
+
+    renderHypnogram(night);
+}
+
+// Stage steps over the night, with its desaturations and pauses marked below
+function renderHypnogram(night) {
+    const canvas = document.getElementById('sleep-hypnogram');
+    if (!canvas || night.epochs.length === 0) return;
+    const end = night.end || night.epochs[night.epochs.length - 1].end;
+
+    drawChart(canvas, canvas.parentElement, box => [box.width, 130],
+        [night.start, end, night.epochs.length, night.events.length], (ctx, w, h) => {
+            const padding = { top: 8, right: 10, bottom: 40, left: 44 };
+            const frame = { padding, chartW: w - padding.left - padding.right, chartH: h - padding.top - padding.bottom, start: night.start, end };
+            const rowY = stage => padding.top + (SLEEP_STAGES.indexOf(stage) + 0.5) * frame.chartH / SLEEP_STAGES.length;
+
+            ctx.font = '10px Inter';
+            ctx.textAlign = 'right';
+            SLEEP_STAGES.forEach(stage => {
+                ctx.fillStyle = 'rgba(255,255,255,0.3)';
+                ctx.fillText(stage[0].toUpperCase() + stage.slice(1), padding.left - 6, rowY(stage) + 3);
+                ctx.strokeStyle = 'rgba(255,255,255,0.05)';
+                ctx.beginPath();
+                ctx.moveTo(padding.left, rowY(stage));
+                ctx.lineTo(w - padding.right, rowY(stage));
+                ctx.stroke();
+            });
+
+            // Unscored epochs break the line
+            ctx.beginPath();
+            let drawing = false;
+            night.epochs.forEach(e => {
+                if (!e.stage) { drawing = false; return; }
+                const y = rowY(e.stage);
+                if (drawing) ctx.lineTo(timeToX(e.start, frame), y);
+                else ctx.moveTo(timeToX(e.start, frame), y);
+                ctx.lineTo(timeToX(e.end, frame), y);
+                drawing = true;
+            });
+            ctx.strokeStyle = CONFIG.signalColors.hrv;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+
+            const markY = h - padding.bottom + 6;
+            night.events.forEach(ev => {
+                ctx.fillStyle = CONFIG.signalColors[ev.type === 'desaturation' ? 'spo2' : 'rr'];
+                const x = timeToX(ev.start, frame);
+                ctx.fillRect(x, ev.type === 'desaturation' ? markY : markY + 6, Math.max(1.5, timeToX(ev.end, frame) - x), 4);
+            });
+            drawTimeAxis(ctx, frame, h);
+        });
+}
+
+function formatSleepDuration(minutes) {
+    const m = Math.round(minutes);
+    return m >= 60 ? `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m` : `${m} min`;
+}
@@ -0,0 +1,331 @@
+/* ============================
+   VitalSync — Vitals Data Sources
+   Simulator · WebSocket Stream · File Replay
+   ============================ */
+
+// A data source is { name, start(onSample, onStatus), stop() }. Once started
+// it calls onSample({ timestamp, values, device }) for every sample it
+// receives, where timestamp is ms since epoch, values holds any subset of
+// CONFIG.signals and the optional device holds { battery, firmware }
+// telemetry. A sample may also carry a chunk of raw ECG or PPG as
+// `waveform`, or RR intervals in ms as `intervals` (see waveform.js), and
+// the band's step cadence and accelerometer as `motion`: { cadence, accel }
+// (see activity.js), with or without values of its own. onStatus(status,
+// detail) reports connection changes only the source can see: 'connecting',
+// 'disconnected' or 'reconnecting' (see device.js).
+
+
+// ======================== SAMPLE PARSING ========================
+function normalizeSample(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const src = raw.values && typeof raw.values === 'object' ? raw.values : raw;
+
+    const values = {};
+    CONFIG.signals.forEach(signal => {
+        const n = typeof src[signal] === 'string' ? parseFloat(src[signal]) : src[signal];
+        if (typeof n === 'number' && isFinite(n)) values[signal] = n;
+    });
+    const waveform = normalizeWaveform(raw.waveform);
+    const intervals = Array.isArray(raw.intervals) ? raw.intervals.map(Number).filter(rr => rr > 0) : [];
+    const motion = normalizeMotion(raw.motion && typeof raw.motion === 'object' ? raw.motion : raw);
+    if (Object.keys(values).length === 0 && !waveform && intervals.length === 0 && !motion) return null;
+
+    const sample = { timestamp: parseSampleTime(raw.timestamp !== undefined ? raw.timestamp : raw.t), values };
+    if (waveform) sample.waveform = waveform;
+    if (intervals.length > 0) sample.intervals = intervals;
+    if (motion) sample.motion = motion;
+    const telemetry = normalizeTelemetry(raw.device && typeof raw.device === 'object' ? raw.device : raw);
+    if (telemetry) sample.device = telemetry;
+    // Optional ground truth for the risk-model harness (risk-eval.js)
+    if (raw.label !== undefined && raw.label !== '') sample.label = Number(raw.label) ? 1 : 0;
+    return sample;
+}
+
+// ms since epoch from a number, a numeric string or an ISO date; now if missing
+function parseSampleTime(value) {
+    const timestamp = typeof value === 'string' ? (isNaN(value) ? Date.parse(value) : Number(value)) : value;
+    return typeof timestamp === 'number' && isFinite(timestamp) ? timestamp : Date.now();
+}
+
+// Flat, as CSV columns, or nested: {"hr": 96, "cadence": 104, "accel": 0.21}
+// or {"hr": 96, "motion": {"cadence": 104, "accel": 0.21}}
+function normalizeMotion(src) {
+    const motion = {};
+    ['cadence', 'accel'].forEach(key => {
+        const n = typeof src[key] === 'string' ? parseFloat(src[key]) : src[key];
+        if (typeof n === 'number' && isFinite(n) && n >= 0) motion[key] = n;
+    });
+    return Object.keys(motion).length > 0 ? motion : null;
+}
+
+function normalizeTelemetry(src) {
+    const telemetry = {};
+    const battery = typeof src.battery === 'string' ? parseFloat(src.battery) : src.battery;
+    if (typeof battery === 'number' && isFinite(battery)) telemetry.battery = clamp(battery, 0, 100);
+    if (src.firmware !== undefined && src.firmware !== '') telemetry.firmware = String(src.firmware);
+    return Object.keys(telemetry).length > 0 ? telemetry : null;
+}
+
+// Accepts a JSON array of samples, a recorded session ({ samples: [...] }),
+// newline-delimited JSON (one sample per line) or CSV with a timestamp column
+// (readings only; waveforms need JSON). Rows captured from a Bluetooth
+// device ({ timestamp, characteristic, value }) are decoded and merged into
+// samples as they would have been live (see gatt.js).
+function parseSampleFile(text) {
+    const trimmed = text.trim();
+    let rows;
+    if (/^"?timestamp"?,/.test(trimmed)) {
+        rows = parseSampleCsv(trimmed);
+    } else {
+        try {
+            const parsed = JSON.parse(trimmed);
+            rows = Array.isArray(parsed) ? parsed : parsed.samples || [parsed];
+        } catch (err) {
+            rows = trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        }
+    }
+    const samples = rows.filter(row => !isGattRecord(row)).map(normalizeSample)
+        .concat(gattRecordSamples(rows.filter(isGattRecord)));
+    return samples.filter(Boolean).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function parseSampleCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const header = parseCsvLine(lines[0]);
+    return lines.slice(1).map(line => {
+        const cells = parseCsvLine(line);
+        const row = {};
+        header.forEach((col, i) => { row[col] = cells[i]; });
+        return row;
+    });
+}
+
+function parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell);
+    return cells;
+}
+
+// ======================== SIMULATOR ========================
+// Runs options.scenario — a preset name or the URL of a scenario JSON file.
+// The simulated band reports a battery that drains options.batteryDrain %
+// per hour, and drops its link during scenario events marked "connection": "lost".
+function createSimulatorSource(options) {
+    let timer = null;
+    let stopped = false;
+    let battery = options.battery !== undefined ? options.battery : 100;
+    return {
+        name: 'simulator',
+        start(onSample, onStatus = () => {}) {
+            stopped = false;
+            // The simulated vitals belong to the patient that started the source
+            const patient = state;
+            const interval = options.interval || CONFIG.updateInterval;
+            let linkDown = 0;   // ticks since the link dropped
+            // A restarted simulator (new scenario) keeps the same band's charge
+            if (patient.device.battery !== null) battery = patient.device.battery;
+            // The band streams its raw ECG/PPG and leaves HR and HRV to the detector
+            const synth = options.waveform ? createWaveformSynth(options.waveform, CONFIG.waveform.rate[options.waveform]) : null;
+            onStatus('connecting');
+            loadScenario(options.scenario).then(def => {
+                if (stopped) return;
+                withPatient(patient, () => startScenario(def, options.timeScale));
+                timer = setInterval(() => {
+                    battery = Math.max(0, battery - (options.batteryDrain || 0) * interval / 3600e3);
+                    const sample = withPatient(patient, simulateSample);
+                    if (!sample) {
+                        // Like a BLE stack: report the drop, then keep retrying
+                        if (synth) synth.end = null;
+                        if (linkDown++ === 0) onStatus('disconnected', 'Link lost');
+                        else if (linkDown === 2) onStatus('reconnecting');
+                        return;
+                    }
+                    linkDown = 0;
+                    if (synth) withPatient(patient, () => simulateWaveform(synth, sample, interval));
+                    sample.device = { battery: Math.round(battery), firmware: options.firmware };
+                    onSample(sample);
+                }, interval);
+            }).catch(err => console.error(`❌ Could not load scenario ${options.scenario}:`, err));
+        },
+        stop() {
+            stopped = true;
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+// ======================== WEBSOCKET STREAM ========================
+// Expects JSON messages shaped like a sample (or an array of them), e.g.
+// {"timestamp": 1760000000000, "hr": 74, "spo2": 97.5, "bp_sys": 121}
+function createWebSocketSource(options) {
+    let socket = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    function connect(onSample, onStatus, retry) {
+        onStatus(retry ? 'reconnecting' : 'connecting');
+        socket = new WebSocket(options.url);
+        socket.addEventListener('message', (e) => {
+            let payload;
+            try {
+                payload = JSON.parse(e.data);
+            } catch (err) {
+                console.warn('⚠️ Ignoring malformed sample message:', e.data);
+                return;
+            }
+            (Array.isArray(payload) ? payload : [payload]).forEach(raw => {
+                const sample = normalizeSample(raw);
+                if (sample) onSample(sample);
+            });
+        });
+        socket.addEventListener('close', () => {
+            if (stopped) return;
+            console.warn(`⚠️ Stream ${options.url} closed — retrying`);
+            onStatus('disconnected', 'Stream closed');
+            retryTimer = setTimeout(() => connect(onSample, onStatus, true), options.retryDelay || 3000);
+        });
+    }
+
+    return {
+        name: 'websocket',
+        start(onSample, onStatus = () => {}) {
+            // Reported rather than thrown, so the rest of the ward still starts
+            if (!options.url) {
+                console.warn('⚠️ WebSocket source needs a url, e.g. ?url=ws://localhost:8765');
+                onStatus('disconnected', 'No stream url configured');
+                return;
+            }
+            stopped = false;
+            connect(onSample, onStatus, false);
+        },
+        stop() {
+            stopped = true;
+            clearTimeout(retryTimer);
+            if (socket) socket.close();
+            socket = null;
+        }
+    };
+}
+
+// ======================== FILE REPLAY ========================
+// Plays samples back with their recorded spacing divided by options.speed.
+// Speed 'step' only advances when step() is called. Samples come from
+// options.samples or are fetched from options.url.
+function createReplaySource(options) {
+    let speed = options.speed || 1;
+    let samples = options.samples || null;
+    let index = 0;
+    let timer = null;
+    let onSample = null;
+    let onStatus = null;
+
+    function emitNext() {
+        if (!samples || index >= samples.length) return;
+        onSample(samples[index++]);
+        if (index >= samples.length) {
+            console.log('⏹ Replay finished');
+            onStatus('disconnected', 'Replay finished');
+            if (options.onEnd) options.onEnd();
+        }
+    }
+
+    function scheduleNext() {
+        clearTimeout(timer);
+        timer = null;
+        if (speed === 'step' || !samples || index >= samples.length) return;
+        const prev = samples[index - 1];
+        const delay = prev ? (samples[index].timestamp - prev.timestamp) / speed : 0;
+        timer = setTimeout(() => {
+            emitNext();
+            scheduleNext();
+        }, clamp(delay, 0, 60000));
+    }
+
+    return {
+        name: 'replay',
+        start(callback, statusCallback = () => {}) {
+            onSample = callback;
+            onStatus = statusCallback;
+            onStatus('connecting');
+            const ready = samples
+                ? Promise.resolve(samples)
+                : fetch(options.url).then(res => res.text()).then(parseSampleFile);
+            ready.then(loaded => {
+                samples = loaded;
+                index = 0;
+                scheduleNext();
+            }).catch(err => console.error(`❌ Could not load replay file ${options.url}:`, err));
+        },
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        },
+        step() {
+            emitNext();
+        },
+        setSpeed(newSpeed) {
+            speed = newSpeed;
+            scheduleNext();
+        },
+        progress() {
+            return { index, total: samples ? samples.length : 0 };
+        }
+    };
+}
+
+// ======================== SOURCE SELECTION ========================
+const DATA_SOURCES = {
+    simulator: createSimulatorSource,
+    websocket: createWebSocketSource,
+    replay: createReplaySource
+};
+
+// CONFIG.dataSource, then the patient's own `source` settings, can be
+// overridden from the page URL, e.g.
+//   index.html?source=websocket&url=ws://localhost:8765
+//   index.html?source=replay&url=recordings/incident.json&speed=10   (or speed=step)
+//   index.html?scenario=hypoxic-episode&seed=42&timescale=5&waveform=ppg   (or waveform=none)
+// Source overrides apply to the patient named by ?patient= (the first ward
+// patient by default); the seed applies to the whole ward.
+function getDataSourceOptions(profile) {
+    const params = new URLSearchParams(location.search);
+    const options = { ...CONFIG.dataSource, ...CONFIG.simulation, ...(profile && profile.source) };
+    if (params.has('seed')) options.seed = parseInt(params.get('seed'), 10) >>> 0;
+
+    const focused = params.get('patient') || CONFIG.ward.patients[0].id;
+    if (profile && profile.id !== focused) return options;
+    if (params.has('source')) options.type = params.get('source');
+    if (params.has('url')) options.url = params.get('url');
+    if (params.has('speed')) options.speed = params.get('speed') === 'step' ? 'step' : parseFloat(params.get('speed')) || 1;
+    if (params.has('scenario')) options.scenario = params.get('scenario');
+    if (params.has('timescale')) options.timeScale = parseFloat(params.get('timescale')) || 1;
+    if (params.has('waveform')) options.waveform = BEAT_DETECTORS[params.get('waveform')] ? params.get('waveform') : null;
+    return options;
+}
+
+function createDataSource(options) {
+    const factory = DATA_SOURCES[options.type];
+    if (!factory) {
+        console.warn(`⚠️ Unknown data source "${options.type}" — falling back to simulator`);
+        return createSimulatorSource(options);
+    }
+    return factory(options);
+}
@@ -0,0 +1,300 @@
+/* ============================
+   VitalSync — Trend Explorer
+   Linked Crosshair · Wheel Zoom · Drag Pan · Anomaly Bands
+   ============================ */
+
+// The four Trend Analytics charts share one time window and one hover time:
+//   hover        crosshair and readouts on every chart at the same moment
+//   wheel        zoom around the pointer
+//   drag         pan through stored history
+//   double-click back to the selected range, following live data
+// The window is view.trendWindow: null (the range button's span, ending at
+// the latest sample) or { span, end }, where end null keeps following live
+// data. A window following live data ends a little past the latest sample
+// to make room for the forecast (see forecast.js). Each anomaly in
+// state.anomalies is shaded over the time it was open, data gaps are shaded
+// grey, journal entries are marked (see journal.js), and clicking a timeline
+// item frames its event.
+
+const trendExplorer = {
+    series: null,     // series behind the charts, so hovering redraws without querying the store
+    charts: {},       // canvas id -> { frame, lines } from the last draw
+    hover: null,      // time under the pointer
+    drag: null,       // { x, start, end, chartW } while panning
+    focus: null       // id of the anomaly a timeline click framed
+};
+
+const BAND_COLORS = { high: '#ff006e', medium: '#ffb800', low: '#00d4ff' };
+
+// ======================== WINDOW ========================
+function trendWindow() {
+    const latest = state.lastSampleTime || Date.now();
+    const w = view.trendWindow;
+    const span = w ? w.span : TREND_RANGES[view.trendRange].span;
+    if (w && w.end !== null) return { start: w.end - span, end: w.end, live: false };
+    const end = latest + forecastLead(span);
+    return { start: end - span, end, live: true };
+}
+
+// A window reaching the latest sample keeps following live data
+function setTrendWindow(start, end) {
+    const latest = state.lastSampleTime || Date.now();
+    const span = clamp(end - start, CONFIG.trendMinSpan, TREND_RANGES['30d'].span);
+    const center = (start + end) / 2;
+    const newEnd = Math.min(center + span / 2, latest);
+    view.trendWindow = { span, end: newEnd >= latest ? null : newEnd };
+    renderTrendCharts();
+    renderTrendWindowControls();
+}
+
+function resetTrendWindow() {
+    view.trendWindow = null;
+    trendExplorer.focus = null;
+    renderTrendCharts();
+    renderTrendWindowControls();
+}
+
+function renderTrendWindowControls() {
+    const btn = document.getElementById('trend-reset-btn');
+    if (btn) btn.hidden = view.trendWindow === null;
+}
+
+// Frames an anomaly with its own duration again on either side (at least
+// trendMinSpan overall) and scrolls the charts into view
+function focusTrendOnAnomaly(anomaly) {
+    const [from, to] = anomalyInterval(anomaly);
+    const pad = Math.max(to - from, CONFIG.trendMinSpan / 2);
+    trendExplorer.focus = anomaly.id;
+    setTrendWindow(from - pad, to + pad);
+    setActiveNavLink('nav-analytics');
+    document.getElementById('analytics').scrollIntoView({ behavior: 'smooth' });
+}
+
+function anomalyInterval(anomaly) {
+    const end = anomaly.endTimestamp || (isOpenAlert(anomaly) ? state.lastSampleTime : anomaly.timestamp);
+    return [anomaly.timestamp, Math.max(anomaly.timestamp, end)];
+}
+
+// ======================== OVERLAYS ========================
+// Drawn under the lines: data gaps, every anomaly's open interval, then the
+// divider between recorded data and the forecast
+function drawTrendBands(ctx, frame) {
+    const top = frame.padding.top;
+    const height = frame.chartH;
+    const band = (from, to) => {
+        const x0 = Math.max(timeToX(from, frame), frame.padding.left);
+        const x1 = Math.min(timeToX(to, frame), frame.padding.left + frame.chartW);
+        return x1 < x0 ? null : [x0, Math.max(x1 - x0, 2)];
+    };
+
+    ctx.fillStyle = 'rgba(255,255,255,0.04)';
+    state.device.gaps.forEach(g => {
+        const b = band(g.from, g.to);
+        if (b) ctx.fillRect(b[0], top, b[1], height);
+    });
+
+    state.anomalies.filter(a => a.status !== 'info').forEach(a => {
+        const b = band(...anomalyInterval(a));
+        if (!b) return;
+        const color = BAND_COLORS[a.severity] || BAND_COLORS.low;
+        const focused = a.id === trendExplorer.focus;
+        ctx.fillStyle = color + (focused ? '30' : '14');
+        ctx.fillRect(b[0], top, b[1], height);
+        ctx.fillStyle = color + (focused ? 'cc' : '66');
+        ctx.fillRect(b[0], top, b[1], 2);
+    });
+
+    const latest = state.lastSampleTime;
+    if (!latest || latest >= frame.end || latest < frame.start) return;
+    const x = timeToX(latest, frame);
+    ctx.fillStyle = 'rgba(255,255,255,0.025)';
+    ctx.fillRect(x, top, frame.padding.left + frame.chartW - x, height);
+    ctx.strokeStyle = 'rgba(255,255,255,0.2)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, top + height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.font = '9px Inter';
+    ctx.fillStyle = 'rgba(255,255,255,0.35)';
+    ctx.textAlign = 'left';
+    ctx.fillText('Forecast', x + 4, top + height - 4);
+}
+
+// Called at the end of each chart's draw with what it drew. `lines` are
+// { series, color, label, unit, scale }; scale undoes any display scaling.
+function registerTrendChart(canvasId, ctx, frame, h, lines) {
+    trendExplorer.charts[canvasId] = { frame, lines };
+    if (trendExplorer.hover === null) return;
+    const t = trendExplorer.hover;
+    if (t < frame.start || t > frame.end) return;
+
+    const x = timeToX(t, frame);
+    ctx.strokeStyle = 'rgba(255,255,255,0.35)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, frame.padding.top);
+    ctx.lineTo(x, h - frame.padding.bottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const rows = [formatTrendTime(t, frame.end - frame.start)];
+    lines.forEach(line => {
+        const times = line.series.times;
+        if (line.series.forecast && t > times[times.length - 1]) {
+            rows.push(forecastReadout(ctx, frame, line, t));
+            return;
+        }
+        const i = nearestIndex(times, t);
+        if (i < 0 || Math.abs(line.series.times[i] - t) > line.series.gapAfter) {
+            rows.push({ text: `${line.label} —`, color: line.color });
+            return;
+        }
+        const scale = line.scale || 1;
+        const value = line.series.mean[i];
+        const digits = line.unit === '%' || line.unit === '°F' ? 1 : 0;
+        const range = line.series.banded
+            ? ` (${(line.series.min[i] / scale).toFixed(digits)}–${(line.series.max[i] / scale).toFixed(digits)})`
+            : '';
+        rows.push({ text: `${line.label} ${(value / scale).toFixed(digits)} ${line.unit}${range}`, color: line.color });
+
+        ctx.beginPath();
+        ctx.arc(timeToX(line.series.times[i], frame), valueToY(value, frame), 3.5, 0, Math.PI * 2);
+        ctx.fillStyle = line.color;
+        ctx.fill();
+    });
+    state.anomalies
+        .filter(a => a.status !== 'info')
+        .filter(a => { const [from, to] = anomalyInterval(a); return t >= from && t <= to; })
+        .slice(0, 2)
+        .forEach(a => rows.push({ text: `▲ ${a.title}`, color: BAND_COLORS[a.severity] || BAND_COLORS.low }));
+    rows.push(...journalReadout(frame, t));
+
+    drawReadout(ctx, frame, x, rows);
+}
+
+// Past the latest sample the readout shows the forecast and its band
+function forecastReadout(ctx, frame, line, t) {
+    const fc = line.series.forecast;
+    const i = nearestIndex(fc.times, t);
+    const scale = line.scale || 1;
+    const digits = line.unit === '%' || line.unit === '°F' ? 1 : 0;
+    const value = v => (v / scale).toFixed(digits);
+
+    ctx.beginPath();
+    ctx.arc(timeToX(fc.times[i], frame), valueToY(fc.mean[i], frame), 3, 0, Math.PI * 2);
+    ctx.strokeStyle = line.color;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    return { text: `${line.label} ~${value(fc.mean[i])} ${line.unit} (${value(fc.lo[i])}–${value(fc.hi[i])})`, color: line.color };
+}
+
+function drawReadout(ctx, frame, x, rows) {
+    ctx.font = '10px Inter';
+    const text = row => typeof row === 'string' ? row : row.text;
+    const width = Math.max(...rows.map(row => ctx.measureText(text(row)).width)) + 16;
+    const height = rows.length * 14 + 8;
+    const right = frame.padding.left + frame.chartW;
+    // Flip to the left of the crosshair near the right edge
+    const left = x + 8 + width > right ? x - 8 - width : x + 8;
+    const top = frame.padding.top + 4;
+
+    ctx.fillStyle = 'rgba(10, 14, 26, 0.9)';
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+    ctx.strokeRect(left, top, width, height);
+    ctx.textAlign = 'left';
+    rows.forEach((row, i) => {
+        ctx.fillStyle = typeof row === 'string' ? 'rgba(255,255,255,0.7)' : row.color;
+        ctx.fillText(text(row), left + 8, top + 14 + i * 14);
+    });
+}
+
+// Index of the time in sorted `times` closest to t, -1 if empty
+function nearestIndex(times, t) {
+    if (times.length === 0) return -1;
+    let lo = 0, hi = times.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] < t) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo > 0 && t - times[lo - 1] < times[lo] - t ? lo - 1 : lo;
+}
+
+function formatTrendTime(t, span) {
+    const d = new Date(t);
+    if (span <= DAY_MS) return formatTime(d);
+    return `${d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} ${formatTime(d)}`;
+}
+
+function xToTime(x, frame) {
+    return frame.start + ((x - frame.padding.left) / frame.chartW) * (frame.end - frame.start);
+}
+
+// ======================== INTERACTION ========================
+function setupTrendExplorer() {
+    ['trend-hr', 'trend-spo2', 'trend-bp', 'trend-hrv-rr'].forEach(id => {
+        const canvas = document.getElementById(id);
+        if (!canvas) return;
+        const pointerX = (e) => e.clientX - canvas.getBoundingClientRect().left;
+        const chart = () => trendExplorer.charts[id];
+
+        canvas.addEventListener('mousemove', (e) => {
+            if (!chart() || trendExplorer.drag) return;
+            const { frame } = chart();
+            const t = xToTime(pointerX(e), frame);
+            trendExplorer.hover = t >= frame.start && t <= frame.end ? t : null;
+            drawTrendCharts();
+        });
+        canvas.addEventListener('mouseleave', () => {
+            trendExplorer.hover = null;
+            drawTrendCharts();
+        });
+        canvas.addEventListener('wheel', (e) => {
+            if (!chart()) return;
+            e.preventDefault();
+            const { frame } = chart();
+            const t = clamp(xToTime(pointerX(e), frame), frame.start, frame.end);
+            const factor = e.deltaY > 0 ? 1.25 : 0.8;
+            setTrendWindow(t - (t - frame.start) * factor, t + (frame.end - t) * factor);
+        }, { passive: false });
+        canvas.addEventListener('mousedown', (e) => {
+            if (!chart()) return;
+            const { frame } = chart();
+            trendExplorer.drag = { x: e.clientX, start: frame.start, end: frame.end, chartW: frame.chartW };
+            trendExplorer.hover = null;
+            canvas.classList.add('trend-dragging');
+        });
+        canvas.addEventListener('dblclick', resetTrendWindow);
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        const drag = trendExplorer.drag;
+        if (!drag) return;
+        const dt = -((e.clientX - drag.x) / drag.chartW) * (drag.end - drag.start);
+        setTrendWindow(drag.start + dt, drag.end + dt);
+    });
+    window.addEventListener('mouseup', () => {
+        if (!trendExplorer.drag) return;
+        trendExplorer.drag = null;
+        document.querySelectorAll('.trend-dragging').forEach(c => c.classList.remove('trend-dragging'));
+    });
+
+    document.getElementById('trend-reset-btn').addEventListener('click', resetTrendWindow);
+
+    // Clicking a timeline item (but not its buttons) frames its event or
+    // journal entry
+    document.getElementById('anomaly-timeline').addEventListener('click', (e) => {
+        if (e.target.closest('[data-alert-action], [data-journal-action]')) return;
+        const item = e.target.closest('.timeline-item');
+        if (!item) return;
+        const anomaly = [...state.pinnedAlerts, ...state.anomalies].find(a => String(a.id) === item.dataset.id);
+        if (anomaly) focusTrendOnAnomaly(anomaly);
+        const entry = state.journal.entries.find(j => String(j.id) === item.dataset.journal);
+        if (entry) focusTrendOnJournalEntry(entry);
+    });
+}
@@ -0,0 +1,146 @@
+/* ============================
+   VitalSync — Ward Overview
+   Patient Grid · Highest-Risk Gauges · View Switching
+   ============================ */
+
+const WARD_VITALS = [
+    { key: 'hr', label: 'HR', signals: ['hr'] },
+    { key: 'spo2', label: 'SpO2', signals: ['spo2'] },
+    { key: 'bp', label: 'BP', signals: ['bp_sys', 'bp_dia'] },
+    { key: 'temp', label: 'Temp', signals: ['temp'] },
+    { key: 'rr', label: 'RR', signals: ['rr'] },
+    { key: 'hrv', label: 'HRV', signals: ['hrv'] }
+];
+
+// ======================== GRID ========================
+function setupWard() {
+    document.getElementById('ward-name').textContent = CONFIG.ward.name;
+
+    const grid = document.getElementById('ward-grid');
+    grid.innerHTML = patients.map(p => `
+        <div class="ward-card" id="ward-${p.id}" data-patient="${p.id}" role="button" tabindex="0">
+            <div class="ward-card-header">
+                <div>
+                    <span class="ward-bed">${p.profile.bed}</span>
+                    <h3 class="ward-name">${p.profile.name}</h3>
+                    <span class="ward-meta">${p.profile.age} y &bull; ${p.profile.device}</span>
+                </div>
+                <span class="ward-alerts" id="ward-${p.id}-alerts"></span>
+            </div>
+            <div class="ward-card-body">
+                <div class="ward-vitals">
+                    ${WARD_VITALS.map(v => `
+                        <div class="ward-vital">
+                            <span class="ward-vital-label">${v.label}</span>
+                            <span class="ward-vital-value" id="ward-${p.id}-${v.key}">--</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="ward-risk">
+                    <canvas id="ward-${p.id}-gauge"></canvas>
+                    <div class="ward-risk-value">
+                        <span id="ward-${p.id}-risk">--</span>
+                        <span class="ward-risk-label" id="ward-${p.id}-risk-label"></span>
+                    </div>
+                </div>
+            </div>
+            <div class="ward-card-footer">
+                <span id="ward-${p.id}-source"></span>
+                <span id="ward-${p.id}-sync"></span>
+            </div>
+        </div>
+    `).join('');
+
+    grid.querySelectorAll('.ward-card').forEach(card => {
+        const open = () => showPatient(patients.find(p => p.id === card.dataset.patient));
+        card.addEventListener('click', open);
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') open();
+        });
+    });
+
+    document.getElementById('back-to-ward-btn').addEventListener('click', showWard);
+}
+
+function renderWard() {
+    patients.forEach(updateWardCard);
+}
+
+function updateWardCard(patient) {
+    if (!document.getElementById(`ward-${patient.id}`)) return;
+    withPatient(patient, () => {
+        const v = patient.vitals;
+        const set = (suffix, text) => {
+            document.getElementById(`ward-${patient.id}-${suffix}`).textContent = text;
+        };
+        const hasData = patient.lastSampleTime > 0;
+
+        WARD_VITALS.forEach(({ key, signals }) => {
+            const el = document.getElementById(`ward-${patient.id}-${key}`);
+            if (!hasData) return;
+            el.textContent = key === 'bp'
+                ? `${Math.round(v.bp_sys.value)}/${Math.round(v.bp_dia.value)}`
+                : key === 'temp' ? v.temp.value.toFixed(1) : Math.round(v[key].value);
+            el.className = `ward-vital-value ward-vital-${vitalStatusLevel(signals)}`;
+        });
+
+        // The card's gauge shows whichever risk is currently highest
+        const [riskKey, risk] = Object.entries(patient.risks)
+            .reduce((top, entry) => entry[1].target > top[1].target ? entry : top);
+        renderGauge(`ward-${patient.id}-gauge`, risk.target, 72);
+        set('risk', risk.target);
+        set('risk-label', riskModels[riskKey].shortName || riskModels[riskKey].name || riskKey);
+
+        const active = patient.anomalyStats.active;
+        set('alerts', active === 0 ? 'No active alerts' : `${active} active`);
+        document.getElementById(`ward-${patient.id}`).classList.toggle('ward-card-alert', active > 0);
+
+        const device = DEVICE_STATUS[patient.device.status];
+        set('source', `${patient.source ? patient.source.name : 'No source'} • ${device.short}`);
+        document.getElementById(`ward-${patient.id}-source`).className = `ward-device-${device.level}`;
+        set('sync', hasData ? `Last sync ${formatTime(new Date(patient.lastSampleTime))}` : 'Waiting for data');
+    });
+    renderWardSummary();
+}
+
+function renderWardSummary() {
+    const alerting = patients.filter(p => p.anomalyStats.active > 0).length;
+    document.getElementById('ward-summary').textContent =
+        `${patients.length} patients${alerting ? ` • ${alerting} with active alerts` : ''}`;
+}
+
+// ======================== VIEW SWITCHING ========================
+function showWard() {
+    view.mode = 'ward';
+    state = view.patient;
+    focusAnalytics(null);
+    document.querySelector('.main-content').dataset.view = 'ward';
+    setActiveNavLink('nav-ward');
+    renderWard();
+}
+
+function showPatient(patient) {
+    view.mode = 'patient';
+    view.patient = patient;
+    state = patient;
+    // The engine's snapshots for this patient carry the full panels from now on
+    focusAnalytics(patient);
+    document.querySelector('.main-content').dataset.view = 'patient';
+    setActiveNavLink('nav-dashboard');
+
+    renderPatientHeader();
+    renderDashboard();
+    renderAnomalyTimeline();
+}
+
+function renderPatientHeader() {
+    const profile = state.profile;
+    document.getElementById('patient-name').textContent = profile.name;
+    document.getElementById('patient-subtitle').innerHTML =
+        `Bed ${profile.bed} &bull; ${profile.age} y &bull; Multi-signal correlation active`;
+    document.getElementById('device-label').textContent = profile.device;
+}
+
+function setActiveNavLink(id) {
+    document.querySelectorAll('.nav-link').forEach(l => l.classList.toggle('active', l.id === id));
+}
@@ -0,0 +1,502 @@
+/* ============================
+   VitalSync — Waveforms
+   ECG/PPG Ingestion · Beat Detection · HR & HRV · Live Strip
+   ============================ */
+
+// A sample may carry a chunk of raw waveform alongside (or instead of) its
+// readings:
+//   "waveform": { "kind": "ecg", "rate": 250, "start": 1760000000004, "values": [0.02, 0.03, ...] }
+// kind is 'ecg' (R-peaks) or 'ppg' (pulse peaks), rate is in Hz and start is
+// the time of values[0]. Without a start the chunk ends at the sample's
+// timestamp and is taken to follow straight on from the previous one, the
+// way a band streams it; a chunk that doesn't follow on restarts detection.
+//
+// Beats are found with a streaming Pan–Tompkins style detector: band-pass,
+// then for ECG the squared slope integrated over 150 ms, an adaptive
+// threshold on that feature, and the peak itself located in the signal to
+// within a fraction of a sample. Each interval between beats is checked
+// before it counts as normal-to-normal (NN): inside the plausible HR range
+// and within 20% of the recent median, so a missed or extra beat doesn't
+// reach the HRV. From the NN intervals:
+//   HR      60000 / the mean interval over the last hrWindow s   → state.vitals.hr
+//   RMSSD   root mean square of successive differences          → state.vitals.hrv
+//   SDNN, pNN50 alongside, all over the last hrvWindow s
+//
+// A sample may instead carry `intervals`, RR intervals in ms a chest strap
+// timed itself (Heart Rate Measurement, see gatt.js); they skip detection
+// and give the HRV the same way.
+//
+// With a waveform, HR and HRV come from its beats alone, and go missing
+// (carried forward, see signal-quality.js) when there aren't enough or too
+// many of them were rejected.
+//
+// The simulator streams a waveform built beat by beat from its HR, HRV and
+// breathing rate (options.waveform, see sources.js); its own HR and HRV
+// readings are dropped, so what the dashboard shows has been through the
+// detector. Sensor artifacts scripted on hr corrupt the waveform instead.
+
+// Gaussian waves making up one beat: [offset from the R peak (ms), height,
+// width (ms)] for an RR interval of `rr` ms. The ECG's T wave follows
+// Bazett's QT; the PPG pulse arrives a transit time after the R peak.
+const WAVEFORM_SHAPES = {
+    ecg: rr => [[-170, 0.12, 22], [-28, -0.12, 8], [0, 1.25, 9], [30, -0.28, 10],
+        [400 * Math.sqrt(rr / 1000) - 100, 0.32, 45]],
+    ppg: rr => [[250, 1, 70], [250 + 220 * Math.sqrt(rr / 1000), 0.4, 60]]
+};
+
+// Detector settings per kind: band-pass corners (Hz), the window the peak is
+// searched for before the feature's own peak (ms), and the refractory period (ms)
+const BEAT_DETECTORS = {
+    ecg: { low: 5, high: 15, searchBack: 250, refractory: 200 },
+    ppg: { low: 0.5, high: 8, searchBack: 100, refractory: 250 }
+};
+
+// ======================== STATE ========================
+function createWaveformState() {
+    return {
+        kind: null,             // 'ecg' or 'ppg' once a stream arrives, 'rr' for RR intervals alone
+        rate: 0,                // Hz
+        start: 0,               // time of values[0]
+        values: [],             // the last 2 × CONFIG.waveform.strip s; the strip runs a chunk behind
+        beats: [],              // { t, rr, nn } over the last hrvWindow s; rr is null after a break
+        recent: [],             // last few RR intervals, see isNormalInterval()
+        metrics: null,          // { hr, rmssd, sdnn, pnn50, intervals, normal } from the NN intervals
+        detector: null          // see createBeatDetector()
+    };
+}
+
+// ======================== PARSING ========================
+function normalizeWaveform(src) {
+    if (!src || typeof src !== 'object' || !BEAT_DETECTORS[src.kind]) return null;
+    const rate = Number(src.rate);
+    if (!(rate > 0) || !Array.isArray(src.values) || src.values.length === 0) return null;
+    const values = src.values.map(Number);
+    if (!values.every(isFinite)) return null;
+    const start = src.start !== undefined && src.start !== null && isFinite(src.start) ? Number(src.start) : null;
+    return { kind: src.kind, rate, start, values };
+}
+
+// ======================== INGESTION ========================
+// Runs the sample's chunk through the detector and returns the readings its
+// beats give: { hr, hrv }, either left out while there are too few beats
+function ingestWaveform(sample) {
+    const w = state.waveform;
+    const chunk = sample.waveform;
+    const step = 1000 / chunk.rate;
+    const det = w.detector;
+    const following = det && det.kind === chunk.kind && det.rate === chunk.rate;
+    let start = chunk.start;
+    if (start === null) {
+        // Receive times jitter; the band's own clock doesn't
+        start = sample.timestamp - (chunk.values.length - 1) * step;
+        if (following && Math.abs(start - (det.end + step)) < chunk.values.length * step / 2) start = det.end + step;
+    }
+    if (!following || Math.abs(start - (det.end + step)) > step) {
+        w.detector = createBeatDetector(chunk.kind, chunk.rate);
+        w.kind = chunk.kind;
+        w.rate = chunk.rate;
+        w.values = [];
+        w.recent = [];
+    }
+    if (w.values.length === 0) w.start = start;
+
+    detectBeats(w.detector, start, chunk.values).forEach(beat => {
+        w.beats.push({ ...beat, nn: beat.rr !== null && isNormalInterval(w.recent, beat.rr) });
+    });
+    const end = w.detector.end;
+    w.beats = w.beats.filter(b => b.t > end - CONFIG.waveform.hrvWindow * 1000);
+
+    w.values.push(...chunk.values);
+    const keep = Math.round(2 * CONFIG.waveform.strip * chunk.rate);
+    if (w.values.length > keep) {
+        w.start += (w.values.length - keep) * step;
+        w.values = w.values.slice(-keep);
+    }
+
+    w.metrics = waveformMetrics(w.beats, end);
+    const derived = {};
+    if (w.metrics.hr !== null) derived.hr = Math.round(w.metrics.hr * 10) / 10;
+    if (w.metrics.rmssd !== null) derived.hrv = Math.round(w.metrics.rmssd * 10) / 10;
+    return derived;
+}
+
+// RR intervals a chest strap timed itself (see gatt.js). There's no waveform
+// to find beats in, so they go straight to the NN checks and give the HRV;
+// the strap's own HR reading stands.
+function ingestIntervals(sample) {
+    const w = state.waveform;
+    if (w.kind !== 'rr') Object.assign(w, createWaveformState(), { kind: 'rr' });
+    // Each interval ended with a beat, the last of them about when the sample was sent
+    let t = sample.timestamp - sample.intervals.reduce((sum, rr) => sum + rr, 0);
+    const last = w.beats[w.beats.length - 1];
+    // Intervals lost in between (a dropped notification, contact lost) break the run
+    if (!last || Math.abs(t - last.t) > 1000) w.beats.push({ t, rr: null, nn: false });
+    sample.intervals.forEach(rr => {
+        t += rr;
+        w.beats.push({ t, rr, nn: isNormalInterval(w.recent, rr) });
+    });
+    w.beats = w.beats.filter(b => b.t > sample.timestamp - CONFIG.waveform.hrvWindow * 1000);
+
+    w.metrics = waveformMetrics(w.beats, sample.timestamp);
+    return w.metrics.rmssd !== null ? { hrv: Math.round(w.metrics.rmssd * 10) / 10 } : {};
+}
+
+// Inside the plausible HR range and within 20% of the median of the last
+// few intervals (whatever they were), so the check recovers from a real
+// change in rate after a couple of beats
+function isNormalInterval(recent, rr) {
+    const [lo, hi] = CONFIG.quality.plausible.hr;
+    const sorted = recent.slice().sort((a, b) => a - b);
+    recent.push(rr);
+    if (recent.length > 5) recent.shift();
+    if (rr < 60000 / hi || rr > 60000 / lo) return false;
+    if (sorted.length < 3) return true;
+    const median = sorted[Math.floor(sorted.length / 2)];
+    return Math.abs(rr - median) <= 0.2 * median;
+}
+
+// A window where too many beats were rejected (motion, a loose electrode)
+// gives nothing rather than a figure built from what was left
+function waveformMetrics(beats, end) {
+    const cfg = CONFIG.waveform;
+    const nn = beats.filter(b => b.nn);
+    const recent = beats.filter(b => b.t > end - cfg.hrWindow * 1000);
+    const recentNN = recent.filter(b => b.nn);
+    const metrics = {
+        hr: recentNN.length > 0 && recentNN.length >= cfg.minNormal * recent.length
+            ? 60000 / (recentNN.reduce((s, b) => s + b.rr, 0) / recentNN.length)
+            : null,
+        rmssd: null,
+        sdnn: null,
+        pnn50: null,
+        intervals: nn.length,
+        normal: beats.length > 0 ? nn.length / beats.length : 0
+    };
+
+    // Successive differences only between neighbouring NN intervals
+    const diffs = [];
+    for (let i = 1; i < beats.length; i++) {
+        if (beats[i].nn && beats[i - 1].nn) diffs.push(beats[i].rr - beats[i - 1].rr);
+    }
+    if (diffs.length < cfg.minIntervals || metrics.normal < cfg.minNormal) return metrics;
+    const mean = nn.reduce((s, b) => s + b.rr, 0) / nn.length;
+    metrics.rmssd = Math.sqrt(diffs.reduce((s, d) => s + d * d, 0) / diffs.length);
+    metrics.sdnn = Math.sqrt(nn.reduce((s, b) => s + (b.rr - mean) * (b.rr - mean), 0) / (nn.length - 1));
+    metrics.pnn50 = 100 * diffs.filter(d => Math.abs(d) > 50).length / diffs.length;
+    return metrics;
+}
+
+// ======================== BEAT DETECTION ========================
+function createBeatDetector(kind, rate) {
+    const settings = BEAT_DETECTORS[kind];
+    const samples = ms => Math.max(1, Math.round(ms * rate / 1000));
+    // One-pole low-pass coefficient for a corner at `hz`
+    const alpha = hz => 1 - Math.exp(-2 * Math.PI * hz / rate);
+    return {
+        kind,
+        rate,
+        end: null,              // time of the last sample processed
+        n: 0,                   // samples processed
+        fast: null, slow: 0,    // low-pass states; band = fast - slow
+        alphaFast: alpha(settings.high),
+        alphaSlow: alpha(settings.low),
+        previousBand: 0,
+        window: kind === 'ecg' ? new Array(samples(150)).fill(0) : null,   // moving integration
+        windowSum: 0,
+        trace: [],              // { n, t, v } recent signal the peaks are located in
+        traceLength: samples(settings.searchBack + 600),   // the feature can take a while to fall back
+        searchBack: samples(settings.searchBack),
+        refractory: samples(settings.refractory),
+        learnUntil: rate,       // the first second only sets the threshold
+        learnedAt: 0,
+        level: 0,               // running height of beat peaks in the feature
+        candidate: null,        // { value, n } of the feature peak being climbed
+        lastBeatN: null,
+        lastBeat: null,         // time of the last beat
+        meanInterval: null      // samples, for the missed-beat search
+    };
+}
+
+// Returns the beats in `values` (sampled from `start`) as { t, rr }
+function detectBeats(det, start, values) {
+    const step = 1000 / det.rate;
+    const beats = [];
+    values.forEach((x, k) => {
+        const t = start + k * step;
+        det.n++;
+        if (det.fast === null) det.fast = det.slow = x;
+        det.fast += det.alphaFast * (x - det.fast);
+        det.slow += det.alphaSlow * (det.fast - det.slow);
+        const band = det.fast - det.slow;
+
+        let feature;
+        if (det.window) {
+            const slope = (band - det.previousBand) * det.rate;
+            det.windowSum += slope * slope - det.window[det.n % det.window.length];
+            det.window[det.n % det.window.length] = slope * slope;
+            feature = det.windowSum / det.window.length;
+        } else {
+            feature = Math.max(band, 0);
+        }
+        det.previousBand = band;
+
+        // ECG peaks are located in the raw signal, pulse peaks in the smoothed one
+        det.trace.push({ n: det.n, t, v: det.window ? x : det.fast });
+        if (det.trace.length > det.traceLength) det.trace.shift();
+
+        if (det.n <= det.learnUntil) {
+            det.level = Math.max(det.level, feature);
+            return;
+        }
+        const since = det.n - (det.lastBeatN !== null ? Math.max(det.lastBeatN, det.learnedAt) : det.learnedAt);
+        // Nothing for 3 s (lead off, or a motion spike raised the level): learn again
+        if (since > 3 * det.rate) {
+            det.learnedAt = det.n;
+            det.learnUntil = det.n + det.rate;
+            det.level = 0;
+            det.candidate = null;
+            det.lastBeat = null;
+            return;
+        }
+
+        if (det.candidate && feature < det.candidate.value / 2) {
+            const t = locateBeat(det, det.candidate.n);
+            const rr = det.lastBeat !== null ? t - det.lastBeat : null;
+            if (det.lastBeatN !== null && rr !== null) {
+                const interval = det.candidate.n - det.lastBeatN;
+                det.meanInterval = det.meanInterval === null ? interval : det.meanInterval + 0.125 * (interval - det.meanInterval);
+            }
+            beats.push({ t, rr });
+            // One huge artifact can't lift the threshold past the real beats
+            det.level += 0.125 * (Math.min(det.candidate.value, 2 * det.level) - det.level);
+            det.lastBeat = t;
+            det.lastBeatN = det.candidate.n;
+            det.candidate = null;
+            return;
+        }
+        // Search back at half the threshold once a beat looks missed
+        const missed = det.meanInterval !== null && det.lastBeatN !== null && det.n - det.lastBeatN > 1.66 * det.meanInterval;
+        const threshold = det.level * (missed ? 0.15 : 0.3);
+        const clear = det.lastBeatN === null || det.n - det.lastBeatN > det.refractory;
+        if (feature > threshold && clear && (!det.candidate || feature > det.candidate.value)) {
+            det.candidate = { value: feature, n: det.n };
+        }
+    });
+    det.end = start + (values.length - 1) * step;
+    return beats;
+}
+
+// Time of the signal's peak up to searchBack samples before the feature's,
+// refined by a parabola through its neighbours
+function locateBeat(det, n) {
+    const nearby = det.trace.filter(p => p.n > n - det.searchBack && p.n <= n + det.searchBack / 2);
+    let best = 0;
+    nearby.forEach((p, i) => { if (p.v > nearby[best].v) best = i; });
+    const peak = nearby[best];
+    if (best === 0 || best === nearby.length - 1) return peak.t;
+    const [a, b, c] = [nearby[best - 1].v, peak.v, nearby[best + 1].v];
+    const curvature = a - 2 * b + c;
+    const offset = curvature === 0 ? 0 : clamp(0.5 * (a - c) / curvature, -0.5, 0.5);
+    return peak.t + offset * 1000 / det.rate;
+}
+
+// ======================== SIMULATION ========================
+function createWaveformSynth(kind, rate) {
+    return {
+        kind,
+        rate,
+        end: null,              // time of the last point sent
+        beats: [],              // { t, rr, waves } of beats whose waves may reach the next chunk
+        nextBeat: null,
+        mean: null,             // RR interval (ms) the heart is settling toward the drive's HR at
+        last: 0                 // last value sent, for a flatlined sensor
+    };
+}
+
+// Attaches the waveform since the previous sample, generated beat by beat
+// from the patient's underlying (pre-artifact) HR, HRV and breathing rate.
+// A late tick gets the whole time since; after a dropped link (synth.end
+// cleared) or a gap that would break the charts anyway, it starts afresh.
+function simulateWaveform(synth, sample, interval) {
+    const sc = state.scenario;
+    const drive = sc && sc.clean.hr !== undefined ? sc.clean : sample.values;
+    const artifact = sc && (sc.artifacts.hr || sc.artifacts.hrv);
+    const step = 1000 / synth.rate;
+    if (synth.end === null || sample.timestamp - synth.end > CONFIG.device.gapAfter * 1000) synth.end = sample.timestamp - interval;
+    const count = Math.floor((sample.timestamp - synth.end) / step);
+    const start = synth.end + step;
+    synth.end += count * step;
+
+    if (synth.nextBeat === null || synth.nextBeat < start - 1000) synth.nextBeat = start;
+    while (synth.nextBeat < synth.end + 500) {
+        const rr = simulatedInterval(synth, drive, synth.nextBeat);
+        synth.beats.push({ t: synth.nextBeat, rr, waves: WAVEFORM_SHAPES[synth.kind](rr) });
+        synth.nextBeat += rr;
+    }
+    synth.beats = synth.beats.filter(b => b.t > start - 1000);
+
+    const breathHz = (drive.rr || 15) / 60;
+    const noise = synth.kind === 'ecg' ? 0.015 : 0.01;
+    // Breathing moves the baseline
+    const values = Array.from({ length: count }, (_, k) =>
+        0.08 * Math.sin(2 * Math.PI * breathHz * (start + k * step) / 1000) + noise * gaussRandom());
+    // Each wave only touches the points within 4 widths of its centre
+    synth.beats.forEach(beat => beat.waves.forEach(([at, height, width]) => {
+        const centre = beat.t + at;
+        const from = Math.max(0, Math.ceil((centre - 4 * width - start) / step));
+        const to = Math.min(count - 1, Math.floor((centre + 4 * width - start) / step));
+        for (let k = from; k <= to; k++) {
+            const d = start + k * step - centre;
+            values[k] += height * Math.exp(-d * d / (2 * width * width));
+        }
+    }));
+    values.forEach((v, k) => { values[k] = Math.round(v * 1000) / 1000; });
+
+    // The readings the waveform replaces are dropped
+    delete sample.values.hr;
+    delete sample.values.hrv;
+    if (artifact === 'dropout' || count === 0) return;
+    if (artifact === 'range') values.fill(0);
+    else if (artifact === 'flatline') values.fill(synth.last);
+    else if (artifact === 'spike') addMotionArtifacts(values, synth.rate);
+    synth.last = values[values.length - 1];
+    sample.waveform = { kind: synth.kind, rate: synth.rate, start, values };
+}
+
+// The next RR interval (ms): the mean for the HR, respiratory sinus
+// arrhythmia at the breathing rate, the ~0.1 Hz baroreflex rhythm, and
+// beat-to-beat noise sized so the RMSSD comes out at the HRV. The mean
+// eases toward the drive's HR over a few beats; the scenario's per-tick
+// jitter would otherwise show up as beat-to-beat variability.
+function simulatedInterval(synth, drive, t) {
+    const target = 60000 / clamp(drive.hr, 30, 220);
+    synth.mean = synth.mean === null ? target : synth.mean + 0.2 * (target - synth.mean);
+    const mean = synth.mean;
+    const hrv = Math.max(drive.hrv, 0);
+    const breathHz = (drive.rr || 15) / 60;
+    const rsa = 0.5 * hrv;
+    const baroreflex = 0.6 * hrv;
+    // RMS of successive differences of a sine of amplitude `amp` and `hz` sampled once a beat
+    const diffRms = (amp, hz) => amp * Math.SQRT2 * Math.abs(Math.sin(Math.PI * hz * mean / 1000));
+    const rsaDiff = diffRms(rsa, breathHz);
+    const baroDiff = diffRms(baroreflex, 0.1);
+    const sigma = Math.sqrt(Math.max(0, hrv * hrv - rsaDiff * rsaDiff - baroDiff * baroDiff) / 2);
+    return mean +
+        rsa * Math.sin(2 * Math.PI * breathHz * t / 1000) +
+        baroreflex * Math.sin(2 * Math.PI * 0.1 * t / 1000) +
+        sigma * gaussRandom();
+}
+
+// Two to four jolts of the electrodes, big enough to pass for beats
+function addMotionArtifacts(values, rate) {
+    const jolts = 2 + Math.floor(random() * 3);
+    for (let j = 0; j < jolts; j++) {
+        const at = Math.floor(random() * values.length);
+        const height = (random() < 0.5 ? -1 : 1) * (1.5 + 1.5 * random());
+        const width = (40 + 40 * random()) * rate / 1000;
+        for (let k = Math.max(0, Math.floor(at - 4 * width)); k < Math.min(values.length, at + 4 * width); k++) {
+            values[k] = Math.round((values[k] + height * Math.exp(-(k - at) * (k - at) / (2 * width * width))) * 1000) / 1000;
+        }
+    }
+}
+
+// ======================== RENDERING ========================
+// The strip scrolls continuously between snapshots: each chunk is played out
+// over the time the previous one took to arrive, so it runs one chunk
+// behind the newest signal and keeps pace with replays at any speed.
+const waveformStrip = {
+    patient: null,          // whose waveform is scrolling
+    from: 0,                // time shown when the newest chunk arrived
+    end: 0,                 // time of the newest point
+    arrivedAt: 0,           // performance.now() when it arrived
+    pace: 0,                // ms of signal per ms of wall time
+    frame: null             // requestAnimationFrame handle
+};
+
+function renderWaveform() {
+    const container = document.getElementById('hr-waveform');
+    if (!container) return;
+    const w = state.waveform;
+    const end = w.start + (w.values.length - 1) * 1000 / w.rate;
+    const live = w.values.length > 1 && state.lastSampleTime - end <= CONFIG.device.staleAfter * 1000;
+    container.hidden = !live;
+
+    // Also shown for a strap's RR intervals, which have no strip
+    const detail = document.getElementById('hrv-detail');
+    const m = w.metrics;
+    const lastBeat = w.beats[w.beats.length - 1];
+    const beating = lastBeat && state.lastSampleTime - lastBeat.t <= CONFIG.device.staleAfter * 1000;
+    detail.hidden = !beating || !m || m.sdnn === null;
+    if (!detail.hidden) {
+        detail.textContent = `SDNN ${Math.round(m.sdnn)} ms · pNN50 ${Math.round(m.pnn50)}%`;
+        detail.title = `From ${m.intervals} normal beats (${Math.round(m.normal * 100)}%) over the last ${CONFIG.waveform.hrvWindow}s; the HRV shown is their RMSSD`;
+    }
+    if (!live) return;
+
+    document.getElementById('hr-waveform-label').textContent = w.kind.toUpperCase();
+    const s = waveformStrip;
+    const now = performance.now();
+    if (s.patient !== state || end < s.end) {
+        Object.assign(s, { patient: state, from: end, end, arrivedAt: now, pace: 0 });
+    } else if (end > s.end) {
+        const from = Math.max(waveformShownTime(now), end - CONFIG.waveform.strip * 1000);
+        s.pace = (end - from) / clamp(now - s.arrivedAt, 100, 10000);
+        Object.assign(s, { from, end, arrivedAt: now });
+    }
+    if (s.frame === null) s.frame = requestAnimationFrame(scrollWaveform);
+}
+
+function waveformShownTime(now) {
+    const s = waveformStrip;
+    return Math.min(s.end, s.from + (now - s.arrivedAt) * s.pace);
+}
+
+function scrollWaveform() {
+    const s = waveformStrip;
+    s.frame = null;
+    const container = document.getElementById('hr-waveform');
+    if (!s.patient || !isOnScreen(s.patient) || container.hidden) return;
+    withPatient(s.patient, () => drawWaveformStrip(container, waveformShownTime(performance.now())));
+    s.frame = requestAnimationFrame(scrollWaveform);
+}
+
+// The CONFIG.waveform.strip seconds of signal up to `until`, with a tick
+// over every detected beat
+function drawWaveformStrip(container, until) {
+    const w = state.waveform;
+    let canvas = container.querySelector('canvas');
+    if (!canvas) {
+        canvas = document.createElement('canvas');
+        container.prepend(canvas);
+    }
+    const step = 1000 / w.rate;
+    const span = CONFIG.waveform.strip * 1000;
+    const first = Math.max(0, Math.ceil((until - span - w.start) / step));
+    const last = Math.min(w.values.length - 1, Math.floor((until - w.start) / step));
+    if (last - first < 2) return;
+
+    drawChart(canvas, container, box => [box.width, box.height], [w.values, first, last], (ctx, width, height) => {
+        const [lo, hi] = arrayExtent(w.values);
+        const padding = 3;
+        const range = hi - lo || 1;
+        const xAt = t => ((t - (until - span)) / span) * width;
+        const yAt = v => padding + (1 - (v - lo) / range) * (height - padding * 2);
+
+        ctx.beginPath();
+        lttbIndices(null, w.values, first, last + 1, Math.round(width * 2)).forEach((i, k) => {
+            const x = xAt(w.start + i * step), y = yAt(w.values[i]);
+            if (k === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.strokeStyle = CONFIG.signalColors.hr;
+        ctx.lineWidth = 1.25;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+
+        ctx.fillStyle = CONFIG.signalColors.hr + '80';
+        w.beats.forEach(beat => {
+            const x = xAt(beat.t);
+            if (x >= 0 && x <= width) ctx.fillRect(x - 0.5, 0, 1, 4);
+        });
+    });
+}